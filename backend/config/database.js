@@ -1,20 +1,26 @@
 const { Sequelize } = require('sequelize');
+const config = require('./index');
 
-const sequelize = new Sequelize('customer_management', 'root', 'iamjerick9', {
-  host: 'localhost',
-  dialect: 'mysql',
-  logging: false,
-  pool: {
-    max: 5,
-    min: 0,
-    acquire: 30000,
-    idle: 10000
-  }
-});
+const { dialect, storage, host, port, name, user, password, logging, poolMax } = config.database;
+
+const sequelize = dialect === 'sqlite'
+  ? new Sequelize({ dialect, storage, logging: logging ? console.log : false })
+  : new Sequelize(name, user, password, {
+    host,
+    port,
+    dialect,
+    logging: logging ? console.log : false,
+    pool: {
+      max: poolMax,
+      min: 0,
+      acquire: 30000,
+      idle: 10000
+    }
+  });
 
 // Test connection
 sequelize.authenticate()
-  .then(() => console.log('Database connected successfully'))
+  .then(() => console.log(`Database connected successfully (${dialect})`))
   .catch(err => console.error('Unable to connect to database:', err));
 
 module.exports = sequelize;
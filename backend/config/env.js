@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { isSupportedCountry } = require('libphonenumber-js');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const DIALECTS = ['mysql', 'mariadb', 'postgres', 'sqlite'];
+
+// Packages Sequelize loads for each dialect
+const DRIVERS = {
+  mysql: ['mysql2'],
+  mariadb: ['mariadb'],
+  postgres: ['pg', 'pg-hstore'],
+  sqlite: ['sqlite3']
+};
+
+const DEFAULT_PORTS = { mysql: 3306, mariadb: 3306, postgres: 5432 };
+
+// Production tokens must be signed with a secret that is hard to guess
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+}
+
+// KEY=value lines; blank lines and # comments are skipped, an "export " prefix is allowed
+// and values may be wrapped in single or double quotes
+function parseEnvFile(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    const [, key, raw] = match;
+    const quoted = raw.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      values[key] = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    } else {
+      values[key] = raw.replace(/\s+#.*$/, '');
+    }
+  });
+  return values;
+}
+
+// Fill env from backend/.env.<NODE_ENV> and then backend/.env.
+// Variables that are already set win over both files.
+function loadEnvFiles(env = process.env, dir = BACKEND_DIR) {
+  const files = [`.env.${env.NODE_ENV || 'development'}`, '.env'];
+  const loaded = [];
+  files.forEach(file => {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return;
+    Object.entries(parseEnvFile(fs.readFileSync(filePath, 'utf8'))).forEach(([key, value]) => {
+      if (env[key] === undefined) env[key] = value;
+    });
+    loaded.push(file);
+  });
+  return loaded;
+}
+
+function isInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Readers record a problem instead of throwing so every mistake is reported at once
+function reader(env, problems) {
+  const string = (name, fallback) => (env[name] === undefined || env[name] === '' ? fallback : env[name]);
+
+  const int = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const value = string(name);
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      problems.push(`${name} must be an integer between ${min} and ${max} (got "${value}")`);
+      return fallback;
+    }
+    return number;
+  };
+
+  const bool = (name, fallback) => {
+    const value = string(name);
+    if (value === undefined) return fallback;
+    if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+    problems.push(`${name} must be true or false (got "${value}")`);
+    return fallback;
+  };
+
+  return { string, int, bool };
+}
+
+function buildDatabaseConfig(env, read, problems) {
+  const dialect = read.string('DB_DIALECT', 'mysql').toLowerCase();
+  if (!DIALECTS.includes(dialect)) {
+    problems.push(`DB_DIALECT must be one of: ${DIALECTS.join(', ')} (got "${dialect}")`);
+    return null;
+  }
+
+  const missing = DRIVERS[dialect].filter(name => !isInstalled(name));
+  if (missing.length > 0) {
+    problems.push(`DB_DIALECT=${dialect} needs ${missing.join(' and ')} (run: npm install ${missing.join(' ')})`);
+  }
+
+  const storage = dialect === 'sqlite' ? read.string('DB_STORAGE', 'customer_management.sqlite') : undefined;
+
+  const common = {
+    dialect,
+    logging: read.bool('DB_LOGGING', false),
+    // An in-memory database starts empty every time, so it is migrated on startup
+    migrateOnStart: read.bool('DB_MIGRATE_ON_START', storage === ':memory:')
+  };
+
+  if (dialect === 'sqlite') {
+    // ":memory:" keeps everything in memory; anything else is a file, relative to backend/
+    if (storage === ':memory:') {
+      return { ...common, storage };
+    }
+    const storagePath = path.resolve(BACKEND_DIR, storage);
+    if (!fs.existsSync(path.dirname(storagePath))) {
+      problems.push(`DB_STORAGE directory does not exist: ${path.dirname(storagePath)}`);
+    }
+    return { ...common, storage: storagePath };
+  }
+
+  const user = read.string('DB_USER');
+  if (!user) {
+    problems.push(`DB_USER is required for DB_DIALECT=${dialect}`);
+  }
+
+  return {
+    ...common,
+    host: read.string('DB_HOST', 'localhost'),
+    port: read.int('DB_PORT', DEFAULT_PORTS[dialect], { min: 1, max: 65535 }),
+    name: read.string('DB_NAME', 'customer_management'),
+    user,
+    password: env.DB_PASSWORD || '',
+    poolMax: read.int('DB_POOL_MAX', 5, { min: 1, max: 100 })
+  };
+}
+
+// Validated settings from env; throws a ConfigError listing every problem
+function buildConfig(env = process.env) {
+  const problems = [];
+  const read = reader(env, problems);
+
+  const nodeEnv = read.string('NODE_ENV', 'development');
+  const port = read.int('PORT', 3000, { min: 1, max: 65535 });
+
+  const jwtSecret = read.string('JWT_SECRET');
+  if (!jwtSecret) {
+    problems.push('JWT_SECRET is required (it signs login tokens)');
+  } else if (nodeEnv === 'production' && jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+    problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+  }
+
+  // Seconds, or a number with a unit such as 30m, 24h or 7d
+  const jwtExpiresIn = read.string('JWT_EXPIRES_IN', '24h');
+  if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/i.test(jwtExpiresIn)) {
+    problems.push(`JWT_EXPIRES_IN must be a number of seconds or a duration like 24h or 7d (got "${jwtExpiresIn}")`);
+  }
+
+  // Where browsers reach the API; written into the frontend config
+  const publicApiUrl = read.string('PUBLIC_API_URL', `http://localhost:${port}/api`).replace(/\/+$/, '');
+  if (!/^https?:\/\/[^\s/]+/.test(publicApiUrl)) {
+    problems.push(`PUBLIC_API_URL must be an http(s) URL (got "${publicApiUrl}")`);
+  }
+
+  // ISO 3166 code of the country assumed for phone numbers written without +<country code>
+  const defaultPhoneCountry = read.string('DEFAULT_PHONE_COUNTRY', 'PH').toUpperCase();
+  if (!isSupportedCountry(defaultPhoneCountry)) {
+    problems.push(`DEFAULT_PHONE_COUNTRY must be a two-letter country code such as PH or US (got "${defaultPhoneCountry}")`);
+  }
+
+  // Express "trust proxy": behind a reverse proxy, req.ip (which rate limiting counts by)
+  // is only the client's address when the proxy is trusted
+  const trustProxyValue = read.string('TRUST_PROXY', 'false').toLowerCase();
+  const trustProxy = /^\d+$/.test(trustProxyValue)
+    ? Number(trustProxyValue)
+    : ['true', 'false'].includes(trustProxyValue) ? trustProxyValue === 'true' : trustProxyValue;
+
+  const config = {
+    env: nodeEnv,
+    port,
+    publicApiUrl,
+    trustProxy,
+    jwt: {
+      secret: jwtSecret,
+      // jsonwebtoken reads a bare number as seconds but a numeric string as milliseconds
+      expiresIn: /^\d+$/.test(jwtExpiresIn) ? Number(jwtExpiresIn) : jwtExpiresIn
+    },
+    trashRetentionDays: read.int('TRASH_RETENTION_DAYS', 30, { min: 1 }),
+    defaultPhoneCountry,
+    webhooks: {
+      // A delivery fails for good after this many attempts
+      maxAttempts: read.int('WEBHOOK_MAX_ATTEMPTS', 8, { min: 1, max: 20 }),
+      // Wait before the first retry; it doubles after every failed attempt
+      retryBaseSeconds: read.int('WEBHOOK_RETRY_BASE_SECONDS', 30, { min: 1 }),
+      timeoutMs: read.int('WEBHOOK_TIMEOUT_MS', 10000, { min: 100, max: 120000 })
+    },
+    authRateLimit: {
+      // Requests to /auth/login, and separately to /auth/register, per client address and window
+      windowMinutes: read.int('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15, { min: 1 }),
+      maxPerIp: read.int('AUTH_RATE_LIMIT_MAX', 20, { min: 1 }),
+      // Registrations per email and window, from any address
+      maxPerEmail: read.int('AUTH_RATE_LIMIT_MAX_PER_EMAIL', 5, { min: 1 }),
+      // Failed logins within the lockout time that lock an account for that time
+      lockoutThreshold: read.int('LOGIN_LOCKOUT_THRESHOLD', 5, { min: 1, max: 100 }),
+      lockoutMinutes: read.int('LOGIN_LOCKOUT_MINUTES', 15, { min: 1 })
+    },
+    database: buildDatabaseConfig(env, read, problems)
+  };
+
+  if (problems.length > 0) {
+    throw configError(problems);
+  }
+  return config;
+}
+
+module.exports = { parseEnvFile, loadEnvFiles, buildConfig, DIALECTS };
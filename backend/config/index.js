@@ -0,0 +1,16 @@
+const { loadEnvFiles, buildConfig } = require('./env');
+
+// Settings for the whole backend, read once from the environment and backend/.env files.
+// A bad or missing setting stops the process with a list of what to fix.
+let config;
+try {
+  loadEnvFiles();
+  config = buildConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') throw error;
+  console.error(error.message);
+  console.error('Set these in the environment or in backend/.env (see backend/.env.example).');
+  process.exit(1);
+}
+
+module.exports = config;
@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const config = require('../config');
+
+// Verify the Bearer token and attach the user to req.user
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, config.jwt.secret);
+    const user = await User.findByPk(payload.id);
+
+    // The account may have been removed after the token was issued
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+    next(error);
+  }
+}
+
+module.exports = { authenticate };
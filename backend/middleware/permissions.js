@@ -0,0 +1,28 @@
+// What each role is allowed to do
+const ROLE_PERMISSIONS = {
+  admin: ['read', 'write', 'delete', 'export', 'manage_users', 'view_audit', 'manage_webhooks'],
+  editor: ['read', 'write', 'export'],
+  viewer: ['read']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user) && permissionsFor(user.role).includes(permission);
+}
+
+// Reject the request unless req.user (set by authenticate) has the permission
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, permissionsFor, hasPermission, authorize };
@@ -0,0 +1,122 @@
+const config = require('../config');
+const { MemoryStore } = require('../utils/rateLimitStore');
+const { normalizeEmail } = require('../utils/normalize');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+const {
+  windowMinutes,
+  maxPerIp: MAX_PER_IP,
+  maxPerEmail: MAX_PER_EMAIL,
+  lockoutThreshold: LOCKOUT_THRESHOLD,
+  lockoutMinutes
+} = config.authRateLimit;
+const WINDOW_MS = windowMinutes * 60 * 1000;
+const LOCKOUT_MS = lockoutMinutes * 60 * 1000;
+
+// A failed login is answered after 0.5 s, then 1 s, 2 s and so on up to this,
+// so guessing passwords one after another stays slow
+const FAILURE_DELAY_MS = 500;
+const MAX_FAILURE_DELAY_MS = 8000;
+
+let store = new MemoryStore();
+
+// Keep the counts elsewhere, e.g. in Redis when several server processes run
+function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+const secondsUntil = time => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function waitText(seconds) {
+  return seconds < 60 ? `${seconds} second(s)` : `${Math.ceil(seconds / 60)} minute(s)`;
+}
+
+// Allow `max` requests to the scope per window for each client: clientOf(req) gives
+// its key and what to log about it. Answers carry RateLimit-* headers; requests
+// over the limit get 429 and Retry-After.
+function limitBy(kind, scope, max, clientOf) {
+  return async (req, res, next) => {
+    try {
+      const client = clientOf(req);
+      const { count, resetAt } = await store.increment(`${kind}:${scope}:${client.key}`, WINDOW_MS);
+      const retryAfter = secondsUntil(resetAt);
+      const remaining = Math.max(max - count, 0);
+      // Under several limits the headers describe the one closest to running out
+      const shown = res.get('RateLimit-Remaining');
+      if (shown === undefined || remaining < Number(shown)) {
+        res.set({
+          'RateLimit-Limit': String(max),
+          'RateLimit-Remaining': String(remaining),
+          'RateLimit-Reset': String(retryAfter)
+        });
+      }
+      if (count <= max) {
+        return next();
+      }
+
+      // Once per window rather than for every rejected request
+      if (count === max + 1) {
+        logSecurityEvent('rate_limited', { scope, ip: req.ip, ...client.logged, limit: max, window_minutes: windowMinutes });
+      }
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ success: false, message: `Too many attempts. Try again in ${waitText(retryAfter)}.` });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// AUTH_RATE_LIMIT_MAX requests per client address
+function limitByIp(scope) {
+  return limitBy('ip', scope, MAX_PER_IP, req => ({ key: req.ip }));
+}
+
+// AUTH_RATE_LIMIT_MAX_PER_EMAIL requests for the email in the body, whatever the
+// client address, so spreading requests over many addresses does not get around the limit
+function limitByEmail(scope) {
+  return limitBy('email', scope, MAX_PER_EMAIL, req => {
+    const email = normalizeEmail(req.body.email);
+    return { key: email, logged: { email } };
+  });
+}
+
+// Failures and lockouts are kept per email whether or not an account has it, so
+// the answers do not tell which emails are registered
+const failuresKey = email => `login-failures:${normalizeEmail(email)}`;
+const lockKey = email => `login-lock:${normalizeEmail(email)}`;
+
+// Seconds left until a locked account can log in again; 0 when it is not locked
+async function lockedFor(email) {
+  const lock = await store.get(lockKey(email));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+}
+
+// Count a failed login. The failure that reaches LOGIN_LOCKOUT_THRESHOLD locks the
+// account and the lockout's length in seconds is returned; otherwise this waits
+// the progressive delay and returns 0.
+async function recordLoginFailure(email, { ip, user }) {
+  const { count } = await store.increment(failuresKey(email), LOCKOUT_MS);
+  if (count >= LOCKOUT_THRESHOLD) {
+    await store.reset(failuresKey(email));
+    const lock = await store.increment(lockKey(email), LOCKOUT_MS);
+    logSecurityEvent('account_locked', {
+      email: normalizeEmail(email),
+      user_id: user ? user.id : null,
+      ip,
+      failures: count,
+      locked_minutes: lockoutMinutes
+    });
+    return secondsUntil(lock.resetAt);
+  }
+
+  const delay = Math.min(FAILURE_DELAY_MS * 2 ** (count - 1), MAX_FAILURE_DELAY_MS);
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return 0;
+}
+
+// A successful login starts the count of failures over
+async function clearLoginFailures(email) {
+  await store.reset(failuresKey(email));
+}
+
+module.exports = { limitByIp, limitByEmail, lockedFor, recordLoginFailure, clearLoginFailures, setRateLimitStore, waitText };
@@ -0,0 +1,68 @@
+const OpenApiValidator = require('express-openapi-validator');
+const apiSpec = require('../openapi');
+const { sendValidationError } = require('../utils/validation');
+const { normalizeEmail } = require('../utils/normalize');
+
+// "/body/emails/0/email" -> "body.emails.0.email"; path parameters are reported as "path.id"
+function fieldOf(errorPath) {
+  return errorPath.replace(/^\//, '').replace(/^params\//, 'path/').split('/').join('.');
+}
+
+// Requests are checked against the OpenAPI document before they reach the routes.
+// Responses are checked too, but a mismatch is only logged so clients are never
+// broken by a documentation slip.
+const validator = OpenApiValidator.middleware({
+  // The validator resolves $refs in place; keep the served document as written
+  apiSpec: structuredClone(apiSpec),
+  // Report every problem at once; arrays in the document are bounded, so this stays cheap
+  validateRequests: { allErrors: true },
+  validateResponses: {
+    onError: (error, body, req) => {
+      console.warn(`Response of ${req.method} ${req.originalUrl} does not match the API document: ${error.message}`);
+    }
+  },
+  // authenticate/authorize answer 401 and 403 themselves
+  validateSecurity: false,
+  // The import route reads the CSV upload with its own multer
+  fileUploader: false
+});
+
+// Validate plain JSON: model instances and Dates are serialized before the response check
+function serializeResponses(req, res, next) {
+  const json = res.json;
+  res.json = function (body) {
+    return json.call(this, body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  };
+  next();
+}
+
+// Trim and lower-case the body's email and emails[].email before validation, so
+// " John@Example.com " passes format: email and is stored as the models would store it
+function normalizeEmailFields(req, res, next) {
+  const body = req.body;
+  if (body && typeof body === 'object') {
+    if (typeof body.email === 'string') {
+      body.email = normalizeEmail(body.email);
+    }
+    if (Array.isArray(body.emails)) {
+      body.emails.forEach(entry => {
+        if (entry && typeof entry.email === 'string') entry.email = normalizeEmail(entry.email);
+      });
+    }
+  }
+  next();
+}
+
+// Turn validator errors into the API's error body
+function handleValidationError(err, req, res, next) {
+  if (err.status === 400 && Array.isArray(err.errors)) {
+    return sendValidationError(res, err.errors.map(e => ({ field: fieldOf(e.path), message: e.message })));
+  }
+  // Unknown route (404), method (405) or content type (415)
+  if (err.status >= 400 && err.status < 500 && Array.isArray(err.errors)) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  next(err);
+}
+
+module.exports = { validate: [validator, serializeResponses], normalizeEmailFields, handleValidationError };
@@ -0,0 +1,224 @@
+// Baseline: the schema as it stood before migrations (the old database.sql).
+//
+// Databases created from database.sql or by sequelize.sync() already have some of
+// these tables. Existing tables are kept; missing columns and indexes are added so
+// every database ends up with the same schema.
+
+// MySQL/MariaDB keep TIMESTAMP columns and maintain date_updated themselves
+function isMySQL(queryInterface) {
+  return ['mysql', 'mariadb'].includes(queryInterface.sequelize.getDialect());
+}
+
+function tables(queryInterface, Sequelize) {
+  const mysql = isMySQL(queryInterface);
+  const TIMESTAMP = mysql ? 'TIMESTAMP' : Sequelize.DATE;
+  const now = Sequelize.literal('CURRENT_TIMESTAMP');
+  const nowOnUpdate = Sequelize.literal(mysql ? 'CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP' : 'CURRENT_TIMESTAMP');
+
+  const id = { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false };
+  const customerRef = {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    references: { model: 'customers', key: 'id' },
+    onDelete: 'CASCADE'
+  };
+
+  return [
+    {
+      name: 'customers',
+      attributes: {
+        id,
+        first_name: { type: Sequelize.STRING(100), allowNull: false },
+        last_name: { type: Sequelize.STRING(100), allowNull: false },
+        email: { type: Sequelize.STRING(255), allowNull: false, unique: true },
+        phone: { type: Sequelize.STRING(20), allowNull: false },
+        address: { type: Sequelize.TEXT, allowNull: false },
+        date_created: { type: TIMESTAMP, defaultValue: now },
+        date_updated: { type: TIMESTAMP, defaultValue: nowOnUpdate },
+        date_deleted: { type: TIMESTAMP, allowNull: true, defaultValue: null }
+      },
+      indexes: [
+        { name: 'idx_email', fields: ['email'] },
+        { name: 'idx_date_created', fields: ['date_created'] },
+        { name: 'idx_date_deleted', fields: ['date_deleted'] }
+      ]
+    },
+    {
+      name: 'users',
+      attributes: {
+        id,
+        first_name: { type: Sequelize.STRING(100), allowNull: false },
+        last_name: { type: Sequelize.STRING(100), allowNull: false },
+        email: { type: Sequelize.STRING(255), allowNull: false, unique: true },
+        password: { type: Sequelize.STRING(255), allowNull: false },
+        role: { type: Sequelize.ENUM('admin', 'editor', 'viewer'), allowNull: false, defaultValue: 'viewer' },
+        date_created: { type: TIMESTAMP, defaultValue: now }
+      },
+      indexes: []
+    },
+    {
+      name: 'audit_logs',
+      attributes: {
+        id,
+        entity_type: { type: Sequelize.STRING(50), allowNull: false },
+        entity_id: { type: Sequelize.INTEGER, allowNull: false },
+        action: { type: Sequelize.ENUM('create', 'update', 'delete', 'restore', 'purge', 'merge'), allowNull: false },
+        actor_id: { type: Sequelize.INTEGER, allowNull: true },
+        actor_email: { type: Sequelize.STRING(255), allowNull: true },
+        changes: { type: Sequelize.JSON, allowNull: false },
+        date_created: { type: TIMESTAMP, defaultValue: now }
+      },
+      indexes: [
+        { name: 'idx_audit_entity', fields: ['entity_type', 'entity_id'] },
+        { name: 'idx_audit_actor', fields: ['actor_id'] },
+        { name: 'idx_audit_date_created', fields: ['date_created'] }
+      ]
+    },
+    {
+      name: 'tags',
+      attributes: {
+        id,
+        name: { type: Sequelize.STRING(50), allowNull: false, unique: true },
+        color: { type: Sequelize.STRING(7), allowNull: false, defaultValue: '#4b7fa2' },
+        date_created: { type: TIMESTAMP, defaultValue: now }
+      },
+      indexes: []
+    },
+    {
+      name: 'customer_tags',
+      attributes: {
+        customer_id: { ...customerRef, primaryKey: true },
+        tag_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          primaryKey: true,
+          references: { model: 'tags', key: 'id' },
+          onDelete: 'CASCADE'
+        }
+      },
+      indexes: [
+        { name: 'idx_customer_tags_tag', fields: ['tag_id'] }
+      ]
+    },
+    {
+      name: 'customer_notes',
+      attributes: {
+        id,
+        customer_id: customerRef,
+        type: { type: Sequelize.ENUM('call', 'email', 'meeting', 'note'), allowNull: false, defaultValue: 'note' },
+        body: { type: Sequelize.TEXT, allowNull: false },
+        author_id: { type: Sequelize.INTEGER, allowNull: true },
+        author_email: { type: Sequelize.STRING(255), allowNull: true },
+        occurred_at: { type: TIMESTAMP, allowNull: false, defaultValue: now },
+        date_created: { type: TIMESTAMP, defaultValue: now },
+        date_updated: { type: TIMESTAMP, allowNull: true, defaultValue: null }
+      },
+      indexes: [
+        { name: 'idx_customer_notes_customer', fields: ['customer_id', 'occurred_at'] }
+      ]
+    },
+    {
+      name: 'customer_addresses',
+      attributes: {
+        id,
+        customer_id: customerRef,
+        type: { type: Sequelize.ENUM('billing', 'shipping', 'home', 'work', 'other'), allowNull: false, defaultValue: 'other' },
+        street: { type: Sequelize.TEXT, allowNull: false },
+        city: { type: Sequelize.STRING(100), allowNull: true },
+        province: { type: Sequelize.STRING(100), allowNull: true },
+        postal_code: { type: Sequelize.STRING(20), allowNull: true },
+        country: { type: Sequelize.STRING(100), allowNull: true },
+        is_primary: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }
+      },
+      indexes: [
+        { name: 'idx_customer_addresses_customer', fields: ['customer_id'] }
+      ]
+    },
+    {
+      name: 'customer_phones',
+      attributes: {
+        id,
+        customer_id: customerRef,
+        label: { type: Sequelize.STRING(30), allowNull: false, defaultValue: 'other' },
+        number: { type: Sequelize.STRING(20), allowNull: false },
+        is_primary: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }
+      },
+      indexes: [
+        { name: 'idx_customer_phones_customer', fields: ['customer_id'] }
+      ]
+    },
+    {
+      name: 'customer_emails',
+      attributes: {
+        id,
+        customer_id: customerRef,
+        label: { type: Sequelize.STRING(30), allowNull: false, defaultValue: 'other' },
+        email: { type: Sequelize.STRING(255), allowNull: false },
+        is_primary: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }
+      },
+      indexes: [
+        { name: 'idx_customer_emails_customer', fields: ['customer_id'] },
+        { name: 'idx_customer_emails_email', fields: ['email'] }
+      ]
+    }
+  ];
+}
+
+const TABLE_OPTIONS = { engine: 'InnoDB', charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' };
+
+function indexFields(index) {
+  return index.fields.map(field => field.attribute || field).join(',');
+}
+
+// Add the columns and indexes an older copy of the table lacks
+async function completeTable(queryInterface, Sequelize, { name, attributes, indexes }) {
+  const columns = await queryInterface.describeTable(name);
+  for (const [column, definition] of Object.entries(attributes)) {
+    if (columns[column]) continue;
+    // SQLite cannot add a column whose default is an expression, so fill it in afterwards
+    if (queryInterface.sequelize.getDialect() === 'sqlite' && definition.defaultValue instanceof Sequelize.Utils.Literal) {
+      const { defaultValue, ...withoutDefault } = definition;
+      await queryInterface.addColumn(name, column, withoutDefault);
+      await queryInterface.bulkUpdate(name, { [column]: defaultValue }, {});
+    } else {
+      await queryInterface.addColumn(name, column, definition);
+    }
+  }
+
+  // sync() named its indexes differently, so also compare by columns (ignoring unique ones)
+  const current = await queryInterface.showIndex(name);
+  const names = new Set(current.map(index => index.name));
+  const columnSets = new Set(current.filter(index => !index.unique && !index.primary).map(indexFields));
+  for (const index of indexes) {
+    if (!names.has(index.name) && !columnSets.has(indexFields(index))) {
+      await queryInterface.addIndex(name, index.fields, { name: index.name });
+    }
+  }
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const existing = new Set((await queryInterface.showAllTables()).map(table => table.tableName || table));
+
+    for (const table of tables(queryInterface, Sequelize)) {
+      if (existing.has(table.name)) {
+        await completeTable(queryInterface, Sequelize, table);
+        continue;
+      }
+      await queryInterface.createTable(table.name, table.attributes, TABLE_OPTIONS);
+      for (const index of table.indexes) {
+        await queryInterface.addIndex(table.name, index.fields, { name: index.name });
+      }
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of tables(queryInterface, Sequelize).reverse()) {
+      await queryInterface.dropTable(table.name);
+    }
+    // Postgres keeps ENUM columns as separate types
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.dropAllEnums();
+    }
+  }
+};
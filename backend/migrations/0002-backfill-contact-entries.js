@@ -0,0 +1,28 @@
+// Copy each customer's email, phone and address columns into customer_emails,
+// customer_phones and customer_addresses as primary entries. Customers that
+// already have entries in a table are left alone. Trashed customers are included
+// so a restore brings their entries back too.
+
+// Child table, and the columns its primary entry is built from
+const TARGETS = [
+  { table: 'customer_emails', columns: 'label, email', values: "'other', c.email" },
+  { table: 'customer_phones', columns: 'label, number', values: "'other', c.phone" },
+  // The free text cannot be split reliably, so it all goes into street
+  { table: 'customer_addresses', columns: 'type, street', values: "'other', c.address" }
+];
+
+module.exports = {
+  async up(queryInterface) {
+    for (const { table, columns, values } of TARGETS) {
+      await queryInterface.sequelize.query(
+        `INSERT INTO ${table} (customer_id, ${columns}, is_primary) ` +
+        `SELECT c.id, ${values}, :primary FROM customers c ` +
+        `WHERE NOT EXISTS (SELECT 1 FROM ${table} t WHERE t.customer_id = c.id)`,
+        { replacements: { primary: true } }
+      );
+    }
+  },
+
+  // Copied entries cannot be told apart from ones added since, so they stay
+  async down() {}
+};
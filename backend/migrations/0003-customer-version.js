@@ -0,0 +1,16 @@
+// Row version for optimistic concurrency: bumped on every change to a customer
+const { dropColumn } = require('../utils/migrations');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customers', 'version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await dropColumn(queryInterface, 'customers', 'version');
+  }
+};
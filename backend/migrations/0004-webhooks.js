@@ -0,0 +1,56 @@
+// Webhook subscriptions and the log of every delivery made to them
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false };
+    const now = Sequelize.literal('CURRENT_TIMESTAMP');
+
+    await queryInterface.createTable('webhook_subscriptions', {
+      id,
+      url: { type: Sequelize.STRING(2048), allowNull: false },
+      description: { type: Sequelize.STRING(255), allowNull: true },
+      events: { type: Sequelize.JSON, allowNull: false },
+      secret: { type: Sequelize.STRING(255), allowNull: false },
+      active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      created_by: { type: Sequelize.INTEGER, allowNull: true },
+      date_created: { type: Sequelize.DATE, allowNull: false, defaultValue: now },
+      date_updated: { type: Sequelize.DATE, allowNull: true }
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id,
+      subscription_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'webhook_subscriptions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      event: { type: Sequelize.STRING(50), allowNull: false },
+      event_id: { type: Sequelize.STRING(36), allowNull: false },
+      payload: { type: Sequelize.JSON, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'success', 'failed'), allowNull: false, defaultValue: 'pending' },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      next_attempt_at: { type: Sequelize.DATE, allowNull: true },
+      last_attempt_at: { type: Sequelize.DATE, allowNull: true },
+      last_status_code: { type: Sequelize.INTEGER, allowNull: true },
+      last_error: { type: Sequelize.STRING(500), allowNull: true },
+      last_response: { type: Sequelize.TEXT, allowNull: true },
+      duration_ms: { type: Sequelize.INTEGER, allowNull: true },
+      delivered_at: { type: Sequelize.DATE, allowNull: true },
+      replay_of: { type: Sequelize.INTEGER, allowNull: true },
+      replayed_at: { type: Sequelize.DATE, allowNull: true },
+      date_created: { type: Sequelize.DATE, allowNull: false, defaultValue: now }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at'], { name: 'idx_webhook_deliveries_due' });
+    await queryInterface.addIndex('webhook_deliveries', ['subscription_id', 'date_created'], { name: 'idx_webhook_deliveries_subscription' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_subscriptions');
+    // Postgres keeps ENUM columns as separate types
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_deliveries_status"');
+    }
+  }
+};
@@ -0,0 +1,141 @@
+// Store every phone number in E.164 next to the number as typed, and trim and
+// lower-case every email.
+//
+// Customers whose emails only differ in case cannot all have the lower-case address:
+// the unique index allows one. The customer already holding it, else the oldest,
+// keeps it; the others get "duplicate-<id>-<email>" (like a merged customer's
+// "merged-<id>-"), with the address itself kept as another email of theirs, so they
+// stay editable. Those, and numbers that cannot be parsed, are printed in a report
+// at the end so the customers can be merged or fixed by hand.
+const { toE164, normalizeEmail } = require('../utils/normalize');
+const config = require('../config');
+const { dropColumn } = require('../utils/migrations');
+
+async function select(queryInterface, sql) {
+  const [rows] = await queryInterface.sequelize.query(sql);
+  return rows;
+}
+
+// date_updated is set to itself so MySQL's ON UPDATE CURRENT_TIMESTAMP leaves it alone;
+// this is not an edit anyone made
+async function updateRow(queryInterface, table, id, values) {
+  const columns = Object.keys(values);
+  const touchesUpdated = table === 'customers' ? ', date_updated = date_updated' : '';
+  await queryInterface.sequelize.query(
+    `UPDATE ${table} SET ${columns.map(column => `${column} = :${column}`).join(', ')}${touchesUpdated} WHERE id = :id`,
+    { replacements: { ...values, id } }
+  );
+}
+
+// Customers by their normalized email. The owner is the customer already holding
+// the lower-case address, else the oldest one.
+function emailOwners(customers) {
+  const groups = new Map();
+  customers.forEach(customer => {
+    const email = normalizeEmail(customer.email);
+    if (!groups.has(email)) groups.set(email, []);
+    groups.get(email).push(customer);
+  });
+
+  const owners = new Map();
+  groups.forEach((group, email) => {
+    owners.set(email, group.find(customer => customer.email === email) || group[0]);
+  });
+  return owners;
+}
+
+const duplicateEmail = (id, email) => `duplicate-${id}-${normalizeEmail(email)}`;
+
+function printReport(report) {
+  console.log(`Normalized contacts (default phone country ${config.defaultPhoneCountry}): ` +
+    `${report.emails} email(s) lower-cased, ${report.phones} phone number(s) stored in E.164`);
+
+  if (report.emailConflicts.length > 0) {
+    console.log('Emails renamed because another customer has the same address in different case ' +
+      '(merge the customers or change the email):');
+    report.emailConflicts.forEach(({ id, email, owner }) => {
+      console.log(`  customer ${id} "${email}" is now "${duplicateEmail(id, email)}" - same as customer ${owner.id} "${normalizeEmail(owner.email)}"`);
+    });
+  }
+
+  if (report.invalidPhones.length > 0) {
+    console.log('Phone numbers that could not be read (no E.164 stored; fix them to save these customers):');
+    report.invalidPhones.forEach(({ where, number }) => console.log(`  ${where}: "${number}"`));
+  }
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customers', 'phone_e164', { type: Sequelize.STRING(20), allowNull: true });
+    await queryInterface.addIndex('customers', ['phone_e164'], { name: 'idx_phone_e164' });
+    await queryInterface.addColumn('customer_phones', 'number_e164', { type: Sequelize.STRING(20), allowNull: true });
+
+    const report = { emails: 0, phones: 0, emailConflicts: [], invalidPhones: [] };
+    const conflicted = new Set();
+
+    // Trashed customers are included: they still hold their email
+    const customers = await select(queryInterface, 'SELECT id, email, phone FROM customers ORDER BY id');
+    const owners = emailOwners(customers);
+    for (const customer of customers) {
+      const values = {};
+      const email = normalizeEmail(customer.email);
+      const owner = owners.get(email);
+      if (owner.id !== customer.id) {
+        conflicted.add(customer.id);
+        values.email = duplicateEmail(customer.id, customer.email);
+        report.emailConflicts.push({ id: customer.id, email: customer.email, owner });
+      } else if (email !== customer.email) {
+        values.email = email;
+        report.emails++;
+      }
+
+      const e164 = toE164((customer.phone || '').trim());
+      if (e164) {
+        values.phone_e164 = e164;
+        report.phones++;
+      } else {
+        report.invalidPhones.push({ where: `customer ${customer.id}`, number: customer.phone });
+      }
+
+      if (Object.keys(values).length > 0) {
+        await updateRow(queryInterface, 'customers', customer.id, values);
+      }
+    }
+
+    // A renamed customer's primary entry mirrors its new customers.email; the address
+    // itself stays as one of its other emails
+    const emails = await select(queryInterface, 'SELECT id, customer_id, email, is_primary FROM customer_emails ORDER BY id');
+    for (const entry of emails) {
+      const email = normalizeEmail(entry.email);
+      if (entry.is_primary && conflicted.has(entry.customer_id)) {
+        await updateRow(queryInterface, 'customer_emails', entry.id, { email: duplicateEmail(entry.customer_id, entry.email) });
+        await queryInterface.bulkInsert('customer_emails', [{ customer_id: entry.customer_id, label: 'other', email, is_primary: false }]);
+      } else if (email !== entry.email) {
+        await updateRow(queryInterface, 'customer_emails', entry.id, { email });
+        report.emails++;
+      }
+    }
+
+    const phones = await select(queryInterface, 'SELECT id, customer_id, number FROM customer_phones ORDER BY id');
+    for (const entry of phones) {
+      const e164 = toE164((entry.number || '').trim());
+      if (e164) {
+        await updateRow(queryInterface, 'customer_phones', entry.id, { number_e164: e164 });
+        report.phones++;
+      } else {
+        report.invalidPhones.push({ where: `customer ${entry.customer_id}, phone entry ${entry.id}`, number: entry.number });
+      }
+    }
+
+    if (customers.length > 0) {
+      printReport(report);
+    }
+  },
+
+  // Lower-cased and renamed emails stay as they are; the original case is not kept
+  async down(queryInterface) {
+    await queryInterface.removeIndex('customers', 'idx_phone_e164');
+    await dropColumn(queryInterface, 'customer_phones', 'number_e164');
+    await dropColumn(queryInterface, 'customers', 'phone_e164');
+  }
+};
@@ -0,0 +1,39 @@
+// A "sending" status for webhook deliveries: a sender claims a due delivery by
+// moving it to "sending" before the request, so two senders never post it twice.
+// On SQLite the ENUM is a TEXT column and needs no change.
+const STATUSES = ['pending', 'sending', 'success', 'failed'];
+const PREVIOUS_STATUSES = ['pending', 'success', 'failed'];
+
+const column = (Sequelize, values) => ({ type: Sequelize.ENUM(...values), allowNull: false, defaultValue: 'pending' });
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_webhook_deliveries_status" ADD VALUE IF NOT EXISTS 'sending' AFTER 'pending'`);
+    } else if (dialect !== 'sqlite') {
+      await queryInterface.changeColumn('webhook_deliveries', 'status', column(Sequelize, STATUSES));
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // A claimed delivery is sent again by the next run
+    await queryInterface.sequelize.query(`UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'`);
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      // Postgres cannot drop a value from an ENUM type, so the type is made again
+      await queryInterface.sequelize.query(`
+        ALTER TABLE webhook_deliveries ALTER COLUMN status DROP DEFAULT;
+        ALTER TYPE "enum_webhook_deliveries_status" RENAME TO "enum_webhook_deliveries_status_old";
+        CREATE TYPE "enum_webhook_deliveries_status" AS ENUM (${PREVIOUS_STATUSES.map(status => `'${status}'`).join(', ')});
+        ALTER TABLE webhook_deliveries ALTER COLUMN status TYPE "enum_webhook_deliveries_status"
+          USING status::text::"enum_webhook_deliveries_status";
+        ALTER TABLE webhook_deliveries ALTER COLUMN status SET DEFAULT 'pending';
+        DROP TYPE "enum_webhook_deliveries_status_old";
+      `);
+    } else if (dialect !== 'sqlite') {
+      await queryInterface.changeColumn('webhook_deliveries', 'status', column(Sequelize, PREVIOUS_STATUSES));
+    }
+  }
+};
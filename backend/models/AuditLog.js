@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  entity_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'delete', 'restore', 'purge', 'merge'),
+    allowNull: false
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Snapshot of who acted, kept even if the user is removed later
+  actor_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // { field: { before, after } }
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_audit_entity', fields: ['entity_type', 'entity_id'] },
+    { name: 'idx_audit_actor', fields: ['actor_id'] },
+    { name: 'idx_audit_date_created', fields: ['date_created'] }
+  ]
+});
+
+module.exports = AuditLog;
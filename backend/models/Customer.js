@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { toE164, normalizeEmail } = require('../utils/normalize');
 
 const Customer = sequelize.define('Customer', {
   id: {
@@ -23,23 +24,42 @@ const Customer = sequelize.define('Customer', {
       len: { args: [2, 100], msg: 'Last name must be between 2 and 100 characters' }
     }
   },
+  // Stored trimmed and in lower case, so uniqueness ignores case
   email: {
     type: DataTypes.STRING(255),
     allowNull: false,
     unique: true,
+    set(value) {
+      this.setDataValue('email', normalizeEmail(value));
+    },
     validate: {
       isEmail: { msg: 'Must be a valid email address' },
       notEmpty: { msg: 'Email is required' }
     }
   },
+  // Kept as typed, for display; phone_e164 holds the same number for matching
   phone: {
     type: DataTypes.STRING(20),
     allowNull: false,
+    set(value) {
+      const phone = typeof value === 'string' ? value.trim() : value;
+      this.setDataValue('phone', phone);
+      this.setDataValue('phone_e164', toE164(phone));
+    },
     validate: {
       notEmpty: { msg: 'Phone number is required' },
-      is: { args: /^[\d\s\-\+\(\)]+$/, msg: 'Phone number format is invalid' }
+      isPhoneNumber(value) {
+        if (value && !toE164(value)) {
+          throw new Error('Phone number is not valid; numbers from other countries need their +country code');
+        }
+      }
     }
   },
+  // e.g. +639661748034; set from phone
+  phone_e164: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
   address: {
     type: DataTypes.TEXT,
     allowNull: false,
@@ -50,10 +70,33 @@ const Customer = sequelize.define('Customer', {
   date_created: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  date_updated: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  date_deleted: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'customers',
-  timestamps: false
+  // Soft delete: destroy() sets date_deleted and queries skip those rows
+  // unless called with { paranoid: false }
+  timestamps: true,
+  createdAt: 'date_created',
+  updatedAt: 'date_updated',
+  deletedAt: 'date_deleted',
+  paranoid: true,
+  // Optimistic locking: every save bumps `version` and fails with
+  // SequelizeOptimisticLockError if the row changed since it was loaded
+  version: true,
+  indexes: [
+    { name: 'idx_email', fields: ['email'] },
+    { name: 'idx_phone_e164', fields: ['phone_e164'] },
+    { name: 'idx_date_created', fields: ['date_created'] },
+    { name: 'idx_date_deleted', fields: ['date_deleted'] }
+  ]
 });
 
 module.exports = Customer;
\ No newline at end of file
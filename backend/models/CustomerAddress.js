@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Customer = require('./Customer');
+
+const ADDRESS_TYPES = ['billing', 'shipping', 'home', 'work', 'other'];
+
+const CustomerAddress = sequelize.define('CustomerAddress', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM(...ADDRESS_TYPES),
+    allowNull: false,
+    defaultValue: 'other',
+    validate: {
+      isIn: { args: [ADDRESS_TYPES], msg: `Address type must be one of: ${ADDRESS_TYPES.join(', ')}` }
+    }
+  },
+  street: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Street is required' }
+    }
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Province or state
+  province: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postal_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'customer_addresses',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_customer_addresses_customer', fields: ['customer_id'] }
+  ]
+});
+
+// Removed with their customer when it is purged
+Customer.hasMany(CustomerAddress, { foreignKey: 'customer_id', as: 'addresses', onDelete: 'CASCADE' });
+CustomerAddress.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+CustomerAddress.TYPES = ADDRESS_TYPES;
+
+module.exports = CustomerAddress;
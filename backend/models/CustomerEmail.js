@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Customer = require('./Customer');
+const { normalizeEmail } = require('../utils/normalize');
+
+const CustomerEmail = sequelize.define('CustomerEmail', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Free-form label such as personal or work
+  label: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'other',
+    validate: {
+      notEmpty: { msg: 'Email label is required' }
+    }
+  },
+  // Trimmed and lower-cased like customers.email
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('email', normalizeEmail(value));
+    },
+    validate: {
+      isEmail: { msg: 'Must be a valid email address' },
+      notEmpty: { msg: 'Email is required' }
+    }
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'customer_emails',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_customer_emails_customer', fields: ['customer_id'] },
+    { name: 'idx_customer_emails_email', fields: ['email'] }
+  ]
+});
+
+// Removed with their customer when it is purged
+Customer.hasMany(CustomerEmail, { foreignKey: 'customer_id', as: 'emails', onDelete: 'CASCADE' });
+CustomerEmail.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+module.exports = CustomerEmail;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Customer = require('./Customer');
+const { toE164 } = require('../utils/normalize');
+
+const CustomerPhone = sequelize.define('CustomerPhone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Free-form label such as mobile, work or home
+  label: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'other',
+    validate: {
+      notEmpty: { msg: 'Phone label is required' }
+    }
+  },
+  // As typed; number_e164 is set from it
+  number: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    set(value) {
+      const number = typeof value === 'string' ? value.trim() : value;
+      this.setDataValue('number', number);
+      this.setDataValue('number_e164', toE164(number));
+    },
+    validate: {
+      notEmpty: { msg: 'Phone number is required' },
+      isPhoneNumber(value) {
+        if (value && !toE164(value)) {
+          throw new Error('Phone number is not valid; numbers from other countries need their +country code');
+        }
+      }
+    }
+  },
+  number_e164: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'customer_phones',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_customer_phones_customer', fields: ['customer_id'] }
+  ]
+});
+
+// Removed with their customer when it is purged
+Customer.hasMany(CustomerPhone, { foreignKey: 'customer_id', as: 'phones', onDelete: 'CASCADE' });
+CustomerPhone.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+module.exports = CustomerPhone;
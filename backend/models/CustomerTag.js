@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Customer = require('./Customer');
+const Tag = require('./Tag');
+
+// Link table between customers and tags
+const CustomerTag = sequelize.define('CustomerTag', {
+  customer_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  tag_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  }
+}, {
+  tableName: 'customer_tags',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_customer_tags_tag', fields: ['tag_id'] }
+  ]
+});
+
+// Links go away with their customer (when purged) or tag
+Customer.belongsToMany(Tag, { through: CustomerTag, foreignKey: 'customer_id', otherKey: 'tag_id', as: 'tags', onDelete: 'CASCADE' });
+Tag.belongsToMany(Customer, { through: CustomerTag, foreignKey: 'tag_id', otherKey: 'customer_id', as: 'customers', onDelete: 'CASCADE' });
+
+module.exports = CustomerTag;
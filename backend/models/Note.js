@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Customer = require('./Customer');
+
+// Kinds of interaction a note can record
+const NOTE_TYPES = ['call', 'email', 'meeting', 'note'];
+
+const Note = sequelize.define('Note', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM(...NOTE_TYPES),
+    allowNull: false,
+    defaultValue: 'note',
+    validate: {
+      isIn: { args: [NOTE_TYPES], msg: `Type must be one of: ${NOTE_TYPES.join(', ')}` }
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Note body is required' },
+      len: { args: [0, 10000], msg: 'Note body must be at most 10000 characters' }
+    }
+  },
+  author_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Snapshot of the author, kept even if the user is removed later
+  author_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // When the call/meeting/etc. took place; defaults to when it was logged
+  occurred_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    validate: {
+      isDate: { msg: 'occurred_at must be a valid date' }
+    }
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  date_updated: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'customer_notes',
+  timestamps: true,
+  createdAt: 'date_created',
+  updatedAt: 'date_updated',
+  indexes: [
+    { name: 'idx_customer_notes_customer', fields: ['customer_id', 'occurred_at'] }
+  ]
+});
+
+// Notes are removed with their customer when it is purged
+Customer.hasMany(Note, { foreignKey: 'customer_id', as: 'notes', onDelete: 'CASCADE' });
+Note.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+Note.TYPES = NOTE_TYPES;
+
+module.exports = Note;
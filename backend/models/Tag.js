@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Tag = sequelize.define('Tag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: { msg: 'Tag name is required' },
+      len: { args: [1, 50], msg: 'Tag name must be at most 50 characters' }
+    }
+  },
+  // Chip color shown in the dashboard, as #rrggbb
+  color: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    defaultValue: '#4b7fa2',
+    validate: {
+      is: { args: /^#[0-9a-fA-F]{6}$/, msg: 'Color must be a hex value like #4b7fa2' }
+    }
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'tags',
+  timestamps: false
+});
+
+module.exports = Tag;
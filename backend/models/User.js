@@ -0,0 +1,137 @@
+const { DataTypes, Transaction } = require('sequelize');
+const bcrypt = require('bcryptjs');
+const sequelize = require('../config/database');
+const { normalizeEmail } = require('../utils/normalize');
+
+const SALT_ROUNDS = 10;
+
+// Tries at creating the first account before giving up on it
+const REGISTER_ATTEMPTS = 3;
+
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  first_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'First name is required' }
+    }
+  },
+  last_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: { msg: 'Last name is required' }
+    }
+  },
+  // Stored trimmed and in lower case, like customer emails
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    set(value) {
+      this.setDataValue('email', normalizeEmail(value));
+    },
+    validate: {
+      isEmail: { msg: 'Must be a valid email address' }
+    }
+  },
+  password: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'editor', 'viewer'),
+    allowNull: false,
+    defaultValue: 'viewer',
+    validate: {
+      isIn: { args: [['admin', 'editor', 'viewer']], msg: 'Role must be admin, editor or viewer' }
+    }
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'users',
+  timestamps: false,
+  hooks: {
+    // Never store plain text passwords
+    beforeCreate: async (user) => {
+      user.password = await bcrypt.hash(user.password, SALT_ROUNDS);
+    },
+    beforeUpdate: async (user) => {
+      if (user.changed('password')) {
+        user.password = await bcrypt.hash(user.password, SALT_ROUNDS);
+      }
+    }
+  }
+});
+
+// Case-insensitive, so accounts registered before emails were lower-cased are found too
+User.findByEmail = function (email) {
+  return User.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), normalizeEmail(email))
+  });
+};
+
+// The database aborted a transaction because another one used the same rows at the
+// same time: a serialization failure on Postgres, a deadlock on MySQL and MariaDB,
+// a locked database on SQLite
+function isConflict(error) {
+  const code = error.parent && (error.parent.code || error.parent.errno);
+  return error.name === 'SequelizeTimeoutError' || code === '40001' || code === 1213;
+}
+
+// Create an account. The first one becomes the admin so roles can be managed: while
+// there are no users, the count and the insert run in a serializable transaction, so
+// of two registrations at once the database lets only one through and the other
+// tries again and finds a user. Accounts are never deleted, so afterwards no
+// transaction is needed.
+User.register = async function (values) {
+  for (let attempt = 1; ; attempt++) {
+    if (await User.count() > 0) {
+      return User.create(values);
+    }
+    try {
+      return await sequelize.transaction({
+        isolationLevel: Transaction.ISOLATION_LEVELS.SERIALIZABLE,
+        // SQLite: take the write lock when the transaction starts
+        type: Transaction.TYPES.IMMEDIATE
+      }, async (transaction) => {
+        const first = await User.count({ transaction }) === 0;
+        return User.create(first ? { ...values, role: 'admin' } : values, { transaction });
+      });
+    } catch (error) {
+      if (!isConflict(error) || attempt === REGISTER_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Hash of a password nobody has, made once when first needed
+let dummyHash = null;
+
+// Without a hash (no such user) a dummy hash is compared and false returned,
+// so the answer takes as long as for a wrong password
+User.verifyPassword = async function (password, hash) {
+  if (!hash) {
+    dummyHash = dummyHash || bcrypt.hash('dummy-password', SALT_ROUNDS);
+    await bcrypt.compare(password, await dummyHash);
+    return false;
+  }
+  return bcrypt.compare(password, hash);
+};
+
+// Keep the password hash out of API responses
+User.prototype.toJSON = function () {
+  const { password, ...values } = this.get();
+  return values;
+};
+
+module.exports = User;
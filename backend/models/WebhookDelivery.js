@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const WebhookSubscription = require('./WebhookSubscription');
+
+// pending: waiting for its first attempt or a retry; sending: claimed by a server
+// process that is sending it; failed: out of attempts
+const DELIVERY_STATUSES = ['pending', 'sending', 'success', 'failed'];
+
+// One event sent to one subscription, with the outcome of its latest attempt
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subscription_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Shared by every delivery (and replay) of the same event, so receivers can drop repeats
+  event_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false
+  },
+  // The JSON body that is sent
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...DELIVERY_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Null once the delivery succeeded or failed for good
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  // Start of the receiver's response body
+  last_response: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // The delivery this one replays, and when this one was replayed
+  replay_of: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  replayed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: false,
+  indexes: [
+    { name: 'idx_webhook_deliveries_due', fields: ['status', 'next_attempt_at'] },
+    { name: 'idx_webhook_deliveries_subscription', fields: ['subscription_id', 'date_created'] }
+  ]
+});
+
+// The log goes away with its subscription
+WebhookSubscription.hasMany(WebhookDelivery, { foreignKey: 'subscription_id', as: 'deliveries', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookSubscription, { foreignKey: 'subscription_id', as: 'subscription' });
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Customer changes a subscription can ask for
+const WEBHOOK_EVENTS = ['customer.created', 'customer.updated', 'customer.deleted'];
+
+// A secret is made up when none is given
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isHttpUrl(value) {
+        let protocol;
+        try {
+          protocol = new URL(value).protocol;
+        } catch (error) {
+          protocol = null;
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+          throw new Error('URL must be an http or https URL');
+        }
+      }
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Names from WEBHOOK_EVENTS
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    validate: {
+      isEventList(value) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(event => !WEBHOOK_EVENTS.includes(event))) {
+          throw new Error(`Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+      }
+    }
+  },
+  // Signs every delivery (see utils/webhookSignature.js)
+  secret: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: generateSecret,
+    validate: {
+      len: { args: [16, 255], msg: 'Secret must be between 16 and 255 characters' }
+    }
+  },
+  // Deliveries to an inactive subscription wait until it is active again
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  date_created: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  date_updated: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+  timestamps: true,
+  createdAt: 'date_created',
+  updatedAt: 'date_updated'
+});
+
+// The secret is only shown when it is set (see routes/webhooks.js)
+WebhookSubscription.prototype.toJSON = function () {
+  const { secret, ...values } = this.get();
+  return values;
+};
+
+WebhookSubscription.prototype.subscribesTo = function (event) {
+  return this.active && Array.isArray(this.events) && this.events.includes(event);
+};
+
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
@@ -0,0 +1,436 @@
+// Shared schemas, parameters and small builders used by the path files
+const Note = require('../models/Note');
+const CustomerAddress = require('../models/CustomerAddress');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ROLES } = require('../middleware/permissions');
+const { SORTABLE_FIELDS, TAG_MODES } = require('../utils/customerQuery');
+const { MAX_BULK_ITEMS } = require('../utils/bulk');
+
+// Tag ids in a request body
+const TAG_LIST = { type: 'array', maxItems: 100, items: { type: 'integer', minimum: 1 } };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, nullable: true });
+
+// Positive integer id in a URL
+function idParam(name = 'id', description = 'Customer id') {
+  return { name, in: 'path', required: true, description, schema: { type: 'integer', minimum: 1 } };
+}
+
+// Reserved characters are allowed so lists (tags=1,2) and times (12:30) need no escaping
+function query(name, schema, description) {
+  return { name, in: 'query', required: false, allowReserved: true, description, schema };
+}
+
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+// { success: true, data, ...extra }
+function success(description, data, extra = {}) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success'],
+          properties: { success: { type: 'boolean' }, message: { type: 'string' }, ...(data ? { data } : {}), ...extra }
+        }
+      }
+    }
+  };
+}
+
+// A file download; errors before streaming starts are JSON
+function download(description, contentType) {
+  return { description, content: { [contentType]: { schema: { type: 'string', format: 'binary' } } } };
+}
+
+const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+// Every operation falls back to the generic error body
+function responses(map) {
+  return { ...map, default: errorResponse('Error') };
+}
+
+const ENTRY_PROPERTIES = {
+  id: { type: 'integer' },
+  customer_id: { type: 'integer' },
+  is_primary: { type: 'boolean' }
+};
+
+// List filters shared by the customer list, the trash, exports and bulk filters
+const LIST_FILTERS = {
+  first_name: { type: 'string', description: 'First name starts with' },
+  last_name: { type: 'string', description: 'Last name starts with' },
+  created_from: { type: 'string', description: 'Created on or after (date or date-time)' },
+  created_to: { type: 'string', description: 'Created on or before; a bare date includes the whole day' },
+  tags: { type: 'string', pattern: '^\\s*\\d+(\\s*,\\s*\\d+)*\\s*$', description: 'Comma-separated tag ids' },
+  tag_mode: { type: 'string', enum: TAG_MODES, description: 'any (default) or all of the tags' }
+};
+
+const SORT_PARAMS = {
+  sort: { type: 'string', enum: SORTABLE_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc', 'ASC', 'DESC'] }
+};
+
+const PAGE_PARAMS = {
+  page: { type: 'integer', minimum: 1 },
+  limit: { type: 'integer', minimum: 1, description: 'Capped at the endpoint maximum' }
+};
+
+const params = map => Object.entries(map).map(([name, schema]) => query(name, schema, schema.description));
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      error: { type: 'string' },
+      errors: { type: 'array', items: ref('FieldError') },
+      data: {}
+    }
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Where the problem is, e.g. body.email or query.limit' },
+      message: { type: 'string' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' }
+    }
+  },
+  TagRef: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, name: { type: 'string' }, color: { type: 'string' } }
+  },
+  Tag: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      color: { type: 'string' },
+      date_created: dateTime,
+      customer_count: { type: 'integer' }
+    }
+  },
+  TagInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 50 },
+      color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+    }
+  },
+  Address: {
+    type: 'object',
+    properties: {
+      ...ENTRY_PROPERTIES,
+      type: { type: 'string', enum: CustomerAddress.TYPES },
+      street: { type: 'string' },
+      city: nullable({ type: 'string' }),
+      province: nullable({ type: 'string' }),
+      postal_code: nullable({ type: 'string' }),
+      country: nullable({ type: 'string' })
+    }
+  },
+  Phone: {
+    type: 'object',
+    properties: { ...ENTRY_PROPERTIES, label: { type: 'string' }, number: { type: 'string' }, number_e164: nullable({ type: 'string' }) }
+  },
+  Email: {
+    type: 'object',
+    properties: { ...ENTRY_PROPERTIES, label: { type: 'string' }, email: { type: 'string' } }
+  },
+  AddressInput: {
+    type: 'object',
+    required: ['street'],
+    properties: {
+      is_primary: { type: 'boolean' },
+      type: { type: 'string', enum: CustomerAddress.TYPES },
+      street: { type: 'string', minLength: 1 },
+      city: nullable({ type: 'string', maxLength: 100 }),
+      province: nullable({ type: 'string', maxLength: 100 }),
+      postal_code: nullable({ type: 'string', maxLength: 20 }),
+      country: nullable({ type: 'string', maxLength: 100 })
+    }
+  },
+  PhoneInput: {
+    type: 'object',
+    required: ['number'],
+    properties: {
+      is_primary: { type: 'boolean' },
+      label: { type: 'string', maxLength: 30 },
+      number: { type: 'string', minLength: 1, maxLength: 20 }
+    }
+  },
+  EmailInput: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      is_primary: { type: 'boolean' },
+      label: { type: 'string', maxLength: 30 },
+      email: { type: 'string', format: 'email', maxLength: 255 }
+    }
+  },
+  Customer: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' },
+      phone_e164: nullable({ type: 'string' }),
+      address: { type: 'string' },
+      version: { type: 'integer' },
+      date_created: dateTime,
+      date_updated: nullable(dateTime),
+      date_deleted: nullable(dateTime),
+      tags: { type: 'array', items: ref('TagRef') },
+      addresses: { type: 'array', items: ref('Address') },
+      phones: { type: 'array', items: ref('Phone') },
+      emails: { type: 'array', items: ref('Email') }
+    }
+  },
+  // Lists, when sent, replace the customer's entries and set email/phone/address from the primary one
+  CustomerInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      first_name: { type: 'string', minLength: 2, maxLength: 100 },
+      last_name: { type: 'string', minLength: 2, maxLength: 100 },
+      email: { type: 'string', format: 'email', maxLength: 255 },
+      phone: { type: 'string', minLength: 1, maxLength: 20 },
+      address: { type: 'string', minLength: 1 },
+      addresses: { type: 'array', minItems: 1, maxItems: 20, items: ref('AddressInput') },
+      phones: { type: 'array', minItems: 1, maxItems: 20, items: ref('PhoneInput') },
+      emails: { type: 'array', minItems: 1, maxItems: 20, items: ref('EmailInput') },
+      tag_ids: TAG_LIST,
+      version: { type: 'integer', minimum: 0, description: 'Refuse the update unless the customer is still at this version' }
+    }
+  },
+  CustomerStats: {
+    type: 'object',
+    properties: {
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      interval: { type: 'string' },
+      totals: {
+        type: 'object',
+        properties: {
+          customers: { type: 'integer', description: 'All customers not in the trash' },
+          new_customers: { type: 'integer', description: 'Created in the range' },
+          previous_period: {
+            type: 'object',
+            description: 'The same number of days just before the range',
+            properties: {
+              from: { type: 'string', format: 'date' },
+              to: { type: 'string', format: 'date' },
+              new_customers: { type: 'integer' }
+            }
+          },
+          growth_percent: nullable({ type: 'number', description: 'null when the previous period had none' })
+        }
+      },
+      series: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { period: { type: 'string', format: 'date', description: 'First day of the period' }, count: { type: 'integer' } }
+        }
+      },
+      email_domains: {
+        type: 'array',
+        items: { type: 'object', properties: { domain: { type: 'string' }, count: { type: 'integer' } } }
+      },
+      regions: {
+        type: 'array',
+        description: 'Province (or city) and country of the primary address',
+        items: {
+          type: 'object',
+          properties: { region: nullable({ type: 'string' }), country: nullable({ type: 'string' }), count: { type: 'integer' } }
+        }
+      }
+    }
+  },
+  CustomerEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Audit entry id, also the event id' },
+      action: { type: 'string', description: 'Audit action: create, update, merge, restore, delete or purge' },
+      customer_id: { type: 'integer' },
+      actor: nullable({ type: 'object', properties: { id: { type: 'integer' }, email: { type: 'string' } } }),
+      changed: { type: 'array', items: { type: 'string' } },
+      customer: nullable({ allOf: [ref('Customer')], description: 'The customer now with its tags; null once in the trash or deleted' }),
+      date_created: dateTime
+    }
+  },
+  DuplicateMatch: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      score: { type: 'number' }
+    }
+  },
+  Note: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      customer_id: { type: 'integer' },
+      type: { type: 'string', enum: Note.TYPES },
+      body: { type: 'string' },
+      author_id: nullable({ type: 'integer' }),
+      author_email: nullable({ type: 'string' }),
+      occurred_at: dateTime,
+      date_created: dateTime,
+      date_updated: nullable(dateTime)
+    }
+  },
+  NoteInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      type: { type: 'string', enum: Note.TYPES },
+      body: { type: 'string', minLength: 1, maxLength: 10000 },
+      occurred_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      entity_type: { type: 'string' },
+      entity_id: { type: 'integer' },
+      action: { type: 'string' },
+      actor_id: nullable({ type: 'integer' }),
+      actor_email: nullable({ type: 'string' }),
+      changes: { type: 'object', description: '{ field: { before, after } }' },
+      date_created: dateTime
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      date_created: dateTime
+    }
+  },
+  SessionUser: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      permissions: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  WebhookSubscription: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      events: { type: 'array', items: { type: 'string', enum: WebhookSubscription.EVENTS } },
+      secret: { type: 'string', description: 'Only in the response that set it' },
+      active: { type: 'boolean' },
+      created_by: nullable({ type: 'integer' }),
+      date_created: dateTime,
+      date_updated: nullable(dateTime)
+    }
+  },
+  WebhookSubscriptionInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      url: { type: 'string', minLength: 1, maxLength: 2048, description: 'http or https URL the events are POSTed to' },
+      description: nullable({ type: 'string', maxLength: 255 }),
+      events: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', enum: WebhookSubscription.EVENTS }
+      },
+      secret: { type: 'string', minLength: 16, maxLength: 255, description: 'Signs deliveries; generated when left out' },
+      active: { type: 'boolean' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      subscription_id: { type: 'integer' },
+      event: { type: 'string' },
+      event_id: { type: 'string', description: 'Same for every delivery and replay of the event' },
+      payload: { type: 'object', description: 'The body sent; left out of the delivery log list' },
+      status: { type: 'string', enum: WebhookDelivery.STATUSES },
+      attempts: { type: 'integer' },
+      next_attempt_at: nullable(dateTime),
+      last_attempt_at: nullable(dateTime),
+      last_status_code: nullable({ type: 'integer' }),
+      last_error: nullable({ type: 'string' }),
+      last_response: nullable({ type: 'string' }),
+      duration_ms: nullable({ type: 'integer' }),
+      delivered_at: nullable(dateTime),
+      replay_of: nullable({ type: 'integer' }),
+      replayed_at: nullable(dateTime),
+      date_created: dateTime
+    }
+  },
+  // ids or filter picks the customers of a bulk operation
+  BulkTarget: {
+    type: 'object',
+    properties: {
+      ids: { type: 'array', maxItems: MAX_BULK_ITEMS, items: { type: 'integer', minimum: 1 } },
+      filter: { type: 'object', properties: LIST_FILTERS }
+    }
+  },
+  BulkResult: {
+    type: 'object',
+    properties: {
+      results: { type: 'array', items: { type: 'object' } },
+      summary: { type: 'object', additionalProperties: { type: 'integer' } }
+    }
+  }
+};
+
+module.exports = {
+  ref,
+  dateTime,
+  idParam,
+  query,
+  params,
+  jsonBody,
+  success,
+  download,
+  errorResponse,
+  responses,
+  schemas,
+  TAG_LIST,
+  LIST_FILTERS,
+  SORT_PARAMS,
+  PAGE_PARAMS
+};
@@ -0,0 +1,50 @@
+// OpenAPI 3 description of every /api route. Served at /api/openapi.json, browsable
+// at /api/docs and used by middleware/validate.js to check requests and responses.
+const { version } = require('../package.json');
+const { schemas } = require('./components');
+
+const paths = {
+  ...require('./paths/auth'),
+  ...require('./paths/customers'),
+  ...require('./paths/notes'),
+  ...require('./paths/tags'),
+  ...require('./paths/admin'),
+  ...require('./paths/webhooks'),
+  '/health': {
+    get: {
+      tags: ['Health'],
+      summary: 'Is the server up',
+      security: [],
+      responses: {
+        200: {
+          description: 'Running',
+          content: {
+            'application/json': {
+              schema: { type: 'object', properties: { status: { type: 'string' }, message: { type: 'string' } } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Customer Management API',
+    version,
+    description: 'Responses share the { success, message, data } envelope. Invalid requests get a 400 ' +
+      'whose errors list each problem as { field, message }.'
+  },
+  servers: [{ url: '/api' }],
+  // Every route needs a token from /auth/login unless it says otherwise
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas
+  }
+};
@@ -0,0 +1,44 @@
+const { ref, idParam, params, jsonBody, success, responses, PAGE_PARAMS } = require('../components');
+const { ROLES } = require('../../middleware/permissions');
+
+module.exports = {
+  '/users': {
+    get: {
+      tags: ['Users'],
+      summary: 'List users with their roles (manage_users)',
+      responses: responses({ 200: success('Users', { type: 'array', items: ref('User') }) })
+    }
+  },
+  '/users/{id}/role': {
+    put: {
+      tags: ['Users'],
+      summary: "Change a user's role (manage_users). The last admin cannot be demoted.",
+      parameters: [idParam('id', 'User id')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['role'],
+        properties: { role: { type: 'string', enum: ROLES } }
+      }),
+      responses: responses({ 200: success('Role updated', ref('User')) })
+    }
+  },
+  '/audit': {
+    get: {
+      tags: ['Audit'],
+      summary: 'Audit trail, newest first (view_audit)',
+      parameters: params({
+        entity_type: { type: 'string' },
+        entity_id: { type: 'integer', minimum: 1 },
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge', 'merge'] },
+        actor_id: { type: 'integer', minimum: 1 },
+        from: { type: 'string', description: 'On or after (date or date-time)' },
+        to: { type: 'string', description: 'On or before (date or date-time)' },
+        ...PAGE_PARAMS
+      }),
+      responses: responses({
+        200: success('Audit entries', { type: 'array', items: ref('AuditEntry') }, { pagination: ref('Pagination') })
+      })
+    }
+  }
+};
@@ -0,0 +1,87 @@
+const { ref, jsonBody, errorResponse, responses } = require('../components');
+
+// Auth routes answer with { message, token, user } rather than the usual envelope
+const session = description => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { message: { type: 'string' }, token: { type: 'string' }, user: ref('SessionUser') }
+      }
+    }
+  }
+});
+
+const integerHeader = description => ({ description, schema: { type: 'integer' } });
+
+// Sent with every answer of a rate-limited route
+const rateLimitHeaders = {
+  'RateLimit-Limit': integerHeader('Requests allowed per client address and window'),
+  'RateLimit-Remaining': integerHeader('Requests left in the current window'),
+  'RateLimit-Reset': integerHeader('Seconds until the window starts over')
+};
+
+const tooManyRequests = {
+  ...errorResponse('Too many requests from this address'),
+  headers: { ...rateLimitHeaders, 'Retry-After': integerHeader('Seconds to wait') }
+};
+
+module.exports = {
+  '/auth/register': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Create an account and log in (the first account becomes admin)',
+      security: [],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['first_name', 'last_name', 'email', 'password', 'passwordConfirm'],
+        properties: {
+          first_name: { type: 'string', minLength: 1, maxLength: 100 },
+          last_name: { type: 'string', minLength: 1, maxLength: 100 },
+          email: { type: 'string', format: 'email', maxLength: 255 },
+          password: { type: 'string', minLength: 6 },
+          passwordConfirm: { type: 'string' }
+        }
+      }),
+      responses: responses({ 201: { ...session('Registered'), headers: rateLimitHeaders }, 429: tooManyRequests })
+    }
+  },
+  '/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in with email and password',
+      security: [],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 }
+        }
+      }),
+      responses: responses({
+        200: { ...session('Logged in'), headers: rateLimitHeaders },
+        423: {
+          ...errorResponse('Locked after too many failed logins'),
+          headers: { ...rateLimitHeaders, 'Retry-After': integerHeader('Seconds until the account is unlocked') }
+        },
+        429: tooManyRequests
+      })
+    }
+  },
+  '/auth/me': {
+    get: {
+      tags: ['Auth'],
+      summary: 'The logged-in user with their permissions',
+      responses: responses({
+        200: {
+          description: 'Current user',
+          content: { 'application/json': { schema: { type: 'object', properties: { user: ref('SessionUser') } } } }
+        }
+      })
+    }
+  }
+};
@@ -0,0 +1,334 @@
+const {
+  ref, idParam, query, params, jsonBody, success, download, responses,
+  TAG_LIST, LIST_FILTERS, SORT_PARAMS, PAGE_PARAMS
+} = require('../components');
+const { EXPORTERS } = require('../../utils/exporters');
+const { EXPORT_COLUMNS } = require('../../utils/exportQuery');
+const { BULK_UPDATABLE_FIELDS } = require('../../utils/bulk');
+const { CUSTOMER_FIELDS } = require('../../utils/audit');
+const { LOSER_ACTIONS } = require('../../utils/merge');
+const { DUPLICATE_STRATEGIES } = require('../../utils/csvImport');
+const { INTERVALS, MAX_TOP } = require('../../utils/customerStats');
+
+const customers = { type: 'array', items: ref('Customer') };
+const etag = { ETag: { description: 'Current version, for If-Match', schema: { type: 'string' } } };
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag last seen; the request fails with 412 if the customer changed since',
+  schema: { type: 'string' }
+};
+
+// Saved customer plus probable duplicates of it
+const saved = (description) => ({
+  ...success(description, ref('Customer'), { duplicates: { type: 'array', items: ref('DuplicateMatch') } }),
+  headers: etag
+});
+
+const conflict = description => ({
+  ...success(`${description}; data is the customer as it is now`, ref('Customer')),
+  headers: etag
+});
+
+const bulkBody = extra => jsonBody({ allOf: [ref('BulkTarget'), { type: 'object', properties: extra }] });
+
+module.exports = {
+  '/customers': {
+    get: {
+      tags: ['Customers'],
+      summary: 'List customers (paginated, sortable and filterable)',
+      parameters: params({ ...PAGE_PARAMS, ...SORT_PARAMS, ...LIST_FILTERS }),
+      responses: responses({ 200: success('Customers', customers, { pagination: ref('Pagination') }) })
+    },
+    post: {
+      tags: ['Customers'],
+      summary: 'Create a customer',
+      requestBody: jsonBody({ allOf: [ref('CustomerInput')], required: ['first_name', 'last_name'] }),
+      responses: responses({ 201: saved('Customer created') })
+    }
+  },
+  '/customers/search': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Search by name, email, phone digits and address, best match first',
+      parameters: [
+        { ...query('q', { type: 'string', minLength: 1 }, 'Search terms'), required: true },
+        query('limit', PAGE_PARAMS.limit)
+      ],
+      responses: responses({
+        200: success('Ranked matches', customers, { total: { type: 'integer', description: 'Every match, not only those returned' }, terms: { type: 'array', items: { type: 'string' } } })
+      })
+    }
+  },
+  '/customers/stats': {
+    get: {
+      tags: ['Customers'],
+      summary: 'New customers per period, growth and breakdowns by email domain and region',
+      description: 'Days are UTC and weeks start on Monday. The first and last periods may extend past the range; ' +
+        'only customers created inside the range are counted. Breakdowns cover the same customers.',
+      parameters: params({
+        from: { type: 'string', format: 'date', description: 'First day (default: 29 days before to)' },
+        to: { type: 'string', format: 'date', description: 'Last day, inclusive (default: today)' },
+        interval: { type: 'string', enum: INTERVALS },
+        top: { type: 'integer', minimum: 1, maximum: MAX_TOP, description: 'Rows in each breakdown (default 10)' }
+      }),
+      responses: responses({ 200: success('Customer stats', ref('CustomerStats')) })
+    }
+  },
+  '/customers/events': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Server-Sent Events stream of customer changes',
+      description: 'Events are named customer.created, customer.updated and customer.deleted; their data is ' +
+        'a CustomerEvent. Each id is an audit entry id. After connecting (and after any replay) a ready event ' +
+        'is sent; a reset event means too many changes were missed and the list should be reloaded. ' +
+        'A ": ping" comment keeps the connection open.',
+      parameters: [{
+        name: 'Last-Event-ID',
+        in: 'header',
+        required: false,
+        description: 'Id of the last event received; the changes after it are sent first',
+        schema: { type: 'string', pattern: '^\\d+$' }
+      }],
+      responses: responses({
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      })
+    }
+  },
+  '/customers/duplicates': {
+    get: {
+      tags: ['Duplicates'],
+      summary: 'Likely duplicate pairs scored on name, phone and address similarity',
+      parameters: params({ threshold: { type: 'number', minimum: 0, maximum: 1 }, limit: PAGE_PARAMS.limit }),
+      responses: responses({
+        200: success('Pairs', { type: 'array', items: { type: 'object' } }, {
+          total: { type: 'integer' },
+          truncated: {
+            type: 'array',
+            description: 'Blocks of customers sharing a phone number or last name that were too large to compare in full; only their oldest customers were compared',
+            items: {
+              type: 'object',
+              properties: { key: { type: 'string' }, size: { type: 'integer' }, compared: { type: 'integer' } }
+            }
+          }
+        })
+      })
+    }
+  },
+  '/customers/merge': {
+    post: {
+      tags: ['Duplicates'],
+      summary: 'Merge the loser into the survivor',
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['survivor_id', 'loser_id'],
+        properties: {
+          survivor_id: { type: 'integer', minimum: 1 },
+          loser_id: { type: 'integer', minimum: 1 },
+          fields: {
+            type: 'object',
+            description: 'Which customer each value is taken from (survivor by default)',
+            additionalProperties: false,
+            properties: Object.fromEntries(CUSTOMER_FIELDS.map(field => [field, { type: 'string', enum: ['survivor', 'loser'] }]))
+          },
+          loser_action: { type: 'string', enum: LOSER_ACTIONS }
+        }
+      }),
+      responses: responses({ 200: success('Merged', { type: 'object' }) })
+    }
+  },
+  '/customers/trash': {
+    get: {
+      tags: ['Trash'],
+      summary: 'Customers in the trash, most recently deleted first',
+      parameters: params({ ...PAGE_PARAMS, ...LIST_FILTERS }),
+      responses: responses({ 200: success('Trashed customers', customers, { pagination: ref('Pagination') }) })
+    },
+    delete: {
+      tags: ['Trash'],
+      summary: 'Permanently delete trashed customers older than the retention period',
+      parameters: params({ older_than_days: { type: 'integer', minimum: 0, description: 'Overrides TRASH_RETENTION_DAYS' } }),
+      responses: responses({
+        200: success('Purged', { type: 'object', properties: { purged: { type: 'integer' } } })
+      })
+    }
+  },
+  '/customers/{id}/restore': {
+    post: {
+      tags: ['Trash'],
+      summary: 'Restore a customer from the trash',
+      parameters: [idParam()],
+      responses: responses({ 200: success('Restored', ref('Customer')) })
+    }
+  },
+  '/customers/bulk/delete': {
+    post: {
+      tags: ['Bulk'],
+      summary: 'Move many customers to the trash',
+      requestBody: bulkBody({}),
+      responses: responses({ 200: success('Per-customer results', ref('BulkResult')) })
+    }
+  },
+  '/customers/bulk/update': {
+    post: {
+      tags: ['Bulk'],
+      summary: 'Set fields on many customers',
+      requestBody: bulkBody({
+        changes: {
+          type: 'object',
+          additionalProperties: false,
+          minProperties: 1,
+          properties: Object.fromEntries(BULK_UPDATABLE_FIELDS.map(field => [field, { type: 'string' }]))
+        }
+      }),
+      responses: responses({ 200: success('Per-customer results', ref('BulkResult')) })
+    }
+  },
+  '/customers/bulk/tags': {
+    post: {
+      tags: ['Bulk'],
+      summary: 'Add and remove tags on many customers',
+      requestBody: bulkBody({
+        add: TAG_LIST,
+        remove: TAG_LIST
+      }),
+      responses: responses({ 200: success('Per-customer results', ref('BulkResult')) })
+    }
+  },
+  '/customers/import': {
+    post: {
+      tags: ['Import'],
+      summary: 'Import customers from a CSV upload',
+      description: 'Options may also be sent as query parameters.',
+      parameters: params({
+        mode: { type: 'string', enum: ['dry-run', 'commit'] },
+        on_duplicate: { type: 'string', enum: DUPLICATE_STRATEGIES },
+        mapping: { type: 'string', description: 'JSON object of CSV header -> customer field' }
+      }),
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            // file is required; the route's own upload handler checks for it
+            schema: {
+              type: 'object',
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'The CSV (required, at most 5 MB)' },
+                mode: { type: 'string', enum: ['dry-run', 'commit'] },
+                on_duplicate: { type: 'string', enum: DUPLICATE_STRATEGIES },
+                mapping: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: responses({ 200: success('Import report', { type: 'object' }) })
+    }
+  },
+  '/customers/export/{format}': {
+    get: {
+      tags: ['Export'],
+      summary: 'Download the customers matching the list filters',
+      parameters: [
+        { name: 'format', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(EXPORTERS) } },
+        ...params({
+          ...SORT_PARAMS,
+          ...LIST_FILTERS,
+          columns: {
+            type: 'string',
+            description: `Comma-separated columns, in order: ${EXPORT_COLUMNS.map(column => column.id).join(', ')}`
+          },
+          title: { type: 'string', description: 'PDF only' },
+          orientation: { type: 'string', enum: ['portrait', 'landscape'], description: 'PDF only' }
+        })
+      ],
+      responses: responses({
+        200: {
+          description: 'The export file',
+          content: Object.fromEntries(Object.values(EXPORTERS).map(({ contentType }) => [
+            contentType.split(';')[0],
+            { schema: { type: 'string', format: 'binary' } }
+          ]))
+        }
+      })
+    }
+  },
+  '/customers/{id}': {
+    parameters: [idParam()],
+    get: {
+      tags: ['Customers'],
+      summary: 'A customer with its tags and contact lists',
+      responses: responses({ 200: { ...success('Customer', ref('Customer')), headers: etag } })
+    },
+    put: {
+      tags: ['Customers'],
+      summary: 'Replace a customer',
+      description: 'Every field must be sent: email, phone and address either directly or as the primary entry of emails, phones and addresses. ' +
+        'Use PATCH to change only some fields.',
+      parameters: [ifMatch],
+      requestBody: jsonBody({ allOf: [ref('CustomerInput')], required: ['first_name', 'last_name'] }),
+      responses: responses({ 200: saved('Customer updated'), 409: conflict('Body version is stale'), 412: conflict('If-Match does not match') })
+    },
+    patch: {
+      tags: ['Customers'],
+      summary: 'Change only the fields in the body',
+      parameters: [ifMatch],
+      requestBody: jsonBody(ref('CustomerInput')),
+      responses: responses({ 200: saved('Customer updated'), 409: conflict('Body version is stale'), 412: conflict('If-Match does not match') })
+    },
+    delete: {
+      tags: ['Customers'],
+      summary: 'Move a customer to the trash',
+      parameters: [ifMatch],
+      responses: responses({ 200: success('Moved to trash'), 412: conflict('If-Match does not match') })
+    }
+  },
+  '/customers/{id}/tags': {
+    post: {
+      tags: ['Tags'],
+      summary: 'Tag a customer',
+      parameters: [idParam()],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['tag_id'],
+        properties: { tag_id: { type: 'integer', minimum: 1 } }
+      }),
+      responses: responses({ 200: success('Tag added', ref('Customer')) })
+    }
+  },
+  '/customers/{id}/tags/{tagId}': {
+    delete: {
+      tags: ['Tags'],
+      summary: 'Untag a customer',
+      parameters: [idParam(), idParam('tagId', 'Tag id')],
+      responses: responses({ 200: success('Tag removed', ref('Customer')) })
+    }
+  },
+  '/customers/{id}/history': {
+    get: {
+      tags: ['Audit'],
+      summary: "A customer's change history, newest first",
+      parameters: [idParam()],
+      responses: responses({ 200: success('Audit entries', { type: 'array', items: ref('AuditEntry') }) })
+    }
+  },
+  '/customers/{id}/export/pdf': {
+    get: {
+      tags: ['Export'],
+      summary: 'One-page profile sheet with recent interactions and history',
+      parameters: [idParam()],
+      responses: responses({ 200: download('PDF profile', 'application/pdf') })
+    }
+  },
+  '/customers/{id}/vcard': {
+    get: {
+      tags: ['Export'],
+      summary: 'vCard of a customer',
+      parameters: [idParam()],
+      responses: responses({ 200: download('vCard', 'text/vcard') })
+    }
+  }
+};
@@ -0,0 +1,38 @@
+const { ref, idParam, params, jsonBody, success, responses, PAGE_PARAMS } = require('../components');
+const Note = require('../../models/Note');
+
+const noteId = idParam('noteId', 'Note id');
+
+module.exports = {
+  '/customers/{id}/notes': {
+    parameters: [idParam()],
+    get: {
+      tags: ['Notes'],
+      summary: "A customer's notes, most recent interaction first",
+      parameters: params({ type: { type: 'string', enum: Note.TYPES }, ...PAGE_PARAMS }),
+      responses: responses({
+        200: success('Notes', { type: 'array', items: ref('Note') }, { pagination: ref('Pagination') })
+      })
+    },
+    post: {
+      tags: ['Notes'],
+      summary: 'Add a note; the logged-in user is its author',
+      requestBody: jsonBody({ allOf: [ref('NoteInput')], required: ['body'] }),
+      responses: responses({ 201: success('Note added', ref('Note')) })
+    }
+  },
+  '/customers/{id}/notes/{noteId}': {
+    parameters: [idParam(), noteId],
+    put: {
+      tags: ['Notes'],
+      summary: 'Edit a note (its author, or users who may delete customers)',
+      requestBody: jsonBody(ref('NoteInput')),
+      responses: responses({ 200: success('Note updated', ref('Note')) })
+    },
+    delete: {
+      tags: ['Notes'],
+      summary: 'Delete a note (its author, or users who may delete customers)',
+      responses: responses({ 200: success('Note deleted') })
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const { ref, idParam, jsonBody, success, responses } = require('../components');
+
+module.exports = {
+  '/tags': {
+    get: {
+      tags: ['Tags'],
+      summary: 'List tags with how many customers carry each',
+      responses: responses({ 200: success('Tags', { type: 'array', items: ref('Tag') }) })
+    },
+    post: {
+      tags: ['Tags'],
+      summary: 'Create a tag',
+      requestBody: jsonBody({ allOf: [ref('TagInput')], required: ['name'] }),
+      responses: responses({ 201: success('Tag created', ref('Tag')) })
+    }
+  },
+  '/tags/{id}': {
+    parameters: [idParam('id', 'Tag id')],
+    put: {
+      tags: ['Tags'],
+      summary: 'Rename or recolor a tag',
+      requestBody: jsonBody(ref('TagInput')),
+      responses: responses({ 200: success('Tag updated', ref('Tag')) })
+    },
+    delete: {
+      tags: ['Tags'],
+      summary: 'Delete a tag; it is removed from every customer',
+      responses: responses({ 200: success('Tag deleted') })
+    }
+  }
+};
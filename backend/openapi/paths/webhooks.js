@@ -0,0 +1,85 @@
+const { ref, idParam, params, jsonBody, success, responses, PAGE_PARAMS } = require('../components');
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+
+const deliveryParam = idParam('deliveryId', 'Delivery id');
+
+module.exports = {
+  '/webhooks': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'List webhook subscriptions (manage_webhooks)',
+      responses: responses({ 200: success('Subscriptions', { type: 'array', items: ref('WebhookSubscription') }) })
+    },
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Subscribe a URL to customer events (manage_webhooks)',
+      description: 'Each event is POSTed as JSON with X-Webhook-Event, X-Webhook-Id, X-Webhook-Delivery, ' +
+        'X-Webhook-Timestamp and X-Webhook-Signature headers. The signature is "sha256=" followed by the hex ' +
+        'HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret. Failed deliveries are retried with ' +
+        'exponential backoff.',
+      requestBody: jsonBody({ allOf: [ref('WebhookSubscriptionInput')], required: ['url', 'events'] }),
+      responses: responses({ 201: success('Subscription created, with its secret', ref('WebhookSubscription')) })
+    }
+  },
+  '/webhooks/{id}': {
+    parameters: [idParam('id', 'Subscription id')],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'A webhook subscription',
+      responses: responses({ 200: success('Subscription', ref('WebhookSubscription')) })
+    },
+    patch: {
+      tags: ['Webhooks'],
+      summary: 'Change a subscription; sending a secret replaces it',
+      requestBody: jsonBody(ref('WebhookSubscriptionInput')),
+      responses: responses({ 200: success('Subscription updated', ref('WebhookSubscription')) })
+    },
+    delete: {
+      tags: ['Webhooks'],
+      summary: 'Unsubscribe; the delivery log is deleted too',
+      responses: responses({ 200: success('Subscription deleted') })
+    }
+  },
+  '/webhooks/{id}/deliveries': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Delivery log of a subscription, newest first',
+      parameters: [
+        idParam('id', 'Subscription id'),
+        ...params({
+          status: { type: 'string', enum: WebhookDelivery.STATUSES },
+          event: { type: 'string', enum: WebhookSubscription.EVENTS },
+          ...PAGE_PARAMS
+        })
+      ],
+      responses: responses({
+        200: success('Deliveries', { type: 'array', items: ref('WebhookDelivery') }, { pagination: ref('Pagination') })
+      })
+    }
+  },
+  '/webhooks/{id}/replay': {
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Send every failed delivery of a subscription again',
+      parameters: [idParam('id', 'Subscription id')],
+      responses: responses({ 200: success('New deliveries', { type: 'array', items: ref('WebhookDelivery') }) })
+    }
+  },
+  '/webhooks/deliveries/{deliveryId}': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'A delivery with its payload',
+      parameters: [deliveryParam],
+      responses: responses({ 200: success('Delivery', ref('WebhookDelivery')) })
+    }
+  },
+  '/webhooks/deliveries/{deliveryId}/replay': {
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Send a finished (successful or failed) delivery again as a new delivery',
+      parameters: [deliveryParam],
+      responses: responses({ 201: success('New delivery', ref('WebhookDelivery')) })
+    }
+  }
+};
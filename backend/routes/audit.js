@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const AuditLog = require('../models/AuditLog');
+const { buildPagination } = require('../utils/customerQuery');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// List audit entries, filterable by entity, action, actor and date range
+router.get('/', async (req, res) => {
+  try {
+    const { entity_type, entity_id, action, actor_id, from, to } = req.query;
+    const where = {};
+
+    if (entity_type) where.entity_type = entity_type;
+    if (entity_id) where.entity_id = entity_id;
+    if (action) where.action = action;
+    if (actor_id) where.actor_id = actor_id;
+
+    if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    if (from || to) {
+      where.date_created = {};
+      if (from) where.date_created[Op.gte] = new Date(from);
+      if (to) where.date_created[Op.lte] = new Date(to);
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      order: [['date_created', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({ success: true, data: rows, pagination: buildPagination({ page, limit }, count) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit log', error: error.message });
+  }
+});
+
+module.exports = router;
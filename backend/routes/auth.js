@@ -3,17 +3,34 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const config = require('../config');
+const { authenticate } = require('../middleware/auth');
+const { permissionsFor } = require('../middleware/permissions');
+const { sendValidationError } = require('../utils/validation');
+const { limitByIp, limitByEmail, lockedFor, recordLoginFailure, clearLoginFailures, waitText } = require('../middleware/rateLimit');
+const { logSecurityEvent } = require('../utils/securityLog');
 
 // EXPLANATION:
 // express.Router(): Creates modular route handlers
 // jwt: Creates and signs authentication tokens
 // User model: Handles database operations for users
+// limitByIp: Answers 429 once an address sent too many requests (see middleware/rateLimit.js)
+// limitByEmail: Answers 429 once too many registrations were tried for one email
+
+// Lockout answer: 423 Locked, with how long to wait
+function sendLocked(res, seconds) {
+    res.set('Retry-After', String(seconds));
+    return res.status(423).json({
+        success: false,
+        message: `Too many failed logins. This account is locked; try again in ${waitText(seconds)}.`
+    });
+}
 
 // ============================================
 // REGISTER ROUTE - Create new user account
 // ============================================
 // POST /api/auth/register
-router.post('/register', async (req, res) => {
+router.post('/register', limitByIp('register'), limitByEmail('register'), async (req, res) => {
     // EXPLANATION:
     // This endpoint handles user registration
     // Client sends: first_name, last_name, email, password, passwordConfirm
@@ -26,45 +43,21 @@ router.post('/register', async (req, res) => {
         // VALIDATION
         // ============================================
         
-        // Check if all fields are provided
-        if (!first_name || !last_name || !email || !password || !passwordConfirm) {
-            return res.status(400).json({ 
-                error: 'All fields are required' 
-            });
-        }
-        
         // EXPLANATION:
-        // 400 Bad Request: Client sent invalid data
-        // Return immediately to stop execution
+        // Required fields, email format and password length (at least 6 characters)
+        // are checked against the API document (openapi/paths/auth.js) before this
+        // handler runs; invalid requests get a 400 listing each field error
         
-        // Check if passwords match
+        // Check if passwords match (reported like the other field errors)
         if (password !== passwordConfirm) {
-            return res.status(400).json({ 
-                error: 'Passwords do not match' 
-            });
+            return sendValidationError(res, [
+                { field: 'body.passwordConfirm', message: 'Passwords do not match' }
+            ]);
         }
         
-        // Check password length
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                error: 'Password must be at least 6 characters' 
-            });
-        }
-        
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ 
-                error: 'Invalid email format' 
-            });
-        }
-        
-        // EXPLANATION OF EMAIL REGEX:
-        // ^[^\s@]+ : Start with one or more non-space, non-@ characters
-        // @ : Must contain @
-        // [^\s@]+ : Followed by non-space, non-@ characters
-        // \. : Must contain dot
-        // [^\s@]+$ : End with non-space, non-@ characters
+        // EXPLANATION:
+        // 400 Bad Request: Client sent invalid data
+        // Return immediately to stop execution
         
         // ============================================
         // CHECK IF EMAIL ALREADY EXISTS
@@ -73,8 +66,9 @@ router.post('/register', async (req, res) => {
         const existingUser = await User.findByEmail(email);
         
         if (existingUser) {
-            return res.status(409).json({ 
-                error: 'Email already registered' 
+            return res.status(409).json({
+                success: false,
+                message: 'Email already registered' 
             });
         }
         
@@ -86,15 +80,16 @@ router.post('/register', async (req, res) => {
         // CREATE USER
         // ============================================
         
-        const newUser = await User.create({
+        const newUser = await User.register({
             first_name,
             last_name,
             email,
-            password // Will be hashed in User.create()
+            password // Will be hashed in User.register()
         });
         
         // EXPLANATION:
-        // User.create() handles password hashing with bcrypt
+        // User.register() handles password hashing with bcrypt
+        // and makes the first account the admin
         // Never store plain text passwords in database
         
         // ============================================
@@ -110,14 +105,14 @@ router.post('/register', async (req, res) => {
         // Sign token with secret and set expiration
         const token = jwt.sign(
             payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' } // Token expires in 24 hours
+            config.jwt.secret,
+            { expiresIn: config.jwt.expiresIn } // Token expires after JWT_EXPIRES_IN (24h by default)
         );
         
         // EXPLANATION OF JWT:
         // Token contains user id and email
         // Signed with secret key (only server knows this)
-        // Expires in 24 hours (user must login again)
+        // Expires after 24 hours by default (user must login again)
         // Client stores this token and sends with each request
         
         // ============================================
@@ -131,7 +126,9 @@ router.post('/register', async (req, res) => {
                 id: newUser.id,
                 first_name: newUser.first_name,
                 last_name: newUser.last_name,
-                email: newUser.email
+                email: newUser.email,
+                role: newUser.role,
+                permissions: permissionsFor(newUser.role)
             }
         });
         
@@ -142,8 +139,9 @@ router.post('/register', async (req, res) => {
         
     } catch (error) {
         console.error('Registration error:', error);
-        res.status(500).json({ 
-            error: 'Registration failed. Please try again.' 
+        res.status(500).json({
+            success: false,
+            message: 'Registration failed. Please try again.' 
         });
         // 500 Internal Server Error: Unexpected error occurred
     }
@@ -153,7 +151,7 @@ router.post('/register', async (req, res) => {
 // LOGIN ROUTE - Authenticate existing user
 // ============================================
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', limitByIp('login'), async (req, res) => {
     // EXPLANATION:
     // This endpoint handles user login
     // Client sends: email, password
@@ -162,50 +160,63 @@ router.post('/login', async (req, res) => {
         // Extract credentials from request body
         const { email, password } = req.body;
         
+        // Email and password are required by the API document (openapi/paths/auth.js)
+        // The email arrives trimmed and lower-cased (normalizeEmailFields in server.js),
+        // so the lockout and the account lookup use the same address
+        
         // ============================================
-        // VALIDATION
+        // CHECK ACCOUNT LOCKOUT
         // ============================================
         
-        // Check if credentials are provided
-        if (!email || !password) {
-            return res.status(400).json({ 
-                error: 'Email and password are required' 
-            });
+        const lockSeconds = await lockedFor(email);
+        
+        if (lockSeconds > 0) {
+            return sendLocked(res, lockSeconds);
         }
         
+        // EXPLANATION:
+        // 423 Locked: LOGIN_LOCKOUT_THRESHOLD failed logins lock the account
+        // for LOGIN_LOCKOUT_MINUTES, even for the right password
+        // Checked before the password so a locked account cannot be guessed
+        
         // ============================================
         // FIND USER
         // ============================================
         
         const user = await User.findByEmail(email);
         
-        if (!user) {
-            return res.status(401).json({ 
-                error: 'Invalid email or password' 
-            });
-        }
-        
-        // EXPLANATION:
-        // 401 Unauthorized: Authentication failed
-        // Don't specify if email or password is wrong (security)
-        // Prevents attackers from knowing which is incorrect
-        
         // ============================================
         // VERIFY PASSWORD
         // ============================================
         
-        const isPasswordValid = await User.verifyPassword(password, user.password);
+        const isPasswordValid = await User.verifyPassword(password, user ? user.password : null);
         
-        if (!isPasswordValid) {
-            return res.status(401).json({ 
-                error: 'Invalid email or password' 
+        if (!user || !isPasswordValid) {
+            const lockedNow = await recordLoginFailure(email, { ip: req.ip, user });
+            if (lockedNow > 0) {
+                return sendLocked(res, lockedNow);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password' 
             });
         }
         
         // EXPLANATION:
+        // 401 Unauthorized: Authentication failed
+        // Don't specify if email or password is wrong (security)
+        // Prevents attackers from knowing which is incorrect
         // User.verifyPassword uses bcrypt.compare()
         // Compares plain password with hashed password
         // Returns true if match, false otherwise
+        // Without an account it still runs bcrypt (see models/User.js), so an
+        // unknown email is answered no faster than a wrong password
+        // recordLoginFailure answers each failure a little later than the last
+        // (0.5 s, 1 s, 2 s, ...) and locks the account at LOGIN_LOCKOUT_THRESHOLD
+        // Unknown emails are counted the same way, so answers don't reveal which exist
+        
+        await clearLoginFailures(email);
+        logSecurityEvent('login_succeeded', { user_id: user.id, email: user.email, ip: req.ip });
         
         // ============================================
         // GENERATE JWT TOKEN
@@ -218,8 +229,8 @@ router.post('/login', async (req, res) => {
         
         const token = jwt.sign(
             payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
+            config.jwt.secret,
+            { expiresIn: config.jwt.expiresIn }
         );
         
         // ============================================
@@ -233,7 +244,9 @@ router.post('/login', async (req, res) => {
                 id: user.id,
                 first_name: user.first_name,
                 last_name: user.last_name,
-                email: user.email
+                email: user.email,
+                role: user.role,
+                permissions: permissionsFor(user.role)
             }
         });
         
@@ -244,12 +257,34 @@ router.post('/login', async (req, res) => {
         
     } catch (error) {
         console.error('Login error:', error);
-        res.status(500).json({ 
-            error: 'Login failed. Please try again.' 
+        res.status(500).json({
+            success: false,
+            message: 'Login failed. Please try again.' 
         });
     }
 });
 
+// ============================================
+// CURRENT USER ROUTE - Who is logged in
+// ============================================
+// GET /api/auth/me
+router.get('/me', authenticate, (req, res) => {
+    // EXPLANATION:
+    // authenticate middleware has already verified the token and loaded the user
+    // Role is read fresh from the database, so role changes apply without logging in again
+    
+    res.status(200).json({
+        user: {
+            id: req.user.id,
+            first_name: req.user.first_name,
+            last_name: req.user.last_name,
+            email: req.user.email,
+            role: req.user.role,
+            permissions: permissionsFor(req.user.role)
+        }
+    });
+});
+
 // Export router to be used in server.js
 module.exports = router;
 
@@ -315,7 +350,7 @@ fetch('/api/auth/login', {
 // 2. Email format validation
 // 3. Password hashing with bcrypt
 // 4. JWT for stateless authentication
-// 5. Token expiration (24 hours)
+// 5. Token expiration (24 hours by default, JWT_EXPIRES_IN)
 // 6. Generic error messages (don't reveal which field is wrong)
 // 7. HTTPS in production (encrypt data in transit)
-// 8. Rate limiting (prevent brute force attacks)
\ No newline at end of file
+// 8. Rate limiting per address and account lockout (prevent brute force attacks)
\ No newline at end of file
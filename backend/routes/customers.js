@@ -1,173 +1,717 @@
 const express = require('express');
 const router = express.Router();
+const { Op } = require('sequelize');
 const Customer = require('../models/Customer');
-const { exportToCSV } = require('../utils/csvExport');
-const { exportToPDF } = require('../utils/pdfExport');
-const fs = require('fs');
+const AuditLog = require('../models/AuditLog');
+const Note = require('../models/Note');
+const sequelize = require('../config/database');
+const { EXPORTERS, getExporter } = require('../utils/exporters');
+const { exportProfilePDF, contactsSection, notesSection } = require('../utils/profilePdf');
+const { toVCard } = require('../utils/vcard');
+const { findDuplicatePairs, findProbableDuplicates, DEFAULT_THRESHOLD } = require('../utils/duplicates');
+const { mergeCustomers } = require('../utils/merge');
+const { buildListQuery, buildPagination } = require('../utils/customerQuery');
+const { parseExportQuery, openCustomerStream } = require('../utils/exportQuery');
+const customerSearch = require('../utils/customerSearch');
+const { parseStatsQuery, customerStats } = require('../utils/customerStats');
+const { openEventStream } = require('../utils/customerEvents');
+const { authorize } = require('../middleware/permissions');
+const { recordAudit, diffChanges } = require('../utils/audit');
+const { purgeExpired } = require('../utils/trash');
+const { importCustomers } = require('../utils/csvImport');
+const { bulkDelete, bulkUpdate, bulkTag } = require('../utils/bulk');
+const { TAG_INCLUDE, findTags, changeCustomerTags } = require('../utils/tags');
+const { withContacts, loadContacts, parseContactLists, primaryValues, saveContactLists } = require('../utils/contacts');
+const { etagFor, assertVersion, touch } = require('../utils/concurrency');
+const { sendValidationError, modelFieldErrors } = require('../utils/validation');
+const { normalizeEmail } = require('../utils/normalize');
+const noteRoutes = require('./notes');
+const multer = require('multer');
 
-// Get all customers
-router.get('/', async (req, res) => {
+// CSV uploads are kept in memory; 5 MB is plenty for a customer list
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Email a create/update asks for: the primary entry of `emails` when sent, else `email`
+function requestedEmail(body) {
+  return primaryValues(parseContactLists(body)).email || body.email;
+}
+
+// A trashed customer still holds its email until it is purged
+async function duplicateEmailMessage(email) {
+  const existing = await Customer.findOne({ where: { email: normalizeEmail(email) }, paranoid: false });
+  if (existing && existing.date_deleted) {
+    return 'Email belongs to a customer in the trash. Restore that customer instead.';
+  }
+  return 'Email already exists';
+}
+
+// Answer a failed If-Match/version check with the customer as it is now, so the
+// client can compare it with its own changes
+async function sendConflict(res, id, status, message) {
+  const current = await Customer.findByPk(id, { include: [TAG_INCLUDE] });
+  if (!current) {
+    return res.status(404).json({ success: false, message: 'Customer not found' });
+  }
+  res.set('ETag', etagFor(current));
+  res.status(status).json({ success: false, message, data: await withContacts(current) });
+}
+
+function isConflict(error) {
+  return error.name === 'ConflictError' || error.name === 'SequelizeOptimisticLockError';
+}
+
+// Append a probable-duplicate warning to a success message
+function duplicateWarning(message, duplicates) {
+  if (duplicates.length === 0) {
+    return message;
+  }
+  const names = duplicates.map(d => `#${d.id} ${d.first_name} ${d.last_name}`).join(', ');
+  return `${message}. Warning: possible duplicate of ${names}`;
+}
+
+// Get customers (paginated, sortable and filterable)
+router.get('/', authorize('read'), async (req, res) => {
   try {
-    const customers = await Customer.findAll({
-      order: [['date_created', 'DESC']]
-    });
-    res.json({ success: true, data: customers });
+    const { where, order, limit, offset, page } = buildListQuery(req.query);
+    const { count, rows } = await Customer.findAndCountAll({ where, order, limit, offset, include: [TAG_INCLUDE], distinct: true });
+
+    res.json({ success: true, data: rows, pagination: buildPagination({ page, limit }, count) });
   } catch (error) {
     console.error('Error fetching customers:', error);
+
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
     res.status(500).json({ success: false, message: 'Failed to fetch customers', error: error.message });
   }
 });
 
+// Search customers by name, email, phone digits and address
+router.get('/search', authorize('read'), async (req, res) => {
+  try {
+    const terms = customerSearch.tokenize(req.query.q);
+    if (terms.length === 0) {
+      return res.status(400).json({ success: false, message: 'Search query (q) is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || customerSearch.DEFAULT_LIMIT, customerSearch.MAX_LIMIT);
+    // Ranked and limited by the database; total counts every match
+    const { count, rows } = await Customer.findAndCountAll({
+      where: customerSearch.buildSearchWhere(terms),
+      order: customerSearch.buildSearchOrder(terms),
+      include: [TAG_INCLUDE],
+      limit,
+      distinct: true
+    });
+
+    const results = customerSearch.rankResults(rows.map(c => c.toJSON()), terms);
+    res.json({ success: true, data: results, total: count, terms });
+  } catch (error) {
+    console.error('Error searching customers:', error);
+    res.status(500).json({ success: false, message: 'Failed to search customers', error: error.message });
+  }
+});
+
+// New customers per day/week/month over a date range, growth versus the previous
+// period and breakdowns by email domain and address region
+router.get('/stats', authorize('read'), async (req, res) => {
+  try {
+    const stats = await customerStats(parseStatsQuery(req.query));
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error('Error computing customer stats:', error);
+
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to compute customer stats', error: error.message });
+  }
+});
+
+// Server-Sent Events stream of customer changes. Event ids are audit entry ids; a
+// reconnecting client sends the last one as Last-Event-ID to get what it missed.
+router.get('/events', authorize('read'), async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID');
+  try {
+    await openEventStream(req, res, lastEventId === undefined ? undefined : Number(lastEventId));
+  } catch (error) {
+    console.error('Error streaming customer events:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, message: 'Failed to stream customer events', error: error.message });
+  }
+});
+
+// Likely duplicate pairs scored on name, phone and address similarity
+router.get('/duplicates', authorize('write'), async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_THRESHOLD;
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ success: false, message: 'threshold must be a number between 0 and 1' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const { total, pairs, truncated } = await findDuplicatePairs({ threshold, limit });
+    res.json({ success: true, data: pairs, total, truncated });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ success: false, message: 'Failed to find duplicates', error: error.message });
+  }
+});
+
+// Merge two customers. Body: { survivor_id, loser_id, fields: { field: 'survivor' | 'loser' }, loser_action: 'archive' | 'delete' }
+router.post('/merge', authorize('delete'), async (req, res) => {
+  try {
+    const { survivor_id, loser_id, fields, loser_action } = req.body;
+    const result = await mergeCustomers({
+      survivorId: survivor_id,
+      loserId: loser_id,
+      fields: fields || {},
+      loserAction: loser_action || 'archive',
+      user: req.user
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    res.json({ success: true, data: result, message: 'Customers merged successfully' });
+  } catch (error) {
+    console.error('Error merging customers:', error);
+
+    if (error.name === 'MergeError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+      return sendValidationError(res, modelFieldErrors(error));
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to merge customers', error: error.message });
+  }
+});
+
+// List customers in the trash (most recently deleted first)
+router.get('/trash', authorize('delete'), async (req, res) => {
+  try {
+    const { where, limit, offset, page } = buildListQuery(req.query);
+    const { count, rows } = await Customer.findAndCountAll({
+      where: { ...where, date_deleted: { [Op.ne]: null } },
+      order: [['date_deleted', 'DESC'], ['id', 'DESC']],
+      paranoid: false,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, data: rows, pagination: buildPagination({ page, limit }, count) });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to fetch trash', error: error.message });
+  }
+});
+
+// Permanently delete trashed customers older than the retention period
+router.delete('/trash', authorize('delete'), async (req, res) => {
+  try {
+    const retentionDays = req.query.older_than_days !== undefined
+      ? Number(req.query.older_than_days)
+      : undefined;
+
+    if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+      return res.status(400).json({ success: false, message: 'older_than_days must be a non-negative integer' });
+    }
+
+    const purged = await purgeExpired({ retentionDays, user: req.user });
+    res.json({ success: true, data: { purged }, message: `${purged} customer(s) permanently deleted` });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({ success: false, message: 'Failed to purge trash', error: error.message });
+  }
+});
+
+// Restore a customer from the trash
+router.post('/:id/restore', authorize('delete'), async (req, res) => {
+  try {
+    const customer = await sequelize.transaction(async (transaction) => {
+      const found = await Customer.findByPk(req.params.id, { paranoid: false, transaction });
+      if (!found || !found.date_deleted) {
+        return null;
+      }
+
+      const deletedAt = found.date_deleted;
+      await found.restore({ transaction });
+      await recordAudit({
+        action: 'restore',
+        entityId: found.id,
+        user: req.user,
+        changes: { date_deleted: { before: deletedAt, after: null } },
+        transaction
+      });
+      return found;
+    });
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found in trash' });
+    }
+
+    res.json({ success: true, data: customer, message: 'Customer restored successfully' });
+  } catch (error) {
+    console.error('Error restoring customer:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore customer', error: error.message });
+  }
+});
+
+function sendBulkError(res, error, fallbackMessage) {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.name === 'BulkOperationError' || error.name === 'InvalidQueryError' || error.name === 'TagError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      data: error.results ? { results: error.results, summary: error.summary } : undefined
+    });
+  }
+
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+// Bulk soft delete. Body: { ids: [...] } or { filter: { ...list filters } }
+router.post('/bulk/delete', authorize('delete'), async (req, res) => {
+  try {
+    const { ids, filter } = req.body;
+    const data = await bulkDelete({ ids, filter }, req.user);
+    res.json({ success: true, data, message: `${data.summary.deleted || 0} customer(s) moved to trash` });
+  } catch (error) {
+    sendBulkError(res, error, 'Failed to delete customers');
+  }
+});
+
+// Bulk update. Body: { ids | filter, changes: { field: value } }
+router.post('/bulk/update', authorize('write'), async (req, res) => {
+  try {
+    const { ids, filter, changes } = req.body;
+    const data = await bulkUpdate({ ids, filter }, changes, req.user);
+    res.json({ success: true, data, message: `${data.summary.updated || 0} customer(s) updated` });
+  } catch (error) {
+    sendBulkError(res, error, 'Failed to update customers');
+  }
+});
+
+// Bulk tagging. Body: { ids | filter, add: [tagId], remove: [tagId] }
+router.post('/bulk/tags', authorize('write'), async (req, res) => {
+  try {
+    const { ids, filter, add, remove } = req.body;
+    const data = await bulkTag({ ids, filter }, { add, remove }, req.user);
+    res.json({ success: true, data, message: `${data.summary.updated || 0} customer(s) retagged` });
+  } catch (error) {
+    sendBulkError(res, error, 'Failed to tag customers');
+  }
+});
+
+// Import customers from a CSV upload (field "file").
+// mode: dry-run (default) reports per-row errors without writing; commit writes in one transaction.
+// on_duplicate: skip | update | fail (default). mapping: optional JSON of CSV header -> field.
+router.post('/import', authorize('write'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A CSV file is required' });
+    }
+
+    const options = { ...req.query, ...req.body };
+    const mode = options.mode || 'dry-run';
+    if (mode !== 'dry-run' && mode !== 'commit') {
+      return res.status(400).json({ success: false, message: 'mode must be dry-run or commit' });
+    }
+
+    let mapping;
+    try {
+      mapping = options.mapping ? JSON.parse(options.mapping) : undefined;
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'mapping must be valid JSON' });
+    }
+
+    const report = await importCustomers(req.file.buffer, {
+      mapping,
+      dryRun: mode === 'dry-run',
+      onDuplicate: options.on_duplicate || 'fail',
+      user: req.user
+    });
+
+    const message = report.dry_run
+      ? `Dry run: ${report.summary.valid} valid, ${report.summary.duplicates} duplicate, ${report.summary.invalid} invalid`
+      : `Imported: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.skipped} skipped`;
+    res.json({ success: true, data: report, message });
+  } catch (error) {
+    console.error('Error importing customers:', error);
+
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ success: false, message: error.message, data: error.report });
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to import customers', error: error.message });
+  }
+});
+
 // Get single customer
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('read'), async (req, res) => {
   try {
-    const customer = await Customer.findByPk(req.params.id);
+    const customer = await Customer.findByPk(req.params.id, { include: [TAG_INCLUDE] });
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
     }
-    res.json({ success: true, data: customer });
+    res.set('ETag', etagFor(customer));
+    res.json({ success: true, data: await withContacts(customer) });
   } catch (error) {
     console.error('Error fetching customer:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch customer', error: error.message });
   }
 });
 
+// Add or remove one tag on a customer
+async function changeOneTag(req, res, change) {
+  try {
+    const customer = await sequelize.transaction(async (transaction) => {
+      const found = await Customer.findByPk(req.params.id, { transaction });
+      if (!found) {
+        return null;
+      }
+
+      const tags = await findTags([change.tagId], transaction);
+      const changes = await changeCustomerTags(found, { [change.type]: tags }, transaction);
+      if (Object.keys(changes).length > 0) {
+        await touch(found, transaction);
+      }
+      await recordAudit({ action: 'update', entityId: found.id, user: req.user, changes, transaction });
+      return found;
+    });
+
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    await customer.reload({ include: [TAG_INCLUDE] });
+    res.json({ success: true, data: customer, message: change.type === 'add' ? 'Tag added' : 'Tag removed' });
+  } catch (error) {
+    console.error('Error changing customer tags:', error);
+
+    if (error.name === 'TagError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to change customer tags', error: error.message });
+  }
+}
+
+// Tag a customer. Body: { tag_id }
+router.post('/:id/tags', authorize('write'), (req, res) => {
+  changeOneTag(req, res, { type: 'add', tagId: req.body.tag_id });
+});
+
+// Untag a customer
+router.delete('/:id/tags/:tagId', authorize('write'), (req, res) => {
+  changeOneTag(req, res, { type: 'remove', tagId: req.params.tagId });
+});
+
+// Notes and interactions of a customer
+router.use('/:id/notes', noteRoutes);
+
+// Get a customer's change history (newest first)
+router.get('/:id/history', authorize('read'), async (req, res) => {
+  try {
+    const history = await AuditLog.findAll({
+      where: { entity_type: 'customer', entity_id: req.params.id },
+      order: [['date_created', 'DESC'], ['id', 'DESC']]
+    });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error fetching customer history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch customer history', error: error.message });
+  }
+});
+
+// File-name friendly "first_last" for single-customer downloads
+function customerFileName(customer) {
+  return `${customer.first_name}_${customer.last_name}`.replace(/[^\w-]+/g, '_');
+}
+
+// Most recent interactions printed on the profile sheet
+const NOTES_IN_PROFILE = 10;
+
+// One-page profile sheet of a customer with its recent interactions and history
+router.get('/:id/export/pdf', authorize('export'), async (req, res) => {
+  try {
+    const customer = await Customer.findByPk(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const history = await AuditLog.findAll({
+      where: { entity_type: 'customer', entity_id: customer.id },
+      order: [['date_created', 'DESC'], ['id', 'DESC']]
+    });
+    const notes = await Note.findAll({
+      where: { customer_id: customer.id },
+      order: [['occurred_at', 'DESC'], ['id', 'DESC']],
+      limit: NOTES_IN_PROFILE + 1,
+      raw: true
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${customerFileName(customer)}.pdf"`);
+    const contacts = (await loadContacts([customer.id])).get(customer.id);
+    await exportProfilePDF(customer.toJSON(), res, {
+      history: history.map(entry => entry.toJSON()),
+      sections: [contactsSection(contacts), notesSection(notes, NOTES_IN_PROFILE)]
+    });
+  } catch (error) {
+    console.error('Error exporting customer profile:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, message: 'Failed to export customer profile', error: error.message });
+  }
+});
+
+// vCard of a single customer
+router.get('/:id/vcard', authorize('export'), async (req, res) => {
+  try {
+    const customer = await Customer.findByPk(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${customerFileName(customer)}.vcf"`);
+    res.send(toVCard(await withContacts(customer)));
+  } catch (error) {
+    console.error('Error exporting vCard:', error);
+    res.status(500).json({ success: false, message: 'Failed to export vCard', error: error.message });
+  }
+});
+
 // Create customer
-router.post('/', async (req, res) => {
+router.post('/', authorize('write'), async (req, res) => {
   try {
-    const { first_name, last_name, email, phone, address } = req.body;
+    const { first_name, last_name, email, phone, address, tag_ids } = req.body;
+    // addresses/phones/emails lists, when sent, set the primary email, phone and address
+    const lists = parseContactLists(req.body);
     
-    const customer = await Customer.create({
-      first_name,
-      last_name,
-      email,
-      phone,
-      address
+    const customer = await sequelize.transaction(async (transaction) => {
+      const created = await Customer.create({
+        first_name,
+        last_name,
+        email,
+        phone,
+        address,
+        ...primaryValues(lists)
+      }, { transaction, contactLists: lists });
+
+      const contactChanges = await saveContactLists(created, lists, transaction);
+      const tagChanges = tag_ids ? await changeCustomerTags(created, { set: await findTags(tag_ids, transaction) }, transaction) : {};
+      await recordAudit({
+        action: 'create',
+        entityId: created.id,
+        user: req.user,
+        changes: { ...diffChanges(null, created.toJSON()), ...contactChanges, ...tagChanges },
+        transaction
+      });
+      return created;
     });
     
-    res.status(201).json({ success: true, data: customer, message: 'Customer created successfully' });
+    await customer.reload({ include: [TAG_INCLUDE] });
+    const duplicates = await findProbableDuplicates(customer.toJSON(), { excludeId: customer.id });
+    res.set('ETag', etagFor(customer));
+    res.status(201).json({ success: true, data: await withContacts(customer), duplicates, message: duplicateWarning('Customer created successfully', duplicates) });
   } catch (error) {
     console.error('Error creating customer:', error);
     
     if (error.name === 'SequelizeValidationError') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Validation error', 
-        errors: error.errors.map(e => e.message) 
-      });
+      return sendValidationError(res, modelFieldErrors(error));
     }
     
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ 
         success: false, 
-        message: 'Email already exists' 
+        message: await duplicateEmailMessage(requestedEmail(req.body))
       });
     }
+
+    if (error.name === 'TagError' || error.name === 'ContactError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     
     res.status(500).json({ success: false, message: 'Failed to create customer', error: error.message });
   }
 });
 
-// Update customer
-router.put('/:id', async (req, res) => {
+// Fields a PUT replaces and a PATCH may change
+const UPDATABLE_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address'];
+
+// Fields a PUT left out; email, phone and address may come as the primary entry of their list
+function missingFields(body, lists) {
+  const fromLists = primaryValues(lists);
+  return UPDATABLE_FIELDS
+    .filter(field => body[field] === undefined && fromLists[field] === undefined)
+    .map(field => ({ field: `body.${field}`, message: `must have required property '${field}'` }));
+}
+
+// Update a customer. PUT replaces every field; PATCH only changes the fields in the body.
+// Either may send If-Match or `version` to refuse to overwrite someone else's change.
+async function updateCustomer(req, res, { partial }) {
   try {
-    const { first_name, last_name, email, phone, address } = req.body;
-    const customer = await Customer.findByPk(req.params.id);
+    const { tag_ids } = req.body;
+    const lists = parseContactLists(req.body);
+    const missing = partial ? [] : missingFields(req.body, lists);
+    if (missing.length > 0) {
+      return sendValidationError(res, missing);
+    }
+    const fields = UPDATABLE_FIELDS.filter(field => !partial || req.body[field] !== undefined);
+    const values = Object.fromEntries(fields.map(field => [field, req.body[field]]));
+
+    const customer = await sequelize.transaction(async (transaction) => {
+      const found = await Customer.findByPk(req.params.id, { transaction });
+      if (!found) {
+        return null;
+      }
+      assertVersion(found, { ifMatch: req.get('If-Match'), version: req.body.version });
+
+      const before = found.toJSON();
+      await found.update({ ...values, ...primaryValues(lists) }, { transaction, contactLists: lists });
+
+      // Lists and tag_ids are optional; when given they replace the customer's entries
+      const contactChanges = await saveContactLists(found, lists, transaction);
+      const tagChanges = tag_ids ? await changeCustomerTags(found, { set: await findTags(tag_ids, transaction) }, transaction) : {};
+      const changes = { ...diffChanges(before, found.toJSON()), ...contactChanges, ...tagChanges };
+      if (found.version === before.version && Object.keys(changes).length > 0) {
+        await touch(found, transaction);
+      }
+      await recordAudit({ action: 'update', entityId: found.id, user: req.user, changes, transaction });
+      return found;
+    });
     
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
     }
     
-    await customer.update({
-      first_name,
-      last_name,
-      email,
-      phone,
-      address
-    });
-    
-    res.json({ success: true, data: customer, message: 'Customer updated successfully' });
+    await customer.reload({ include: [TAG_INCLUDE] });
+    const duplicates = await findProbableDuplicates(customer.toJSON(), { excludeId: customer.id });
+    res.set('ETag', etagFor(customer));
+    res.json({ success: true, data: await withContacts(customer), duplicates, message: duplicateWarning('Customer updated successfully', duplicates) });
   } catch (error) {
     console.error('Error updating customer:', error);
+
+    if (isConflict(error)) {
+      return sendConflict(res, req.params.id, error.status || 409, error.status ? error.message : 'This customer was changed by someone else while saving');
+    }
     
     if (error.name === 'SequelizeValidationError') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Validation error', 
-        errors: error.errors.map(e => e.message) 
-      });
+      return sendValidationError(res, modelFieldErrors(error));
     }
     
     if (error.name === 'SequelizeUniqueConstraintError') {
       return res.status(400).json({ 
         success: false, 
-        message: 'Email already exists' 
+        message: await duplicateEmailMessage(requestedEmail(req.body))
       });
     }
+
+    if (error.name === 'TagError' || error.name === 'ContactError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     
     res.status(500).json({ success: false, message: 'Failed to update customer', error: error.message });
   }
-});
+}
+
+// Replace a customer
+router.put('/:id', authorize('write'), (req, res) => updateCustomer(req, res, { partial: false }));
+
+// Change some fields of a customer
+router.patch('/:id', authorize('write'), (req, res) => updateCustomer(req, res, { partial: true }));
 
 // Delete customer
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('delete'), async (req, res) => {
   try {
-    const customer = await Customer.findByPk(req.params.id);
+    const customer = await sequelize.transaction(async (transaction) => {
+      const found = await Customer.findByPk(req.params.id, { transaction });
+      if (!found) {
+        return null;
+      }
+      assertVersion(found, { ifMatch: req.get('If-Match') });
+
+      // Soft delete: the customer moves to the trash
+      await recordAudit({ action: 'delete', entityId: found.id, user: req.user, before: found.toJSON(), transaction });
+      await found.destroy({ transaction });
+      return found;
+    });
     
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
     }
     
-    await customer.destroy();
-    res.json({ success: true, message: 'Customer deleted successfully' });
+    res.json({ success: true, message: 'Customer moved to trash' });
   } catch (error) {
     console.error('Error deleting customer:', error);
+
+    if (isConflict(error)) {
+      return sendConflict(res, req.params.id, error.status || 409, error.message);
+    }
     res.status(500).json({ success: false, message: 'Failed to delete customer', error: error.message });
   }
 });
 
-// Export to CSV
-router.get('/export/csv', async (req, res) => {
+// Stream an export of the customers matching the list filters straight to the response
+async function sendExport(req, res, { exporter, parseOptions, contentType, extension, label, contacts }) {
   try {
-    const customers = await Customer.findAll({
-      order: [['date_created', 'DESC']]
-    });
-    
-    const filePath = await exportToCSV(customers.map(c => c.toJSON()));
-    
-    res.download(filePath, 'customers.csv', (err) => {
-      if (err) {
-        console.error('Error downloading CSV:', err);
-      }
-      // Delete file after download
-      fs.unlinkSync(filePath);
-    });
+    const { where, order, columns } = parseExportQuery(req.query);
+    const options = parseOptions ? await parseOptions(req.query) : {};
+    // Contact lists are only loaded when a list column is exported or the format needs them
+    const customers = await openCustomerStream({ where, order, contacts: contacts || columns.some(column => column.list) });
+
+    if (!customers) {
+      return res.status(404).json({ success: false, message: `No data available. ${label} cannot be generated.` });
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="customers.${extension}"`);
+    await exporter(customers, res, { ...options, columns });
   } catch (error) {
-    console.error('Error exporting CSV:', error);
-    res.status(500).json({ success: false, message: 'Failed to export CSV', error: error.message });
+    console.error(`Error exporting ${label}:`, error);
+
+    // Once streaming has started the status is already sent; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: `Failed to export ${label}`, error: error.message });
   }
-});
+}
 
-// Export to PDF
-router.get('/export/pdf', async (req, res) => {
-  try {
-    const customers = await Customer.findAll({
-      order: [['date_created', 'DESC']]
-    });
-    
-    const filePath = await exportToPDF(customers.map(c => c.toJSON()));
-    
-    res.download(filePath, 'customers.pdf', (err) => {
-      if (err) {
-        console.error('Error downloading PDF:', err);
-      }
-      // Delete file after download
-      fs.unlinkSync(filePath);
+// Export in any supported format (csv, pdf, xlsx, json, ndjson)
+router.get('/export/:format', authorize('export'), (req, res) => {
+  const format = getExporter(req.params.format);
+
+  if (!format) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown export format. Supported: ${Object.keys(EXPORTERS).join(', ')}`
     });
-  } catch (error) {
-    console.error('Error exporting PDF:', error);
-    res.status(500).json({ success: false, message: 'Failed to export PDF', error: error.message });
   }
+
+  sendExport(req, res, format);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Customer = require('../models/Customer');
+const Note = require('../models/Note');
+const sequelize = require('../config/database');
+const { authorize, hasPermission } = require('../middleware/permissions');
+const { recordAudit, diffChanges } = require('../utils/audit');
+const { buildPagination } = require('../utils/customerQuery');
+const { sendValidationError, modelFieldErrors } = require('../utils/validation');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Note fields tracked in the audit trail
+const NOTE_FIELDS = ['customer_id', 'type', 'body', 'occurred_at'];
+
+// Dates as strings so an unchanged occurred_at does not show up in the diff
+function snapshot(note) {
+  const data = note.toJSON();
+  return { ...data, occurred_at: new Date(data.occurred_at).toISOString() };
+}
+
+// Authors manage their own notes; users who may delete customers manage any note
+function canModify(note, user) {
+  return note.author_id === user.id || hasPermission(user, 'delete');
+}
+
+function sendNoteError(res, error, fallbackMessage) {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.name === 'SequelizeValidationError') {
+    return sendValidationError(res, modelFieldErrors(error));
+  }
+
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+// The note must belong to the customer in the URL
+function findNote(req, transaction) {
+  return Note.findOne({ where: { id: req.params.noteId, customer_id: req.params.id }, transaction });
+}
+
+// List a customer's notes, most recent interaction first. Optional type filter.
+router.get('/', authorize('read'), async (req, res) => {
+  try {
+    const customer = await Customer.findByPk(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const where = { customer_id: customer.id };
+    if (req.query.type) {
+      if (!Note.TYPES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: `type must be one of: ${Note.TYPES.join(', ')}` });
+      }
+      where.type = req.query.type;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const { count, rows } = await Note.findAndCountAll({
+      where,
+      order: [['occurred_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({ success: true, data: rows, pagination: buildPagination({ page, limit }, count) });
+  } catch (error) {
+    sendNoteError(res, error, 'Failed to fetch notes');
+  }
+});
+
+// Add a note. Body: { type, body, occurred_at }
+router.post('/', authorize('write'), async (req, res) => {
+  try {
+    const { type, body, occurred_at } = req.body;
+
+    const note = await sequelize.transaction(async (transaction) => {
+      const customer = await Customer.findByPk(req.params.id, { transaction });
+      if (!customer) {
+        return null;
+      }
+
+      const created = await Note.create({
+        customer_id: customer.id,
+        type,
+        body,
+        occurred_at: occurred_at || undefined,
+        author_id: req.user.id,
+        author_email: req.user.email
+      }, { transaction });
+
+      await recordAudit({
+        action: 'create',
+        entityType: 'note',
+        entityId: created.id,
+        user: req.user,
+        changes: diffChanges(null, snapshot(created), NOTE_FIELDS),
+        transaction
+      });
+      return created;
+    });
+
+    if (!note) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    res.status(201).json({ success: true, data: note, message: 'Note added successfully' });
+  } catch (error) {
+    sendNoteError(res, error, 'Failed to add note');
+  }
+});
+
+// Edit a note
+router.put('/:noteId', authorize('write'), async (req, res) => {
+  try {
+    const { type, body, occurred_at } = req.body;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const note = await findNote(req, transaction);
+      if (!note) {
+        return { status: 404 };
+      }
+      if (!canModify(note, req.user)) {
+        return { status: 403 };
+      }
+
+      // Only the fields sent are changed
+      const before = snapshot(note);
+      const updates = Object.entries({ type, body, occurred_at }).filter(([, value]) => value !== undefined);
+      await note.update(Object.fromEntries(updates), { transaction });
+      await recordAudit({
+        action: 'update',
+        entityType: 'note',
+        entityId: note.id,
+        user: req.user,
+        changes: diffChanges(before, snapshot(note), NOTE_FIELDS),
+        transaction
+      });
+      return { note };
+    });
+
+    if (result.status === 404) {
+      return res.status(404).json({ success: false, message: 'Note not found' });
+    }
+    if (result.status === 403) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit this note' });
+    }
+
+    res.json({ success: true, data: result.note, message: 'Note updated successfully' });
+  } catch (error) {
+    sendNoteError(res, error, 'Failed to update note');
+  }
+});
+
+// Delete a note
+router.delete('/:noteId', authorize('write'), async (req, res) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const note = await findNote(req, transaction);
+      if (!note) {
+        return { status: 404 };
+      }
+      if (!canModify(note, req.user)) {
+        return { status: 403 };
+      }
+
+      await recordAudit({
+        action: 'delete',
+        entityType: 'note',
+        entityId: note.id,
+        user: req.user,
+        changes: diffChanges(snapshot(note), null, NOTE_FIELDS),
+        transaction
+      });
+      await note.destroy({ transaction });
+      return {};
+    });
+
+    if (result.status === 404) {
+      return res.status(404).json({ success: false, message: 'Note not found' });
+    }
+    if (result.status === 403) {
+      return res.status(403).json({ success: false, message: 'Only the author can delete this note' });
+    }
+
+    res.json({ success: true, message: 'Note deleted successfully' });
+  } catch (error) {
+    sendNoteError(res, error, 'Failed to delete note');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { literal } = require('sequelize');
+const Tag = require('../models/Tag');
+const { authorize } = require('../middleware/permissions');
+const { sendValidationError, modelFieldErrors } = require('../utils/validation');
+
+// Customers (not in the trash) carrying each tag. The "Tag" alias is quoted for the
+// dialect because Postgres folds unquoted names to lower case.
+const TAG_ALIAS = Tag.sequelize.getQueryInterface().quoteIdentifier('Tag');
+const CUSTOMER_COUNT = literal(
+  '(SELECT COUNT(*) FROM customer_tags JOIN customers ON customers.id = customer_tags.customer_id' +
+  ` WHERE customer_tags.tag_id = ${TAG_ALIAS}.id AND customers.date_deleted IS NULL)`
+);
+
+function sendTagError(res, error, fallbackMessage) {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.name === 'SequelizeValidationError') {
+    return sendValidationError(res, modelFieldErrors(error));
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(400).json({ success: false, message: 'Tag name already exists' });
+  }
+
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+// List tags with how many customers carry each
+router.get('/', authorize('read'), async (req, res) => {
+  try {
+    const tags = await Tag.findAll({
+      attributes: ['id', 'name', 'color', 'date_created', [CUSTOMER_COUNT, 'customer_count']],
+      order: [['name', 'ASC']]
+    });
+    res.json({ success: true, data: tags });
+  } catch (error) {
+    sendTagError(res, error, 'Failed to fetch tags');
+  }
+});
+
+// Create tag. Body: { name, color }
+router.post('/', authorize('write'), async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const tag = await Tag.create({ name: typeof name === 'string' ? name.trim() : name, color });
+    res.status(201).json({ success: true, data: tag, message: 'Tag created successfully' });
+  } catch (error) {
+    sendTagError(res, error, 'Failed to create tag');
+  }
+});
+
+// Rename or recolor a tag
+router.put('/:id', authorize('write'), async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const { name, color } = req.body;
+    await tag.update({
+      name: typeof name === 'string' ? name.trim() : tag.name,
+      color: color || tag.color
+    });
+    res.json({ success: true, data: tag, message: 'Tag updated successfully' });
+  } catch (error) {
+    sendTagError(res, error, 'Failed to update tag');
+  }
+});
+
+// Delete a tag; it is removed from every customer
+router.delete('/:id', authorize('delete'), async (req, res) => {
+  try {
+    const deleted = await Tag.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+    res.json({ success: true, message: 'Tag deleted successfully' });
+  } catch (error) {
+    sendTagError(res, error, 'Failed to delete tag');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { ROLES } = require('../middleware/permissions');
+
+// List users with their roles
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.findAll({
+      order: [['date_created', 'ASC']]
+    });
+    res.json({ success: true, data: users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch users', error: error.message });
+  }
+});
+
+// Change a user's role
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.count({ where: { role: 'admin' } });
+      if (adminCount <= 1) {
+        return res.status(400).json({ success: false, message: 'Cannot remove the last admin' });
+      }
+    }
+
+    await user.update({ role });
+    res.json({ success: true, data: user, message: 'Role updated successfully' });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role', error: error.message });
+  }
+});
+
+module.exports = router;
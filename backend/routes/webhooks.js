@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { buildPagination } = require('../utils/customerQuery');
+const { replayDelivery, replayFailed } = require('../utils/webhooks');
+const { sendValidationError, modelFieldErrors } = require('../utils/validation');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Fields a subscription can be created or updated with
+const SUBSCRIPTION_FIELDS = ['url', 'description', 'events', 'secret', 'active'];
+
+function sendWebhookError(res, error, fallbackMessage) {
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.name === 'SequelizeValidationError') {
+    return sendValidationError(res, modelFieldErrors(error));
+  }
+
+  if (error.name === 'WebhookError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+function pick(body) {
+  return Object.fromEntries(SUBSCRIPTION_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+// The secret is only part of a response when it was just set
+const withSecret = subscription => ({ ...subscription.toJSON(), secret: subscription.secret });
+
+// List subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.findAll({ order: [['id', 'ASC']] });
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch webhooks');
+  }
+});
+
+// Subscribe. Body: { url, events, description, secret, active }; a secret is generated when none is sent
+router.post('/', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.create({ ...pick(req.body), created_by: req.user.id });
+    res.status(201).json({
+      success: true,
+      data: withSecret(subscription),
+      message: 'Webhook created. Keep the secret: it is not shown again.'
+    });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to create webhook');
+  }
+});
+
+// A delivery with its payload
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch delivery');
+  }
+});
+
+// Send a finished delivery again
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    const replay = await replayDelivery(delivery);
+    res.status(201).json({ success: true, data: replay, message: 'Delivery queued again' });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to replay delivery');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch webhook');
+  }
+});
+
+// Change the fields in the body. Sending a secret replaces it.
+router.patch('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    await subscription.update(pick(req.body));
+    res.json({
+      success: true,
+      data: req.body.secret !== undefined ? withSecret(subscription) : subscription,
+      message: 'Webhook updated successfully'
+    });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to update webhook');
+  }
+});
+
+// Unsubscribe; the delivery log goes with it
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await WebhookSubscription.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to delete webhook');
+  }
+});
+
+// Delivery log of a subscription, newest first, optionally only one status
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    const where = { subscription_id: subscription.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.event) where.event = req.query.event;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    // Payloads can be large; GET /deliveries/:deliveryId has them
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload'] },
+      order: [['date_created', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({ success: true, data: rows, pagination: buildPagination({ page, limit }, count) });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to fetch deliveries');
+  }
+});
+
+// Replay every failed delivery of a subscription that was not replayed yet,
+// e.g. once the receiver is back up
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByPk(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    const replays = await replayFailed(subscription.id);
+    res.json({ success: true, data: replays, message: `${replays.length} failed delivery(ies) queued again` });
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to replay deliveries');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Schema migrations and sample data.
+//
+//   npm run migrate                       apply every pending migration
+//   npm run migrate -- --to 0002-name     apply up to and including a migration
+//   npm run migrate:rollback              undo the last migration
+//   npm run migrate:rollback -- --step 3  undo the last 3 migrations
+//   npm run migrate:rollback -- --to 0   undo everything
+//   npm run migrate:status                list applied and pending migrations
+//   npm run migrate:create -- add-thing   create migrations/NNNN-add-thing.js
+//   npm run seed / npm run seed:undo      load or remove the sample data
+const path = require('path');
+const sequelize = require('../config/database');
+const { migrator, seeder, createMigration } = require('../utils/migrations');
+
+// --to/--step values from argv
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function report(verb, migrations) {
+  if (migrations.length === 0) {
+    console.log(`Nothing to ${verb === 'Applied' ? 'apply' : 'undo'}`);
+  }
+  migrations.forEach(({ name }) => console.log(`${verb} ${name}`));
+}
+
+async function status() {
+  const executed = await migrator.executed();
+  const pending = await migrator.pending();
+  executed.forEach(({ name }) => console.log(`  applied  ${name}`));
+  pending.forEach(({ name }) => console.log(`  pending  ${name}`));
+  console.log(`${executed.length} applied, ${pending.length} pending`);
+}
+
+async function down(args) {
+  const to = option(args, 'to');
+  if (to !== undefined) {
+    // "0" rolls back everything
+    return migrator.down({ to: to === '0' ? 0 : to });
+  }
+  const step = Number(option(args, 'step') || 1);
+  if (!Number.isInteger(step) || step < 1) {
+    throw new Error('--step must be a positive integer');
+  }
+  return migrator.down({ step });
+}
+
+const COMMANDS = {
+  up: async (args) => report('Applied', await migrator.up({ to: option(args, 'to') })),
+  down: async (args) => report('Reverted', await down(args)),
+  status,
+  create: async ([name]) => console.log(`Created ${path.relative(process.cwd(), createMigration(name))}`),
+  seed: async () => report('Applied', await seeder.up()),
+  'seed:undo': async () => report('Reverted', await seeder.down({ to: 0 }))
+};
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  await sequelize.authenticate();
+  if (command === 'seed' && (await migrator.pending()).length > 0) {
+    throw new Error('Apply pending migrations first (npm run migrate)');
+  }
+  await COMMANDS[command](args);
+}
+
+main()
+  .then(() => sequelize.close())
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+// A stand-in webhook receiver for trying deliveries out locally. It checks each
+// signature, prints the event and answers 204 (or 401 for a bad signature).
+//
+//   npm run webhooks:receive -- --secret whsec_...              listen on port 4000
+//   npm run webhooks:receive -- --secret whsec_... --port 4001
+//   npm run webhooks:receive -- --secret whsec_... --fail 0.5   answer 500 half the time, to see retries
+//
+// Subscribe it with POST /api/webhooks { "url": "http://localhost:4000/", "events": [...] }.
+const http = require('http');
+const { verifySignature } = require('../utils/webhookSignature');
+
+function option(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+const args = process.argv.slice(2);
+const secret = option(args, 'secret', process.env.WEBHOOK_SECRET);
+const port = Number(option(args, 'port', 4000));
+const failRate = Number(option(args, 'fail', 0));
+
+if (!secret) {
+  console.error('Pass the subscription secret with --secret (or WEBHOOK_SECRET)');
+  process.exit(1);
+}
+if (!(failRate >= 0 && failRate <= 1)) {
+  console.error('--fail must be a number between 0 and 1');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // Verify the raw body: re-serialized JSON may not match byte for byte
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+
+    if (!verifySignature(secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])) {
+      console.log(`✗ delivery ${delivery} (${event}): bad signature or timestamp`);
+      res.writeHead(401).end('Bad signature');
+      return;
+    }
+
+    if (Math.random() < failRate) {
+      console.log(`… delivery ${delivery} (${event}): failing on purpose`);
+      res.writeHead(500).end('Failing on purpose');
+      return;
+    }
+
+    const { id, action, data } = JSON.parse(body);
+    const customer = data.customer;
+    const name = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+    console.log(`✓ delivery ${delivery} (${event}, ${action}) event ${id}: customer ${customer.id}${name ? ` ${name}` : ''}`);
+    if (data.changes && Object.keys(data.changes).length > 0) {
+      console.log(`  changed: ${Object.keys(data.changes).join(', ')}`);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,23 @@
+// Write frontend/assets/js/config.js from the backend configuration so the
+// login page and the dashboard call the API at PUBLIC_API_URL. Runs before
+// `npm start` and `npm run dev`. The file is not committed (config.example.js
+// is the template) and is only rewritten when PUBLIC_API_URL changes.
+//
+//   npm run config:frontend
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const TARGET = path.join(__dirname, '..', '..', 'frontend', 'assets', 'js', 'config.js');
+
+const contents = `// Frontend settings. Generated by \`npm run config:frontend\` in backend/ from PUBLIC_API_URL.
+window.APP_CONFIG = {
+    apiBaseUrl: ${JSON.stringify(config.publicApiUrl)}
+};
+`;
+
+const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : null;
+if (current !== contents) {
+  fs.writeFileSync(TARGET, contents);
+  console.log(`Wrote ${path.relative(process.cwd(), TARGET)} (apiBaseUrl: ${config.publicApiUrl})`);
+}
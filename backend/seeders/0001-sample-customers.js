@@ -0,0 +1,39 @@
+// Sample customers with their contact entries and a logged call, for trying out the dashboard
+
+const CUSTOMERS = [
+  { first_name: 'John', last_name: 'Gelay', email: 'example@example.com', phone: '09661748034', address: 'Borromeo St. Kalubihan Cebu City Cebu' },
+  { first_name: 'Maria', last_name: 'Santos', email: 'maria.santos@example.com', phone: '0917 555 0142', address: '12 Osmena Blvd, Cebu City' },
+  { first_name: 'Carlos', last_name: 'Reyes', email: 'carlos.reyes@example.com', phone: '0918 555 0199', address: '45 Colon St, Cebu City' },
+  { first_name: 'Ana', last_name: 'Cruz', email: 'ana.cruz@example.com', phone: '(032) 555 0110', address: '8 Mango Ave, Cebu City' },
+  { first_name: 'Luis', last_name: 'Garcia', email: 'luis.garcia@example.com', phone: '+63 2 555 0123', address: '3 Ayala Ave, Makati' }
+];
+
+const EMAILS = CUSTOMERS.map(customer => customer.email);
+
+module.exports = {
+  async up(queryInterface) {
+    const now = new Date();
+    await queryInterface.bulkInsert('customers', CUSTOMERS.map(customer => ({ ...customer, date_created: now, date_updated: now })));
+
+    const rows = await queryInterface.sequelize.query('SELECT id, email, phone, address FROM customers WHERE email IN (:emails)', {
+      replacements: { emails: EMAILS },
+      type: queryInterface.sequelize.QueryTypes.SELECT
+    });
+
+    await queryInterface.bulkInsert('customer_emails', rows.map(row => ({ customer_id: row.id, label: 'work', email: row.email, is_primary: true })));
+    await queryInterface.bulkInsert('customer_phones', rows.map(row => ({ customer_id: row.id, label: 'mobile', number: row.phone, is_primary: true })));
+    await queryInterface.bulkInsert('customer_addresses', rows.map(row => ({ customer_id: row.id, type: 'home', street: row.address, is_primary: true })));
+    await queryInterface.bulkInsert('customer_notes', rows.map(row => ({
+      customer_id: row.id,
+      type: 'call',
+      body: 'Introductory call (sample data).',
+      occurred_at: now,
+      date_created: now
+    })));
+  },
+
+  // Contact entries and notes go with their customer
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('customers', { email: EMAILS });
+  }
+};
@@ -1,18 +1,50 @@
+const config = require('./config');
 const express = require('express');
 const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const apiSpec = require('./openapi');
 const customerRoutes = require('./routes/customers');
-const sequelize = require('./config/database');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const tagRoutes = require('./routes/tags');
+const webhookRoutes = require('./routes/webhooks');
+const { authenticate } = require('./middleware/auth');
+const { authorize } = require('./middleware/permissions');
+const { validate, normalizeEmailFields, handleValidationError } = require('./middleware/validate');
+const { migrator } = require('./utils/migrations');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleWebhookDeliveries } = require('./utils/webhooks');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Client addresses come from X-Forwarded-For only when the proxy is trusted
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
-app.use(cors());
+// ETag is exposed so the dashboard can send it back in If-Match; the rate limit headers
+// tell clients how long to wait
+app.use(cors({ exposedHeaders: ['ETag', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// API document and a browsable version of it
+app.get('/api/openapi.json', (req, res) => res.json(apiSpec));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(apiSpec));
+
+// Requests (and responses) must match the API document; customer and login emails
+// are normalized first so padded or upper-case addresses are not rejected
+app.use(['/api/customers', '/api/auth'], normalizeEmailFields);
+app.use(validate);
+
 // Routes
-app.use('/api/customers', customerRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/customers', authenticate, customerRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/users', authenticate, authorize('manage_users'), userRoutes);
+app.use('/api/audit', authenticate, authorize('view_audit'), auditRoutes);
+app.use('/api/webhooks', authenticate, authorize('manage_webhooks'), webhookRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -20,19 +52,40 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
+app.use(handleValidationError);
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ success: false, message: 'Something went wrong!', error: err.message });
 });
 
-// Sync database and start server
-sequelize.sync()
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`Server is running on http://localhost:${PORT}`);
-      console.log(`API endpoint: http://localhost:${PORT}/api/customers`);
+// The schema comes from migrations; refuse to start on an outdated one
+// unless DB_MIGRATE_ON_START is set
+async function prepareDatabase() {
+  const pending = await migrator.pending();
+  if (pending.length === 0) return;
+
+  if (!config.database.migrateOnStart) {
+    throw new Error(`${pending.length} pending migration(s): ${pending.map(({ name }) => name).join(', ')}. Run "npm run migrate" first.`);
+  }
+  await migrator.up();
+  console.log(`Applied ${pending.length} migration(s)`);
+}
+
+// Check the database and start server. The tests require the app without starting it.
+if (require.main === module) {
+  prepareDatabase()
+    .then(() => {
+      scheduleTrashPurge();
+      scheduleWebhookDeliveries();
+      app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+        console.log(`API endpoint: http://localhost:${PORT}/api/customers`);
+      });
+    })
+    .catch(err => {
+      console.error('Unable to prepare database:', err.message);
+      process.exit(1);
     });
-  })
-  .catch(err => {
-    console.error('Unable to sync database:', err);
-  });
\ No newline at end of file
+}
+
+module.exports = { app, prepareDatabase };
\ No newline at end of file
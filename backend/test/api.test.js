@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { importCustomers } = require('../utils/csvImport');
+const Customer = require('../models/Customer');
+const { parseExportQuery, iterateCustomers } = require('../utils/exportQuery');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+const createCustomer = (values) => api.request('POST', '/customers', {
+  token: admin,
+  body: { first_name: 'Ana', last_name: 'Cruz', phone: '0917 555 0100', address: 'Cebu City', ...values }
+});
+
+test('the first account is the admin and later ones are viewers', async () => {
+  const { status, body } = await api.request('POST', '/auth/register', {
+    body: { first_name: 'Ben', last_name: 'Reyes', email: 'ben@example.com', password: 'secret1', passwordConfirm: 'secret1' }
+  });
+  assert.equal(status, 201);
+  assert.equal(body.user.role, 'viewer');
+
+  const me = await api.request('GET', '/auth/me', { token: admin });
+  assert.equal(me.body.user.role, 'admin');
+});
+
+test('customers are listed a page at a time', async () => {
+  for (let i = 1; i <= 3; i++) {
+    assert.equal((await createCustomer({ first_name: `Page${i}`, email: `page${i}@example.com` })).status, 201);
+  }
+
+  const { status, body } = await api.request('GET', '/customers?limit=2&sort=first_name&order=asc&first_name=Page', { token: admin });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map(customer => customer.first_name), ['Page1', 'Page2']);
+  assert.equal(body.pagination.total, 3);
+  assert.equal(body.pagination.totalPages, 2);
+
+  assert.equal((await api.request('GET', '/customers?sort=password', { token: admin })).status, 400);
+});
+
+test('search ranks name matches first', async () => {
+  await createCustomer({ first_name: 'Marisol', last_name: 'Tan', email: 'marisol@example.com' });
+  await createCustomer({ first_name: 'Jo', last_name: 'Lim', email: 'jo.marisol@example.com' });
+
+  const { body } = await api.request('GET', '/customers/search?q=marisol', { token: admin });
+  assert.deepEqual(body.data.map(customer => customer.email), ['marisol@example.com', 'jo.marisol@example.com']);
+  assert.equal((await api.request('GET', '/customers/search?q=', { token: admin })).status, 400);
+});
+
+test('search ranks every match in the database and counts them all', async () => {
+  // The exact match is the oldest, so it is only first when the database does the ranking
+  await createCustomer({ first_name: 'Quill', email: 'quill@example.com' });
+  for (let i = 1; i <= 3; i++) {
+    await createCustomer({ first_name: `Quillon${i}`, email: `quillon${i}@example.com` });
+  }
+
+  const { body } = await api.request('GET', '/customers/search?q=QUILL&limit=2', { token: admin });
+  assert.deepEqual(body.data.map(customer => customer.email), ['quill@example.com', 'quillon3@example.com']);
+  assert.equal(body.data[0].score, 10);
+  assert.equal(body.total, 4);
+
+  const several = await api.request('GET', '/customers/search?q=quill%20cebu&limit=1', { token: admin });
+  assert.deepEqual(several.body.data.map(customer => customer.email), ['quill@example.com']);
+  assert.equal(several.body.data[0].score, 12);
+
+  const phone = await api.request('GET', '/customers/search?q=%2B63%20917%20555&limit=1', { token: admin });
+  assert.equal(phone.status, 200);
+  assert.ok(phone.body.total >= 4);
+});
+
+test('a deleted customer goes to the trash and can be restored', async () => {
+  const { body: created } = await createCustomer({ first_name: 'Trash', email: 'trash@example.com' });
+  const id = created.data.id;
+
+  assert.equal((await api.request('DELETE', `/customers/${id}`, { token: admin })).status, 200);
+  assert.equal((await api.request('GET', `/customers/${id}`, { token: admin })).status, 404);
+
+  const trash = await api.request('GET', '/customers/trash', { token: admin });
+  assert.ok(trash.body.data.some(customer => customer.id === id));
+
+  assert.equal((await api.request('POST', `/customers/${id}/restore`, { token: admin })).status, 200);
+  assert.equal((await api.request('GET', `/customers/${id}`, { token: admin })).body.data.email, 'trash@example.com');
+});
+
+test('customers can be filtered by tag', async () => {
+  const { body: tag } = await api.request('POST', '/tags', { token: admin, body: { name: 'VIP', color: '#aa0000' } });
+  await createCustomer({ first_name: 'Tagged', email: 'tagged@example.com', tag_ids: [tag.data.id] });
+
+  const { body } = await api.request('GET', `/customers?tags=${tag.data.id}`, { token: admin });
+  assert.deepEqual(body.data.map(customer => customer.email), ['tagged@example.com']);
+  assert.deepEqual(body.data[0].tags.map(t => t.name), ['VIP']);
+});
+
+test('notes are listed newest interaction first', async () => {
+  const { body: created } = await createCustomer({ first_name: 'Noted', email: 'noted@example.com' });
+  const notes = `/customers/${created.data.id}/notes`;
+  await api.request('POST', notes, { token: admin, body: { type: 'call', body: 'First call', occurred_at: '2024-01-01T09:00:00Z' } });
+  await api.request('POST', notes, { token: admin, body: { type: 'email', body: 'Sent quote', occurred_at: '2024-02-01T09:00:00Z' } });
+
+  const { body } = await api.request('GET', notes, { token: admin });
+  assert.deepEqual(body.data.map(note => note.body), ['Sent quote', 'First call']);
+  assert.equal(body.data[0].author_email, 'admin@example.com');
+});
+
+test('an import creates customers and reports existing emails as duplicates', async () => {
+  const csv = Buffer.from([
+    'First Name,Last Name,Email,Phone,Address',
+    'Imported,One,imported1@example.com,0917 555 0101,Cebu City',
+    'Again,Page,page1@example.com,0917 555 0102,Cebu City'
+  ].join('\n'));
+
+  const report = await importCustomers(csv, { dryRun: false, onDuplicate: 'skip' });
+  assert.deepEqual(report.rows.map(row => row.status), ['valid', 'duplicate']);
+  assert.equal(report.summary.created, 1);
+  assert.equal(report.summary.skipped, 1);
+
+  const { body } = await api.request('GET', '/customers/search?q=imported1', { token: admin });
+  assert.equal(body.data[0].first_name, 'Imported');
+});
+
+test('an email added by someone else during an import fails its row instead of the request', async (t) => {
+  await createCustomer({ first_name: 'Raced', email: 'raced@example.com' });
+  const csv = Buffer.from([
+    'First Name,Last Name,Email,Phone,Address',
+    'Fresh,One,fresh@example.com,0917 555 0103,Cebu City',
+    'Raced,Two,raced@example.com,0917 555 0104,Cebu City'
+  ].join('\n'));
+
+  // As if raced@example.com was added between the validation and the write
+  t.mock.method(Customer, 'findAll', async () => []);
+  const error = await importCustomers(csv, { dryRun: false, onDuplicate: 'fail' }).catch(e => e);
+  t.mock.restoreAll();
+
+  assert.equal(error.name, 'ImportError');
+  assert.deepEqual(error.report.rows.map(row => row.status), ['valid', 'invalid']);
+  assert.deepEqual(error.report.rows[1].errors, ['Email was added by someone else during the import']);
+  assert.equal(error.report.rows[0].result, undefined);
+  assert.equal(error.report.summary.invalid, 1);
+
+  // Nothing was written
+  const { body } = await api.request('GET', '/customers/search?q=fresh@example.com', { token: admin });
+  assert.equal(body.total, 0);
+});
+
+test('exports stream every matching customer', async () => {
+  const { status, headers, body } = await api.request('GET', '/customers/export/csv?first_name=Page&sort=first_name&order=asc&columns=first_name,email', { token: admin });
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/csv/);
+  assert.equal(body, 'First Name,Email\nPage1,page1@example.com\nPage2,page2@example.com\nPage3,page3@example.com\n');
+});
+
+test('exports page through customers without skipping any when rows go away meanwhile', async () => {
+  // Same last name for all, so the batches split inside a group of ties
+  const ids = [];
+  for (let i = 1; i <= 5; i++) {
+    ids.push((await createCustomer({ first_name: `Batch${i}`, last_name: 'Keyset', email: `batch${i}@example.com` })).body.data.id);
+  }
+
+  const { where, order } = parseExportQuery({ last_name: 'Keyset', sort: 'last_name', order: 'asc' });
+  const seen = [];
+  for await (const customer of iterateCustomers({ where, order }, 2)) {
+    seen.push(customer.id);
+    // Trashing a customer already exported would shift an OFFSET by one
+    if (seen.length === 2) {
+      await api.request('DELETE', `/customers/${ids[0]}`, { token: admin });
+    }
+  }
+  assert.deepEqual(seen, ids);
+
+  // Newest first by default, compared on the creation time
+  const newest = [];
+  for await (const customer of iterateCustomers(parseExportQuery({ last_name: 'Keyset' }), 2)) {
+    newest.push(customer.id);
+  }
+  assert.deepEqual(newest, ids.slice(1).reverse());
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { diffChanges, recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../middleware/permissions');
+
+const ana = { first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', phone: '0917 555 0100', address: 'Cebu City' };
+
+let api;
+let admin;
+let editor;
+let customerId;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+  editor = await api.register('editor@example.com', { role: 'editor', adminToken: admin });
+
+  const { body } = await api.request('POST', '/customers', { token: editor, body: ana });
+  customerId = body.data.id;
+});
+
+after(() => api.stop());
+
+const history = async () => (await api.request('GET', `/customers/${customerId}/history`, { token: editor })).body.data;
+
+test('a diff lists only the fields that changed, with their old and new values', () => {
+  assert.deepEqual(diffChanges(ana, { ...ana, address: 'Manila' }), {
+    address: { before: 'Cebu City', after: 'Manila' }
+  });
+  assert.deepEqual(diffChanges(ana, { ...ana }), {});
+});
+
+test('a created customer has every field going from null', () => {
+  const changes = diffChanges(null, ana);
+  assert.deepEqual(Object.keys(changes), ['first_name', 'last_name', 'email', 'phone', 'address']);
+  assert.deepEqual(changes.email, { before: null, after: 'ana@example.com' });
+});
+
+test('a deleted customer has every field going to null', () => {
+  assert.deepEqual(diffChanges(ana, null).phone, { before: '0917 555 0100', after: null });
+});
+
+test('only the listed fields are compared', () => {
+  assert.deepEqual(diffChanges({ body: 'a', secret: 1 }, { body: 'b', secret: 2 }, ['body']), {
+    body: { before: 'a', after: 'b' }
+  });
+});
+
+test('an update that changed nothing is not recorded', async () => {
+  assert.equal(await recordAudit({ action: 'update', entityId: 1, before: ana, after: { ...ana } }), null);
+});
+
+test('only admins may read the audit log', () => {
+  assert.ok(hasPermission({ role: 'admin' }, 'view_audit'));
+  assert.ok(!hasPermission({ role: 'editor' }, 'view_audit'));
+  assert.ok(!hasPermission({ role: 'viewer' }, 'view_audit'));
+});
+
+test('creating a customer records who created it and its values', async () => {
+  const [created] = await history();
+  assert.equal(created.action, 'create');
+  assert.equal(created.actor_email, 'editor@example.com');
+  assert.deepEqual(created.changes.email, { before: null, after: 'ana@example.com' });
+});
+
+test('an update records only the fields that changed', async () => {
+  await api.request('PUT', `/customers/${customerId}`, { token: editor, body: { ...ana, address: 'Manila' } });
+
+  const [updated] = await history();
+  assert.equal(updated.action, 'update');
+  assert.deepEqual(updated.changes.address, { before: 'Cebu City', after: 'Manila' });
+  assert.equal(updated.changes.first_name, undefined);
+});
+
+test('an update that changes nothing adds no entry', async () => {
+  const count = (await history()).length;
+  await api.request('PUT', `/customers/${customerId}`, { token: editor, body: { ...ana, address: 'Manila' } });
+  assert.equal((await history()).length, count);
+});
+
+test('deletes are recorded and the audit log filters by action', async () => {
+  await api.request('DELETE', `/customers/${customerId}`, { token: admin });
+
+  const { status, body } = await api.request('GET', `/audit?entity_id=${customerId}&action=delete`, { token: admin });
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 1);
+  assert.equal(body.data[0].actor_email, 'admin@example.com');
+});
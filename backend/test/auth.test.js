@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { TimeoutError } = require('sequelize');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const { startServer } = require('./helpers');
+const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const sequelize = require('../config/database');
+
+// Run the middleware on a request with the given Authorization header
+async function authenticateWith(authorization) {
+  const req = { headers: authorization ? { authorization } : {} };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await authenticate(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('requests without a Bearer token are rejected', async () => {
+  for (const header of [undefined, 'Basic abc', 'Bearer']) {
+    const { res, nextCalled } = await authenticateWith(header);
+    assert.equal(res.statusCode, 401, String(header));
+    assert.equal(res.body.message, 'Authentication required');
+    assert.equal(nextCalled, false);
+  }
+});
+
+test('forged and expired tokens are rejected', async () => {
+  const forged = jwt.sign({ id: 1 }, 'another-secret');
+  const expired = jwt.sign({ id: 1, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+  for (const token of [forged, expired, 'not-a-token']) {
+    const { res, nextCalled } = await authenticateWith(`Bearer ${token}`);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+    assert.equal(nextCalled, false);
+  }
+});
+
+test('a changed password is stored as a bcrypt hash', async () => {
+  const user = User.build({ first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', password: 'old' }, { isNewRecord: false });
+  user.password = 'secret1';
+  await User.runHooks('beforeUpdate', user);
+
+  assert.notEqual(user.password, 'secret1');
+  assert.ok(await User.verifyPassword('secret1', user.password));
+  assert.ok(!(await User.verifyPassword('secret2', user.password)));
+});
+
+test('checking a password without a hash still runs bcrypt and fails', async (t) => {
+  const compare = t.mock.method(bcrypt, 'compare');
+  assert.equal(await User.verifyPassword('secret1', null), false);
+  assert.equal(compare.mock.callCount(), 1);
+  assert.match(compare.mock.calls[0].arguments[1], /^\$2[aby]\$/);
+});
+
+test('the password hash is left out of JSON', () => {
+  const user = User.build({ first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', password: 'hash' });
+  assert.equal(user.toJSON().password, undefined);
+  assert.equal(user.toJSON().email, 'ana@example.com');
+});
+
+test('of two registrations at once, only the first becomes the admin', async (t) => {
+  const api = await startServer();
+  t.after(() => api.stop());
+  const account = email => ({ first_name: 'Ana', last_name: 'Cruz', email, password: 'secret1' });
+
+  // Another registration gets in first, and the database aborts this one's
+  // transaction the way SQLite answers while the other holds the write lock
+  const transaction = sequelize.transaction;
+  let raced = false;
+  t.mock.method(sequelize, 'transaction', async function (...args) {
+    if (!raced) {
+      raced = true;
+      await User.register(account('first@example.com'));
+      throw new TimeoutError(new Error('SQLITE_BUSY: database is locked'));
+    }
+    return transaction.apply(this, args);
+  });
+
+  const user = await User.register(account('second@example.com'));
+  assert.equal(user.role, 'viewer');
+  assert.equal((await User.findByEmail('first@example.com')).role, 'admin');
+});
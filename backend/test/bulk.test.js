@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { bulkUpdate, BULK_UPDATABLE_FIELDS } = require('../utils/bulk');
+
+test('email cannot be bulk updated, as it must stay unique', () => {
+  assert.ok(!BULK_UPDATABLE_FIELDS.includes('email'));
+});
+
+test('a bulk update must change at least one field', async () => {
+  await assert.rejects(bulkUpdate({ ids: [1] }, {}), {
+    name: 'BulkOperationError',
+    message: 'changes must set at least one field'
+  });
+});
+
+test('a bulk update may only change the allowed fields', async () => {
+  await assert.rejects(bulkUpdate({ ids: [1] }, { address: 'Manila', email: 'x@example.com', id: 5 }), {
+    name: 'BulkOperationError',
+    message: 'Cannot bulk update: email, id. Allowed: first_name, last_name, phone, address'
+  });
+});
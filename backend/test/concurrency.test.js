@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { parseIfMatch } = require('../utils/concurrency');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+let emails = 0;
+
+async function createCustomer() {
+  emails++;
+  const { body } = await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Ana', last_name: 'Cruz', email: `ana${emails}@example.com`, phone: '0917 555 0100', address: 'Cebu City' }
+  });
+  return body.data;
+}
+
+const patch = (id, body, headers) => api.request('PATCH', `/customers/${id}`, { token: admin, body, headers });
+
+test('a customer is served with its version as the ETag', async () => {
+  const customer = await createCustomer();
+  const { headers, body } = await api.request('GET', `/customers/${customer.id}`, { token: admin });
+  assert.equal(headers.get('etag'), `"${body.data.version}"`);
+});
+
+test('each change bumps the version', async () => {
+  const customer = await createCustomer();
+  const { status, headers, body } = await patch(customer.id, { address: 'Manila' }, { 'If-Match': `"${customer.version}"` });
+  assert.equal(status, 200);
+  assert.equal(body.data.version, customer.version + 1);
+  assert.equal(headers.get('etag'), `"${customer.version + 1}"`);
+});
+
+test('a stale If-Match is refused with 412 and the current customer', async () => {
+  const customer = await createCustomer();
+  await patch(customer.id, { address: 'Manila' });
+
+  const { status, headers, body } = await patch(customer.id, { address: 'Davao' }, { 'If-Match': `"${customer.version}"` });
+  assert.equal(status, 412);
+  assert.equal(body.data.address, 'Manila');
+  assert.equal(headers.get('etag'), `"${customer.version + 1}"`);
+});
+
+test('a stale version in the body is refused with 409', async () => {
+  const customer = await createCustomer();
+  await patch(customer.id, { address: 'Manila' });
+
+  const { status } = await patch(customer.id, { address: 'Davao', version: customer.version });
+  assert.equal(status, 409);
+  const current = (await api.request('GET', `/customers/${customer.id}`, { token: admin })).body.data;
+  assert.equal(current.address, 'Manila');
+});
+
+test('writes without If-Match or version still go through', async () => {
+  const customer = await createCustomer();
+  assert.equal((await patch(customer.id, { address: 'Manila' })).status, 200);
+  assert.equal((await patch(customer.id, { address: 'Davao' }, { 'If-Match': '*' })).status, 200);
+});
+
+test('a PUT must send every field, where a PATCH may send some', async () => {
+  const customer = await createCustomer();
+  const put = (body) => api.request('PUT', `/customers/${customer.id}`, { token: admin, body });
+
+  assert.equal((await put({ first_name: 'Ana', address: 'Manila' })).status, 400);
+  const partial = await put({ first_name: 'Ana', last_name: 'Cruz', address: 'Manila' });
+  assert.equal(partial.status, 400);
+  assert.deepEqual(partial.body.errors, [
+    { field: 'body.email', message: "must have required property 'email'" },
+    { field: 'body.phone', message: "must have required property 'phone'" }
+  ]);
+  const current = (await api.request('GET', `/customers/${customer.id}`, { token: admin })).body.data;
+  assert.equal(current.address, 'Cebu City');
+
+  // Contact lists stand in for their single-value fields
+  const full = await put({
+    first_name: 'Ana',
+    last_name: 'Reyes',
+    emails: [{ label: 'work', email: customer.email, is_primary: true }],
+    phone: '0917 555 0100',
+    address: 'Manila'
+  });
+  assert.equal(full.status, 200);
+  assert.equal(full.body.data.last_name, 'Reyes');
+});
+
+test('If-Match lists tags, and weak tags compare by value', () => {
+  assert.equal(parseIfMatch(undefined), null);
+  assert.deepEqual(parseIfMatch('W/"3", "4"'), ['"3"', '"4"']);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEnvFile, loadEnvFiles, buildConfig } = require('../config/env');
+
+const SQLITE = { JWT_SECRET: 'secret', DB_DIALECT: 'sqlite', DB_STORAGE: ':memory:' };
+
+test('.env files allow comments, export prefixes and quoted values', () => {
+  assert.deepEqual(parseEnvFile([
+    '# comment',
+    '',
+    'PORT=4000',
+    'export JWT_SECRET = "two\\nlines"',
+    "DB_PASSWORD='p#ss word'",
+    'DB_NAME=crm # trailing comment'
+  ].join('\n')), { PORT: '4000', JWT_SECRET: 'two\nlines', DB_PASSWORD: 'p#ss word', DB_NAME: 'crm' });
+});
+
+test('the environment wins over .env.<NODE_ENV>, which wins over .env', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-env-'));
+  try {
+    fs.writeFileSync(path.join(dir, '.env'), 'PORT=4000\nDB_NAME=from-env\nDB_USER=app\n');
+    fs.writeFileSync(path.join(dir, '.env.test'), 'DB_NAME=from-test\n');
+
+    const env = { NODE_ENV: 'test', DB_USER: 'set' };
+    assert.deepEqual(loadEnvFiles(env, dir), ['.env.test', '.env']);
+    assert.deepEqual(env, { NODE_ENV: 'test', DB_USER: 'set', DB_NAME: 'from-test', PORT: '4000' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('defaults fill in everything but the secret', () => {
+  const config = buildConfig({ JWT_SECRET: 'secret', DB_USER: 'root' });
+  assert.equal(config.port, 3000);
+  assert.equal(config.publicApiUrl, 'http://localhost:3000/api');
+  assert.deepEqual(config.jwt, { secret: 'secret', expiresIn: '24h' });
+  assert.equal(config.trashRetentionDays, 30);
+  assert.deepEqual(config.database, {
+    dialect: 'mysql', logging: false, migrateOnStart: false, host: 'localhost', port: 3306, name: 'customer_management', user: 'root', password: '', poolMax: 5
+  });
+});
+
+test('server databases take a port, and SQLite needs only a storage', () => {
+  assert.equal(buildConfig({ ...SQLITE, DB_DIALECT: 'mysql', DB_USER: 'app', DB_PORT: '3307' }).database.port, 3307);
+  assert.deepEqual(buildConfig(SQLITE).database, { dialect: 'sqlite', logging: false, migrateOnStart: true, storage: ':memory:' });
+  assert.equal(buildConfig({ ...SQLITE, DB_STORAGE: 'crm.sqlite' }).database.storage, path.resolve(__dirname, '..', 'crm.sqlite'));
+});
+
+test('only an in-memory database is migrated on start unless asked', () => {
+  assert.equal(buildConfig({ ...SQLITE, DB_STORAGE: 'crm.sqlite' }).database.migrateOnStart, false);
+  assert.equal(buildConfig({ ...SQLITE, DB_STORAGE: 'crm.sqlite', DB_MIGRATE_ON_START: 'yes' }).database.migrateOnStart, true);
+  assert.equal(buildConfig({ ...SQLITE, DB_MIGRATE_ON_START: 'false' }).database.migrateOnStart, false);
+});
+
+test('a bare number of seconds is kept as a number for the token lifetime', () => {
+  assert.equal(buildConfig({ ...SQLITE, JWT_EXPIRES_IN: '3600' }).jwt.expiresIn, 3600);
+  assert.equal(buildConfig({ ...SQLITE, PUBLIC_API_URL: 'https://crm.example.com/api/' }).publicApiUrl, 'https://crm.example.com/api');
+});
+
+test('every invalid setting is reported at once', () => {
+  assert.throws(() => buildConfig({
+    PORT: 'eighty',
+    JWT_EXPIRES_IN: 'forever',
+    PUBLIC_API_URL: 'crm.example.com',
+    TRASH_RETENTION_DAYS: '0',
+    DB_DIALECT: 'oracle'
+  }), {
+    name: 'ConfigError',
+    problems: [
+      'PORT must be an integer between 1 and 65535 (got "eighty")',
+      'JWT_SECRET is required (it signs login tokens)',
+      'JWT_EXPIRES_IN must be a number of seconds or a duration like 24h or 7d (got "forever")',
+      'PUBLIC_API_URL must be an http(s) URL (got "crm.example.com")',
+      `TRASH_RETENTION_DAYS must be an integer between 1 and ${Number.MAX_SAFE_INTEGER} (got "0")`,
+      'DB_DIALECT must be one of: mysql, mariadb, postgres, sqlite (got "oracle")'
+    ]
+  });
+});
+
+test('production needs a long secret, and server databases need a user', () => {
+  assert.throws(() => buildConfig({ NODE_ENV: 'production', JWT_SECRET: 'short', DB_DIALECT: 'mysql' }), {
+    problems: ['JWT_SECRET must be at least 32 characters in production', 'DB_USER is required for DB_DIALECT=mysql']
+  });
+});
+
+// Only meaningful where the MariaDB driver is not installed
+const hasMariaDB = (() => {
+  try {
+    return Boolean(require.resolve('mariadb'));
+  } catch (error) {
+    return false;
+  }
+})();
+
+test('a dialect whose driver is missing says what to install', { skip: hasMariaDB && 'mariadb is installed' }, () => {
+  assert.throws(() => buildConfig({ ...SQLITE, DB_DIALECT: 'mariadb', DB_USER: 'app' }), {
+    problems: ['DB_DIALECT=mariadb needs mariadb (run: npm install mariadb)']
+  });
+});
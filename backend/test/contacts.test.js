@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+require('./helpers');
+const { formatAddress, listToText, parseContactLists, primaryValues } = require('../utils/contacts');
+const { pickColumns } = require('../utils/streamWrite');
+const { parseExportQuery } = require('../utils/exportQuery');
+const { exportToCSV } = require('../utils/csvExport');
+const { toVCard } = require('../utils/vcard');
+
+const phones = [
+  { label: 'mobile', number: '0917 555 0100', is_primary: true },
+  { label: 'work', number: '032 123 4567', is_primary: false }
+];
+const addresses = [
+  { type: 'home', street: '12 Mango Ave', city: 'Cebu City', province: 'Cebu', postal_code: '6000', country: 'PH', is_primary: true }
+];
+
+test('addresses are written on one line, skipping blank parts', () => {
+  assert.equal(formatAddress(addresses[0]), '12 Mango Ave, Cebu City, Cebu 6000, PH');
+  assert.equal(formatAddress({ street: '12 Mango Ave', country: 'PH' }), '12 Mango Ave, PH');
+});
+
+test('a list becomes one line of labelled values', () => {
+  assert.equal(listToText('phones', phones), 'mobile: 0917 555 0100; work: 032 123 4567');
+  assert.equal(listToText('emails', undefined), '');
+});
+
+test('each list keeps exactly one primary entry', () => {
+  const lists = parseContactLists({
+    phones: [{ label: 'work', number: ' 032 123 4567 ' }, { label: 'mobile', number: '0917 555 0100', is_primary: true }],
+    emails: [{ label: 'home', email: 'ana@example.com' }, { label: 'work', email: 'ana@work.example.com' }]
+  });
+
+  assert.deepEqual(lists.phones.map(entry => entry.is_primary), [false, true]);
+  assert.equal(lists.phones[0].number, '032 123 4567');
+  assert.deepEqual(lists.emails.map(entry => entry.is_primary), [true, false]);
+  assert.ok(!('addresses' in lists));
+
+  // The customers columns follow the primary entries
+  assert.deepEqual(primaryValues(lists), { phone: '0917 555 0100', email: 'ana@example.com' });
+});
+
+test('contact lists must be non-empty arrays of objects', () => {
+  assert.throws(() => parseContactLists({ phones: [] }), { name: 'ContactError', message: 'phones must be a non-empty array' });
+  assert.throws(() => parseContactLists({ emails: 'ana@example.com' }), { name: 'ContactError' });
+  assert.throws(() => parseContactLists({ addresses: ['Cebu'] }), { name: 'ContactError', message: 'Each entry in addresses must be an object' });
+  assert.throws(() => parseContactLists({ phones: Array(21).fill({ number: '1' }) }), { name: 'ContactError', message: 'At most 20 phones are allowed' });
+});
+
+test('list columns are exported as entries, or as text in flat formats', async () => {
+  const { columns } = parseExportQuery({ columns: 'first_name,phones' });
+  const customer = { id: 1, first_name: 'Ana', phones: phones.map(entry => ({ ...entry, id: 9, customer_id: 1 })) };
+
+  assert.deepEqual(pickColumns(customer, columns).phones, phones);
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await exportToCSV((async function* () { yield customer; })(), stream, { columns });
+  assert.equal(Buffer.concat(chunks).toString(), 'First Name,Phones\nAna,mobile: 0917 555 0100; work: 032 123 4567\n');
+});
+
+test('a vCard lists every contact entry, marking the primary one', () => {
+  const card = toVCard({
+    id: 1,
+    first_name: 'Ana',
+    last_name: 'Cruz',
+    emails: [{ label: 'home', email: 'ana@example.com', is_primary: true }],
+    phones,
+    addresses
+  });
+
+  assert.ok(card.includes('EMAIL;TYPE=INTERNET,HOME,PREF:ana@example.com\r\n'));
+  assert.ok(card.includes('TEL;TYPE=VOICE,MOBILE,PREF:0917 555 0100\r\n'));
+  assert.ok(card.includes('TEL;TYPE=VOICE,WORK:032 123 4567\r\n'));
+  assert.ok(card.includes('ADR;TYPE=HOME,PREF:;;12 Mango Ave;Cebu City;Cebu;6000;PH\r\n'));
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { importCustomers, resolveMapping } = require('../utils/csvImport');
+
+const csv = (text) => Buffer.from(text.trim() + '\n');
+
+test('headers written by the CSV export and plain field names are recognised', () => {
+  const { mapping, missing } = resolveMapping(['First Name', 'last_name', 'EMAIL', 'Phone', 'Address', 'Notes']);
+  assert.deepEqual(mapping, {
+    'First Name': 'first_name',
+    last_name: 'last_name',
+    EMAIL: 'email',
+    Phone: 'phone',
+    Address: 'address'
+  });
+  assert.deepEqual(missing, []);
+});
+
+test('an explicit mapping wins and unmapped fields are reported', () => {
+  const { mapping, missing } = resolveMapping(['Given', 'Surname', 'Mail'], { Given: 'first_name', Surname: 'last_name', Mail: 'email' });
+  assert.deepEqual(mapping, { Given: 'first_name', Surname: 'last_name', Mail: 'email' });
+  assert.deepEqual(missing, ['phone', 'address']);
+});
+
+test('mappings to unknown fields are ignored', () => {
+  const { mapping } = resolveMapping(['Password'], { Password: 'password' });
+  assert.deepEqual(mapping, {});
+});
+
+test('an unknown on_duplicate strategy is refused', async () => {
+  await assert.rejects(importCustomers(csv('email\na@example.com'), { onDuplicate: 'merge' }), {
+    name: 'ImportError',
+    message: 'on_duplicate must be one of: skip, update, fail'
+  });
+});
+
+test('a file without data rows is refused', async () => {
+  await assert.rejects(importCustomers(csv('first_name,last_name,email,phone,address')), {
+    name: 'ImportError',
+    message: 'No data rows found in CSV'
+  });
+});
+
+test('a file missing required columns is refused with the headers it has', async () => {
+  const error = await importCustomers(csv('first_name,email\nAna,ana@example.com')).catch(err => err);
+  assert.equal(error.name, 'ImportError');
+  assert.equal(error.message, 'No column mapped to: last_name, phone, address');
+  assert.deepEqual(error.report.headers, ['first_name', 'email']);
+});
+
+test('a file that is not valid CSV is refused', async () => {
+  await assert.rejects(importCustomers(csv('first_name,last_name\n"Ana,Cruz')), {
+    name: 'ImportError',
+    message: /^Could not parse CSV/
+  });
+});
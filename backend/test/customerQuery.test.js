@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+require('./helpers');
+const sequelize = require('../config/database');
+const { buildListQuery, buildFilters, buildOrder, buildPagination, escapeLike, likeCondition } = require('../utils/customerQuery');
+
+test('lists default to the first 10 customers, newest first', () => {
+  const query = buildListQuery({});
+  assert.equal(query.limit, 10);
+  assert.equal(query.offset, 0);
+  assert.deepEqual(query.order, [['date_created', 'DESC'], ['id', 'DESC']]);
+});
+
+test('page and limit become an offset, with the limit capped at 100', () => {
+  assert.equal(buildListQuery({ page: '3', limit: '20' }).offset, 40);
+  assert.equal(buildListQuery({ limit: '500' }).limit, 100);
+});
+
+test('page and limit must be positive integers', () => {
+  for (const query of [{ page: '0' }, { page: '-1' }, { limit: '1.5' }, { limit: 'ten' }]) {
+    assert.throws(() => buildListQuery(query), { name: 'InvalidQueryError' }, JSON.stringify(query));
+  }
+});
+
+test('sorting is limited to known columns and breaks ties on id', () => {
+  assert.deepEqual(buildOrder({ sort: 'last_name', order: 'asc' }), [['last_name', 'ASC'], ['id', 'ASC']]);
+  assert.deepEqual(buildOrder({ sort: 'id', order: 'ASC' }), [['id', 'ASC']]);
+  assert.throws(() => buildOrder({ sort: 'password' }), /sort must be one of/);
+  assert.throws(() => buildOrder({ order: 'sideways' }), /order must be asc or desc/);
+});
+
+test('name filters match the start of the name', () => {
+  const where = buildFilters({ first_name: 'An', last_name: 'Cr' });
+  assert.deepEqual(where.first_name, likeCondition('An%'));
+  assert.deepEqual(where.last_name, likeCondition('Cr%'));
+});
+
+test('LIKE wildcards in a name filter are matched literally', () => {
+  assert.equal(escapeLike('50%_off!'), '50!%!_off!!');
+  assert.deepEqual(buildFilters({ last_name: 'O_Neil' }).last_name, likeCondition('O!_Neil%'));
+});
+
+test('name filters ignore case on Postgres too', (t) => {
+  assert.ok(Op.like in likeCondition('An%'));
+  t.mock.method(sequelize, 'getDialect', () => 'postgres');
+  const condition = likeCondition('An%');
+  assert.ok(Op.iLike in condition);
+  assert.equal(condition[Op.iLike].val, "'An%' ESCAPE '!'");
+});
+
+test('a bare created_to date includes the whole day', () => {
+  const where = buildFilters({ created_from: '2024-01-01', created_to: '2024-01-31' });
+  assert.deepEqual(where.date_created[Op.gte], new Date('2024-01-01'));
+  assert.deepEqual(where.date_created[Op.lt], new Date('2024-02-01'));
+
+  const exact = buildFilters({ created_to: '2024-01-31T12:00:00Z' });
+  assert.deepEqual(exact.date_created[Op.lte], new Date('2024-01-31T12:00:00Z'));
+  assert.throws(() => buildFilters({ created_from: 'yesterday' }), /created_from must be a valid date/);
+});
+
+test('pagination reports the pages around the current one', () => {
+  assert.deepEqual(buildPagination({ page: 2, limit: 10 }, 25), {
+    page: 2, limit: 10, total: 25, totalPages: 3, hasNext: true, hasPrev: true
+  });
+  assert.equal(buildPagination({ page: 1, limit: 10 }, 0).totalPages, 1);
+});
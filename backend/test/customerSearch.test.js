@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+require('./helpers');
+const { tokenize, buildSearchWhere, rankResults } = require('../utils/customerSearch');
+const { likeCondition } = require('../utils/customerQuery');
+
+const customer = (values) => ({
+  first_name: 'Ana',
+  last_name: 'Cruz',
+  email: 'customer@example.com',
+  phone: '0917-555-0100',
+  address: 'Cebu City',
+  date_created: '2024-01-01T00:00:00Z',
+  ...values
+});
+
+test('a query is split into words, but a phone number stays one term', () => {
+  assert.deepEqual(tokenize('  ana   cruz '), ['ana', 'cruz']);
+  assert.deepEqual(tokenize('0966 174 8034'), ['0966 174 8034']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('every term must match some field', () => {
+  const where = buildSearchWhere(['ana', 'cebu']);
+  assert.equal(where[Op.and].length, 2);
+  assert.deepEqual(where[Op.and][0][Op.or][0], { first_name: likeCondition('%ana%') });
+});
+
+test('LIKE wildcards in a term are matched literally', () => {
+  const where = buildSearchWhere(['50%_off']);
+  assert.deepEqual(where[Op.and][0][Op.or][0], { first_name: likeCondition('%50!%!_off%') });
+});
+
+test('only phone-like terms search the phone digits', () => {
+  assert.equal(buildSearchWhere(['ana'])[Op.and][0][Op.or].length, 4);
+  assert.equal(buildSearchWhere(['917-5'])[Op.and][0][Op.or].length, 6);
+});
+
+test('a whole phone number also matches the stored E.164 form', () => {
+  const fields = buildSearchWhere(['0917 555 0100'])[Op.and][0][Op.or];
+  assert.deepEqual(fields[fields.length - 1], { phone_e164: '+639175550100' });
+
+  const [result] = rankResults([customer({ phone: '+63 917 555 0100', phone_e164: '+639175550100' })], ['0917 555 0100']);
+  assert.equal(result.score, 5);
+});
+
+test('part of a number with its country code matches a number stored in national format', () => {
+  const fields = buildSearchWhere(['+63 917'])[Op.and][0][Op.or];
+  assert.ok(fields.some(field => field.phone_e164 && field.phone_e164[Op.like] === '%63917%'));
+
+  const [result] = rankResults([customer({ phone: '0917-555-0100', phone_e164: '+639175550100' })], ['+63 917']);
+  assert.equal(result.score, 5);
+});
+
+test('exact matches rank above prefixes and prefixes above contains', () => {
+  const results = rankResults([
+    customer({ id: 1, first_name: 'Mariana' }),
+    customer({ id: 2, first_name: 'Ana' }),
+    customer({ id: 3, first_name: 'Anabel' })
+  ], ['ana']);
+  assert.deepEqual(results.map(result => result.id), [2, 3, 1]);
+  assert.deepEqual(results[0].matched_fields, ['first_name']);
+});
+
+test('phone terms match however the number was formatted', () => {
+  const [result] = rankResults([customer({ id: 1 })], ['0917 555 0100']);
+  assert.ok(result.matched_fields.includes('phone'));
+  assert.equal(result.score, 5);
+});
+
+test('equal scores are ordered newest first', () => {
+  const results = rankResults([
+    customer({ id: 1, date_created: '2024-01-01T00:00:00Z' }),
+    customer({ id: 2, date_created: '2024-06-01T00:00:00Z' })
+  ], ['cebu']);
+  assert.deepEqual(results.map(result => result.id), [2, 1]);
+});
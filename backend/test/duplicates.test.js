@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { scorePair, DEFAULT_THRESHOLD } = require('../utils/duplicates');
+const { mergeCustomers } = require('../utils/merge');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+function customer(values = {}) {
+  return { first_name: 'Ana', last_name: 'Cruz', phone: '0917 555 0100', address: '12 Mango Ave, Cebu City', ...values };
+}
+
+async function createCustomer(values) {
+  const { status, body } = await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Ana', last_name: 'Cruz', address: 'Cebu City', ...values }
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data;
+}
+
+async function addNote(customerId, text) {
+  const { status } = await api.request('POST', `/customers/${customerId}/notes`, { token: admin, body: { type: 'call', body: text } });
+  assert.equal(status, 201);
+}
+
+const notesOf = async (customerId) => (await api.request('GET', `/customers/${customerId}/notes`, { token: admin })).body.data;
+
+test('the same person written differently scores as a likely duplicate', () => {
+  const { score, signals } = scorePair(
+    customer(),
+    customer({ first_name: 'Anna', last_name: 'Crúz', phone: '+63 917 555 0100', address: '12 Mango Avenue Cebu City' })
+  );
+  assert.equal(signals.phone, 1);
+  assert.ok(signals.name > 0.8);
+  assert.ok(score >= DEFAULT_THRESHOLD);
+});
+
+test('different people sharing a last name score below the threshold', () => {
+  const { score, signals } = scorePair(
+    customer(),
+    customer({ first_name: 'Roberto', phone: '0918 222 3333', address: 'Davao City' })
+  );
+  assert.equal(signals.phone, 0);
+  assert.ok(score < DEFAULT_THRESHOLD);
+});
+
+test('identical customers score 1', () => {
+  assert.deepEqual(scorePair(customer(), customer()), { score: 1, signals: { name: 1, phone: 1, address: 1 } });
+});
+
+test('scorePair matches a number however it was typed', () => {
+  const { signals } = scorePair(
+    { first_name: 'Ana', last_name: 'Cruz', phone: '0917 555 0100' },
+    { first_name: 'Ana', last_name: 'Cruz', phone: '+63 917 555 0100' }
+  );
+  assert.equal(signals.phone, 1);
+  assert.equal(signals.name, 1);
+});
+
+test('customers sharing a number in different formats are reported as duplicates', async () => {
+  const first = await createCustomer({ first_name: 'Maria', last_name: 'Santos', email: 'maria@example.com', phone: '0918 555 0101' });
+  const second = await createCustomer({ first_name: 'Ma.', last_name: 'Santos-Reyes', email: 'maria.s@example.com', phone: '+63 918 555 0101' });
+  assert.ok(second.id > first.id);
+
+  const { status, body } = await api.request('GET', '/customers/duplicates', { token: admin });
+  assert.equal(status, 200);
+  const pair = body.data.find(({ customers }) => customers[0].id === first.id && customers[1].id === second.id);
+  assert.ok(pair, 'pair not reported');
+  assert.equal(pair.signals.phone, 1);
+  assert.deepEqual(body.truncated, []);
+  assert.equal(pair.customers[0].date_created, first.date_created);
+  assert.match(pair.customers[1].date_created, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+});
+
+test('a merge is refused before touching the database when the request is invalid', async () => {
+  const merge = (options) => mergeCustomers({ survivorId: 1, loserId: 2, ...options });
+
+  await assert.rejects(merge({ loserId: 1 }), { name: 'MergeError', message: 'survivor_id and loser_id must be two different customers' });
+  await assert.rejects(merge({ loserAction: 'keep' }), { name: 'MergeError', message: 'loser_action must be one of: archive, delete' });
+  await assert.rejects(merge({ fields: { password: 'loser' } }), { name: 'MergeError', message: 'Unknown fields: password' });
+  await assert.rejects(merge({ fields: { phone: 'both' } }), { name: 'MergeError', message: 'Each field must come from "survivor" or "loser"' });
+});
+
+test('merging moves the loser\'s notes to the survivor', async () => {
+  const survivor = await createCustomer({ email: 'ana1@example.com', phone: '0917 555 0102' });
+  const loser = await createCustomer({ email: 'ana2@example.com', phone: '0917 555 0103' });
+  await addNote(survivor.id, 'Called about the invoice');
+  await addNote(loser.id, 'Asked for a brochure');
+
+  const { status, body } = await api.request('POST', '/customers/merge', {
+    token: admin,
+    body: { survivor_id: survivor.id, loser_id: loser.id, fields: { email: 'loser' } }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.survivor.email, 'ana2@example.com');
+
+  const notes = (await notesOf(survivor.id)).map(note => note.body).sort();
+  assert.deepEqual(notes, ['Asked for a brochure', 'Called about the invoice']);
+
+  // The archived loser is in the trash with its email released
+  const trash = (await api.request('GET', '/customers/trash', { token: admin })).body.data;
+  const archived = trash.find(customer => customer.id === loser.id);
+  assert.equal(archived.email, `merged-${loser.id}-ana2@example.com`);
+});
+
+test('merging with loser_action=delete keeps the loser\'s notes', async () => {
+  const survivor = await createCustomer({ email: 'ana3@example.com', phone: '0917 555 0104' });
+  const loser = await createCustomer({ email: 'ana4@example.com', phone: '0917 555 0105' });
+  await addNote(loser.id, 'Visited the store');
+
+  const { status } = await api.request('POST', '/customers/merge', {
+    token: admin,
+    body: { survivor_id: survivor.id, loser_id: loser.id, loser_action: 'delete' }
+  });
+  assert.equal(status, 200);
+
+  assert.deepEqual((await notesOf(survivor.id)).map(note => note.body), ['Visited the store']);
+  assert.equal((await api.request('GET', `/customers/${loser.id}`, { token: admin })).status, 404);
+
+  const [merge] = (await api.request('GET', `/customers/${survivor.id}/history`, { token: admin })).body.data;
+  assert.equal(merge.action, 'merge');
+  assert.deepEqual(merge.changes.notes_moved, { before: null, after: 1 });
+});
+
+test('a customer cannot be merged into itself', async () => {
+  const ana = await createCustomer({ email: 'ana5@example.com', phone: '0917 555 0106' });
+  const { status } = await api.request('POST', '/customers/merge', {
+    token: admin,
+    body: { survivor_id: ana.id, loser_id: ana.id }
+  });
+  assert.equal(status, 400);
+});
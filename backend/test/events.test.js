@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+// Open the customer event stream. next() resolves to the next event as { id, event, data }.
+async function openStream(headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${api.baseUrl}/customers/events`, {
+    headers: { Authorization: `Bearer ${admin}`, ...headers },
+    signal: controller.signal
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => !line.startsWith(':') && line.includes(': '))
+          .map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+        if (fields.event) {
+          return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+        }
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { response, next, close: () => controller.abort() };
+}
+
+const createCustomer = (email) => api.request('POST', '/customers', {
+  token: admin,
+  body: { first_name: 'Ana', last_name: 'Cruz', email, phone: '0917 555 0100', address: 'Cebu City' }
+});
+
+test('the stream needs a token', async () => {
+  const { status } = await api.request('GET', '/customers/events');
+  assert.equal(status, 401);
+});
+
+test('changes are streamed as they commit', async () => {
+  const stream = await openStream();
+  try {
+    assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+    const ready = await stream.next();
+    assert.equal(ready.event, 'ready');
+    assert.deepEqual(ready.data, { replayed: 0 });
+
+    const { body } = await createCustomer('live@example.com');
+    const created = await stream.next();
+    assert.equal(created.event, 'customer.created');
+    assert.ok(created.id > ready.id);
+    assert.equal(created.data.customer_id, body.data.id);
+    assert.equal(created.data.customer.email, 'live@example.com');
+    assert.equal(created.data.actor.email, 'admin@example.com');
+
+    await api.request('DELETE', `/customers/${body.data.id}`, { token: admin });
+    const deleted = await stream.next();
+    assert.equal(deleted.event, 'customer.deleted');
+    // The customer is in the trash, so it is no longer listed
+    assert.equal(deleted.data.customer, null);
+  } finally {
+    stream.close();
+  }
+});
+
+test('a reconnecting client gets the changes it missed', async () => {
+  const first = await openStream();
+  const { id: lastEventId } = await first.next();
+  first.close();
+
+  await createCustomer('missed1@example.com');
+  await createCustomer('missed2@example.com');
+
+  const second = await openStream({ 'Last-Event-ID': String(lastEventId) });
+  try {
+    const missed = [await second.next(), await second.next()];
+    assert.deepEqual(missed.map(event => event.data.customer.email), ['missed1@example.com', 'missed2@example.com']);
+    const ready = await second.next();
+    assert.equal(ready.event, 'ready');
+    assert.deepEqual(ready.data, { replayed: 2 });
+    assert.equal(ready.id, missed[1].id);
+  } finally {
+    second.close();
+  }
+});
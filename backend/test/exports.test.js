@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+require('./helpers');
+const { parseExportQuery, EXPORT_COLUMNS } = require('../utils/exportQuery');
+const { likeCondition } = require('../utils/customerQuery');
+const ExcelJS = require('exceljs');
+const { write } = require('../utils/streamWrite');
+const { exportToCSV } = require('../utils/csvExport');
+const { exportToXLSX } = require('../utils/xlsxExport');
+const { exportToJSON, exportToNDJSON } = require('../utils/jsonExport');
+const { getExporter } = require('../utils/exporters');
+
+const customers = [
+  { id: 1, first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', phone: '0917 555 0100', address: 'Cebu City, Cebu', date_created: new Date('2024-01-02T03:04:05Z') },
+  { id: 2, first_name: 'Ben', last_name: 'Reyes', email: 'ben@example.com', phone: '0917 555 0101', address: 'Manila', date_created: new Date('2024-02-03T04:05:06Z') }
+];
+
+async function* rows(list) {
+  yield* list;
+}
+
+// Run an exporter into memory and return what it wrote
+async function exported(exporter, list, options) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  await exporter(rows(list), stream, options);
+  return Buffer.concat(chunks);
+}
+
+test('exports take the list filters and sort, and every single-value column by default', () => {
+  const query = parseExportQuery({ last_name: 'Cr', sort: 'email', order: 'asc' });
+  assert.deepEqual(query.where.last_name, likeCondition('Cr%'));
+  assert.deepEqual(query.order, [['email', 'ASC'], ['id', 'ASC']]);
+  assert.deepEqual(query.columns.map(column => column.id), ['id', 'first_name', 'last_name', 'email', 'phone', 'address', 'date_created']);
+  assert.deepEqual(EXPORT_COLUMNS.filter(column => column.list).map(column => column.id), ['addresses', 'phones', 'emails']);
+});
+
+test('columns picks and orders the exported columns', () => {
+  assert.deepEqual(parseExportQuery({ columns: 'email, first_name' }).columns.map(column => column.id), ['email', 'first_name']);
+  assert.throws(() => parseExportQuery({ columns: 'email,password' }), {
+    name: 'InvalidQueryError',
+    message: /^Unknown columns: password/
+  });
+});
+
+test('the CSV export writes a header and one quoted row per customer', async () => {
+  const columns = parseExportQuery({ columns: 'first_name,address,date_created' }).columns;
+  const text = (await exported(exportToCSV, customers, { columns })).toString();
+  assert.equal(text, [
+    'First Name,Address,Date Created',
+    'Ana,"Cebu City, Cebu",2024-01-02T03:04:05.000Z',
+    'Ben,Manila,2024-02-03T04:05:06.000Z',
+    ''
+  ].join('\n'));
+});
+
+test('writing stops once the client has gone away', async () => {
+  const stream = new PassThrough();
+  stream.destroy();
+  await assert.rejects(write(stream, 'data'), /Export stream closed/);
+});
+
+test('the JSON export is one array of the selected columns', async () => {
+  const columns = parseExportQuery({ columns: 'id,date_created' }).columns;
+  const data = JSON.parse((await exported(exportToJSON, customers, { columns })).toString());
+  assert.deepEqual(data, [
+    { id: 1, date_created: '2024-01-02T03:04:05.000Z' },
+    { id: 2, date_created: '2024-02-03T04:05:06.000Z' }
+  ]);
+  assert.deepEqual(JSON.parse((await exported(exportToJSON, [], { columns })).toString()), []);
+});
+
+test('the NDJSON export writes one object per line', async () => {
+  const columns = parseExportQuery({ columns: 'email' }).columns;
+  const text = (await exported(exportToNDJSON, customers, { columns })).toString();
+  assert.equal(text, '{"email":"ana@example.com"}\n{"email":"ben@example.com"}\n');
+});
+
+test('the XLSX export has a header row and one row per customer', async () => {
+  const columns = parseExportQuery({ columns: 'first_name,email' }).columns;
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exported(exportToXLSX, customers, { columns }));
+
+  const sheet = workbook.worksheets[0];
+  const values = [];
+  sheet.eachRow(row => values.push(row.values.slice(1)));
+  assert.deepEqual(values, [
+    ['First Name', 'Email'],
+    ['Ana', 'ana@example.com'],
+    ['Ben', 'ben@example.com']
+  ]);
+});
+
+test('exporters are looked up by format name only', () => {
+  assert.equal(getExporter('xlsx').extension, 'xlsx');
+  assert.equal(getExporter('ndjson').contentType, 'application/x-ndjson; charset=utf-8');
+  assert.equal(getExporter('toString'), null);
+  assert.equal(getExporter('docx'), null);
+});
@@ -0,0 +1,65 @@
+// Shared setup for the tests: the app on a fresh in-memory SQLite database,
+// listening on a free port. Require this before anything else from the backend, as
+// config reads the environment once; a test file may set more variables before it.
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { app, prepareDatabase } = require('../server');
+const sequelize = require('../config/database');
+
+const PASSWORD = 'secret1';
+
+// Start the app on a migrated database. Resolves to { baseUrl, request, register, stop }.
+async function startServer() {
+  await prepareDatabase();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // JSON request to the API; body is the parsed response, or its text when not JSON
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (exports, vCards)
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  // Register a user and return its token; the first one becomes the admin.
+  // Pass an admin token and a role to give the new user that role.
+  async function register(email, { role, adminToken } = {}) {
+    const { status, body } = await request('POST', '/auth/register', {
+      body: { first_name: 'Test', last_name: 'User', email, password: PASSWORD, passwordConfirm: PASSWORD }
+    });
+    if (status !== 201) {
+      throw new Error(`Registering ${email} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    if (role && role !== body.user.role) {
+      await request('PUT', `/users/${body.user.id}/role`, { token: adminToken, body: { role } });
+    }
+    return body.token;
+  }
+
+  async function stop() {
+    await new Promise(resolve => server.close(resolve));
+    await sequelize.close();
+  }
+
+  return { baseUrl, request, register, stop };
+}
+
+module.exports = { startServer, PASSWORD };
@@ -0,0 +1,129 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { migrator, seeder } = require('../utils/migrations');
+const sequelize = require('../config/database');
+
+// Tables whose rows belong to a customer
+const CHILD_TABLES = ['customer_emails', 'customer_phones', 'customer_addresses', 'customer_notes', 'customer_tags'];
+
+async function select(sql, replacements) {
+  const [rows] = await sequelize.query(sql, { replacements });
+  return rows;
+}
+
+// A customer without contact entries; resolves to its id
+async function insertCustomer(email) {
+  await sequelize.query(
+    `INSERT INTO customers (first_name, last_name, email, phone, address, date_created)
+     VALUES ('Ana', 'Cruz', :email, '0917 555 0100', 'Cebu City', CURRENT_TIMESTAMP)`,
+    { replacements: { email } }
+  );
+  const [{ id }] = await select('SELECT id FROM customers WHERE email = :email', { email });
+  return id;
+}
+
+async function countRows(table) {
+  const [{ count }] = await select(`SELECT COUNT(*) AS count FROM ${table}`);
+  return count;
+}
+
+// One row in each child table for the customer
+async function insertChildRows(id) {
+  await sequelize.query(`INSERT INTO customer_emails (customer_id, label, email, is_primary) VALUES (${id}, 'home', 'ana@example.com', 1)`);
+  await sequelize.query(`INSERT INTO customer_phones (customer_id, label, number, is_primary) VALUES (${id}, 'mobile', '0917 555 0100', 1)`);
+  await sequelize.query(`INSERT INTO customer_addresses (customer_id, type, street, is_primary) VALUES (${id}, 'home', '1 Main St', 1)`);
+  await sequelize.query(`INSERT INTO customer_notes (customer_id, type, body, date_created) VALUES (${id}, 'call', 'Called', CURRENT_TIMESTAMP)`);
+  await sequelize.query(`INSERT INTO tags (name, date_created) VALUES (:name, CURRENT_TIMESTAMP)`, { replacements: { name: `tag-${id}` } });
+  const [tag] = await select('SELECT id FROM tags WHERE name = :name', { name: `tag-${id}` });
+  await sequelize.query(`INSERT INTO customer_tags (customer_id, tag_id) VALUES (${id}, ${tag.id})`);
+}
+
+beforeEach(async () => {
+  await seeder.down({ to: 0 });
+  await migrator.down({ to: 0 });
+});
+
+after(() => sequelize.close());
+
+test('every migration can be rolled back and applied again', async () => {
+  await migrator.up();
+  await migrator.down({ to: 0 });
+  assert.equal((await migrator.executed()).length, 0);
+  await migrator.up();
+  assert.equal((await migrator.pending()).length, 0);
+});
+
+test('rolling back the customer version keeps the rows that belong to customers', async () => {
+  await migrator.up({ to: '0003-customer-version.js' });
+  await insertChildRows(await insertCustomer('ana@example.com'));
+  const before = await Promise.all(CHILD_TABLES.map(countRows));
+
+  await migrator.down({ to: '0003-customer-version.js' });
+
+  const columns = (await select('PRAGMA table_info(customers)')).map(column => column.name);
+  assert.ok(!columns.includes('version'));
+  assert.deepEqual(await Promise.all(CHILD_TABLES.map(countRows)), before);
+  assert.ok(before.every(count => count === 1));
+});
+
+test('existing customers get their contact columns as primary entries', async () => {
+  await migrator.up({ to: '0001-baseline.js' });
+  const id = await insertCustomer('ana@example.com');
+  await sequelize.query(`INSERT INTO customer_phones (customer_id, label, number, is_primary) VALUES (${id}, 'work', '032 123 4567', 1)`);
+
+  await migrator.up({ to: '0002-backfill-contact-entries.js' });
+
+  const [email] = await select('SELECT label, email, is_primary FROM customer_emails WHERE customer_id = :id', { id });
+  assert.deepEqual({ ...email, is_primary: Boolean(email.is_primary) }, { label: 'other', email: 'ana@example.com', is_primary: true });
+  const [address] = await select('SELECT street FROM customer_addresses WHERE customer_id = :id', { id });
+  assert.equal(address.street, 'Cebu City');
+
+  // A customer that already had phones keeps only those
+  const phones = await select('SELECT number FROM customer_phones WHERE customer_id = :id', { id });
+  assert.deepEqual(phones.map(phone => phone.number), ['032 123 4567']);
+});
+
+test('the sample data can be loaded and removed again', async () => {
+  await migrator.up();
+  await seeder.up();
+  const [{ count }] = await select('SELECT COUNT(*) AS count FROM customers');
+  assert.equal(count, 5);
+  const [{ notes }] = await select('SELECT COUNT(*) AS notes FROM customer_notes');
+  assert.equal(notes, 5);
+
+  await seeder.down({ to: 0 });
+  const [{ remaining }] = await select('SELECT COUNT(*) AS remaining FROM customers');
+  assert.equal(remaining, 0);
+});
+
+test('normalizing contacts lower-cases emails, stores E.164 and renames case duplicates', async () => {
+  await migrator.up({ to: '0001-baseline.js' });
+  const renamed = await insertCustomer('John@Example.com');
+  const owner = await insertCustomer('john@example.com');
+  const alone = await insertCustomer(' MARY@Example.com');
+
+  await migrator.up();
+
+  const customers = await select('SELECT id, email, phone_e164 FROM customers ORDER BY id');
+  assert.deepEqual(customers.map(customer => customer.email), [
+    `duplicate-${renamed}-john@example.com`,
+    'john@example.com',
+    'mary@example.com'
+  ]);
+  assert.ok(customers.every(customer => customer.phone_e164 === '+639175550100'));
+
+  // The renamed customer keeps the address as another email, so it can still be found and edited
+  const emails = await select('SELECT email, is_primary FROM customer_emails WHERE customer_id = :id ORDER BY id', { id: renamed });
+  assert.deepEqual(emails.map(({ email, is_primary }) => [email, Boolean(is_primary)]), [
+    [`duplicate-${renamed}-john@example.com`, true],
+    ['john@example.com', false]
+  ]);
+  const [ownerEmail] = await select('SELECT email FROM customer_emails WHERE customer_id = :id', { id: owner });
+  assert.equal(ownerEmail.email, 'john@example.com');
+  const [aloneEmail] = await select('SELECT email FROM customer_emails WHERE customer_id = :id', { id: alone });
+  assert.equal(aloneEmail.email, 'mary@example.com');
+
+  const [phone] = await select('SELECT number_e164 FROM customer_phones WHERE customer_id = :id', { id: owner });
+  assert.equal(phone.number_e164, '+639175550100');
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { toE164, normalizeEmail } = require('../utils/normalize');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+const createCustomer = (values) => api.request('POST', '/customers', {
+  token: admin,
+  body: { first_name: 'Ana', last_name: 'Cruz', address: 'Cebu City', ...values }
+});
+
+test('toE164 reads national numbers in the default country and refuses other text', () => {
+  assert.equal(toE164('0917 555 0142'), '+639175550142');
+  assert.equal(toE164('+63 (917) 555-0142'), '+639175550142');
+  assert.equal(toE164('+1 415 555 2671'), '+14155552671');
+  assert.equal(toE164('call me'), null);
+  assert.equal(toE164('123'), null);
+});
+
+test('normalizeEmail trims and lower-cases', () => {
+  assert.equal(normalizeEmail('  Ana.Cruz@Example.COM '), 'ana.cruz@example.com');
+});
+
+test('a padded, upper-case email is accepted and stored normalized', async () => {
+  const { status, body } = await createCustomer({ email: ' ANA@Example.COM ', phone: '0917 555 0142' });
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.data.email, 'ana@example.com');
+  assert.equal(body.data.phone, '0917 555 0142');
+  assert.equal(body.data.phone_e164, '+639175550142');
+});
+
+test('an email that only differs in case is a duplicate', async () => {
+  const { status, body } = await createCustomer({ email: 'Ana@example.com', phone: '0917 555 0143' });
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('a phone number that cannot be read is refused', async () => {
+  const { status } = await createCustomer({ email: 'ben@example.com', phone: '12-34' });
+  assert.equal(status, 400);
+});
+
+test('a number is found whichever format it is searched in', async () => {
+  for (const term of ['+63 917 555 0142', '+63 917', '09175550142', '917-555']) {
+    const { body } = await api.request('GET', `/customers/search?q=${encodeURIComponent(term)}`, { token: admin });
+    assert.deepEqual(body.data.map(customer => customer.email), ['ana@example.com'], term);
+  }
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+require('./helpers');
+const Note = require('../models/Note');
+const { exportProfilePDF, notesSection } = require('../utils/profilePdf');
+const { pdfText } = require('./pdfText');
+
+async function validationMessages(values) {
+  try {
+    await Note.build({ customer_id: 1, ...values }).validate();
+    return [];
+  } catch (error) {
+    return error.errors.map(e => e.message);
+  }
+}
+
+test('a note is a plain note logged now unless told otherwise', async () => {
+  const note = Note.build({ customer_id: 1, body: 'Asked about pricing' });
+  assert.equal(note.type, 'note');
+  assert.ok(note.occurred_at instanceof Date);
+  assert.deepEqual(await validationMessages({ type: 'call', body: 'Called back' }), []);
+});
+
+test('notes need a body and a known type', async () => {
+  assert.deepEqual(await validationMessages({ body: '' }), ['Note body is required']);
+  assert.deepEqual(await validationMessages({ body: 'x', type: 'fax' }), ['Type must be one of: call, email, meeting, note']);
+  assert.deepEqual(await validationMessages({ body: 'x'.repeat(10001) }), ['Note body must be at most 10000 characters']);
+});
+
+async function profileText(notes, limit) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const customer = { id: 1, first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', phone: '', address: 'Cebu City' };
+  await exportProfilePDF(customer, stream, { sections: [notesSection(notes, limit)] });
+  return pdfText(Buffer.concat(chunks));
+}
+
+test('the profile lists the most recent interactions', async () => {
+  const notes = ['Renewal call', 'Sent quote', 'Intro meeting'].map(body => ({ type: 'call', body, author_email: 'admin@example.com', occurred_at: new Date() }));
+
+  const text = await profileText(notes, 2);
+  assert.ok(text.includes('Recent Interactions'));
+  assert.ok(text.includes('Renewal call') && text.includes('Sent quote'));
+  assert.ok(!text.includes('Intro meeting'));
+  assert.ok(text.some(line => line.endsWith('and earlier interactions')));
+});
+
+test('a profile without notes says so', async () => {
+  assert.ok((await profileText([], 5)).includes('No recorded interactions.'));
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+require('./helpers');
+const { exportToPDF, parsePDFOptions } = require('../utils/pdfExport');
+const { EXPORT_COLUMNS } = require('../utils/exportQuery');
+const { pdfText } = require('./pdfText');
+
+function customersList(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    first_name: `First${i + 1}`,
+    last_name: 'Cruz',
+    email: `customer${i + 1}@example.com`,
+    phone: '0917 555 0100',
+    address: 'Cebu City',
+    date_created: new Date(Date.UTC(2024, 0, 1 + i))
+  }));
+}
+
+// The report's text for the given customers and options
+async function reportText(customers, options = {}) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  await exportToPDF((async function* () { yield* customers; })(), stream, { columns: EXPORT_COLUMNS, ...options });
+  const pdf = Buffer.concat(chunks);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  return pdfText(pdf);
+}
+
+test('report options default to a portrait customer list and describe the filters', async () => {
+  assert.deepEqual(await parsePDFOptions({}), { orientation: 'portrait', title: 'Customer List', filters: [], sort: 'date_created desc' });
+
+  const options = await parsePDFOptions({ orientation: 'LANDSCAPE', title: '  Cebu  ', last_name: 'Cr', sort: 'email', order: 'ASC' });
+  assert.equal(options.orientation, 'landscape');
+  assert.equal(options.title, 'Cebu');
+  assert.deepEqual(options.filters, ['Last name starts with "Cr"']);
+  assert.equal(options.sort, 'email asc');
+});
+
+test('an unknown orientation is refused and a blank title falls back to the default', async () => {
+  await assert.rejects(parsePDFOptions({ orientation: 'diagonal' }), { name: 'InvalidQueryError' });
+  assert.equal((await parsePDFOptions({ title: '   ' })).title, 'Customer List');
+  assert.equal((await parsePDFOptions({ title: 'x'.repeat(500) })).title.length, 120);
+});
+
+test('the report has the title, filters, every customer and a summary', async () => {
+  const text = await reportText(customersList(2), { title: 'Cebu customers', filters: ['Last name starts with "Cr"'], sort: 'email asc' });
+  assert.ok(text.includes('Cebu customers'));
+  assert.ok(text.includes('Filters: Last name starts with "Cr"'));
+  assert.ok(text.includes('Sorted by: email asc'));
+  assert.ok(text.includes('First1'));
+  assert.ok(text.includes('First2'));
+  assert.ok(text.includes('Total customers: 2'));
+});
+
+test('every page has a "Page X of Y" footer', async () => {
+  const text = await reportText(customersList(80));
+  const footers = text.filter(line => /^Page \d+ of \d+$/.test(line));
+  const pages = footers.length;
+  assert.ok(pages > 1, 'expected several pages');
+  assert.deepEqual(footers, Array.from({ length: pages }, (_, i) => `Page ${i + 1} of ${pages}`));
+  assert.ok(text.includes('First80'));
+});
@@ -0,0 +1,23 @@
+const zlib = require('zlib');
+
+// Text drawn on a PDF made by PDFKit, one string per text operation, in drawing order
+function pdfText(buffer) {
+  const pdf = buffer.toString('latin1');
+  const texts = [];
+  // PDFKit writes "stream\n" and "\nendstream" around the data, which may itself end in "\r"
+  for (const [, data] of pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+    } catch (error) {
+      content = data;
+    }
+    for (const [, array] of content.matchAll(/\[([^\]]*)\]\s*TJ/g)) {
+      const hexStrings = [...array.matchAll(/<([0-9a-fA-F]*)>/g)];
+      texts.push(hexStrings.map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+    }
+  }
+  return texts;
+}
+
+module.exports = { pdfText };
@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { ROLES, permissionsFor, hasPermission, authorize } = require('../middleware/permissions');
+
+let api;
+let tokens;
+
+before(async () => {
+  api = await startServer();
+  const admin = await api.register('admin@example.com');
+  tokens = {
+    admin,
+    editor: await api.register('editor@example.com', { role: 'editor', adminToken: admin }),
+    viewer: await api.register('viewer@example.com')
+  };
+});
+
+after(() => api.stop());
+
+const customer = (n) => ({
+  first_name: 'Ana',
+  last_name: `Cruz${n}`,
+  email: `ana${n}@example.com`,
+  phone: `0917 555 01${String(n).padStart(2, '0')}`,
+  address: 'Cebu City'
+});
+
+// Run authorize(permission) for a user with the given role
+function authorizeAs(role, permission) {
+  const req = { user: role ? { id: 1, role } : undefined };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  authorize(permission)(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('there are admin, editor and viewer roles', () => {
+  assert.deepEqual(ROLES, ['admin', 'editor', 'viewer']);
+});
+
+test('viewers read, editors also write and export, admins also delete and manage users', () => {
+  assert.deepEqual(permissionsFor('viewer'), ['read']);
+  assert.deepEqual(permissionsFor('editor'), ['read', 'write', 'export']);
+  assert.ok(['delete', 'manage_users'].every(permission => permissionsFor('admin').includes(permission)));
+});
+
+test('unknown roles and missing users have no permissions', () => {
+  assert.deepEqual(permissionsFor('owner'), []);
+  assert.ok(!hasPermission({ role: 'owner' }, 'read'));
+  assert.ok(!hasPermission(null, 'read'));
+});
+
+test('authorize lets a permitted user through', () => {
+  assert.equal(authorizeAs('editor', 'write').nextCalled, true);
+  assert.equal(authorizeAs('admin', 'delete').nextCalled, true);
+});
+
+test('authorize answers 403 when the role lacks the permission', () => {
+  for (const [role, permission] of [['viewer', 'write'], ['editor', 'delete'], ['editor', 'manage_users'], [null, 'read']]) {
+    const { res, nextCalled } = authorizeAs(role, permission);
+    assert.equal(res.statusCode, 403, `${role} ${permission}`);
+    assert.equal(res.body.success, false);
+    assert.equal(nextCalled, false);
+  }
+});
+
+test('the first account is the admin and later ones are viewers', async () => {
+  const { body } = await api.request('GET', '/auth/me', { token: tokens.viewer });
+  assert.equal(body.user.role, 'viewer');
+  assert.deepEqual(body.user.permissions, ['read']);
+});
+
+test('requests without a token are rejected', async () => {
+  const { status } = await api.request('GET', '/customers');
+  assert.equal(status, 401);
+});
+
+test('a viewer can read customers but not change them', async () => {
+  assert.equal((await api.request('GET', '/customers', { token: tokens.viewer })).status, 200);
+
+  const { status, body } = await api.request('POST', '/customers', { token: tokens.viewer, body: customer(1) });
+  assert.equal(status, 403);
+  assert.equal(body.success, false);
+});
+
+test('an editor can create and update customers but not delete them', async () => {
+  const created = await api.request('POST', '/customers', { token: tokens.editor, body: customer(2) });
+  assert.equal(created.status, 201);
+  const { id } = created.body.data;
+
+  const updated = await api.request('PUT', `/customers/${id}`, { token: tokens.editor, body: { ...customer(2), address: 'Manila' } });
+  assert.equal(updated.status, 200);
+
+  assert.equal((await api.request('DELETE', `/customers/${id}`, { token: tokens.editor })).status, 403);
+  assert.equal((await api.request('DELETE', `/customers/${id}`, { token: tokens.admin })).status, 200);
+});
+
+test('only admins manage users, the audit log and webhooks', async () => {
+  for (const path of ['/users', '/audit', '/webhooks']) {
+    assert.equal((await api.request('GET', path, { token: tokens.editor })).status, 403, path);
+    assert.equal((await api.request('GET', path, { token: tokens.admin })).status, 200, path);
+  }
+});
+
+test('a role change applies without logging in again', async () => {
+  const users = (await api.request('GET', '/users', { token: tokens.admin })).body.data;
+  const viewer = users.find(user => user.email === 'viewer@example.com');
+
+  await api.request('PUT', `/users/${viewer.id}/role`, { token: tokens.admin, body: { role: 'editor' } });
+  assert.equal((await api.request('POST', '/customers', { token: tokens.viewer, body: customer(3) })).status, 201);
+
+  await api.request('PUT', `/users/${viewer.id}/role`, { token: tokens.admin, body: { role: 'viewer' } });
+  assert.equal((await api.request('POST', '/customers', { token: tokens.viewer, body: customer(4) })).status, 403);
+});
+
+test('the last admin cannot be demoted', async () => {
+  const users = (await api.request('GET', '/users', { token: tokens.admin })).body.data;
+  const admin = users.find(user => user.role === 'admin');
+
+  const { status } = await api.request('PUT', `/users/${admin.id}/role`, { token: tokens.admin, body: { role: 'viewer' } });
+  assert.equal(status, 400);
+});
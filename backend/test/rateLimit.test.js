@@ -0,0 +1,125 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_RATE_LIMIT_MAX = '20';
+process.env.AUTH_RATE_LIMIT_MAX_PER_EMAIL = '3';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+const { startServer, PASSWORD } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+  await api.register('admin@example.com');
+  await api.register('viewer@example.com');
+});
+
+after(() => api.stop());
+
+const login = (email, password) => api.request('POST', '/auth/login', { body: { email, password } });
+
+// Security events logged while fn runs
+async function securityEvents(fn) {
+  const warn = mock.method(console, 'warn', () => {});
+  try {
+    await fn();
+    return warn.mock.calls
+      .map(call => String(call.arguments[0]))
+      .filter(line => line.startsWith('[security] '))
+      .map(line => JSON.parse(line.slice('[security] '.length)));
+  } finally {
+    warn.mock.restore();
+  }
+}
+
+test('the email is matched case-insensitively at login', async () => {
+  const { status, body } = await login(' Admin@Example.COM ', PASSWORD);
+  assert.equal(status, 200);
+  assert.equal(body.user.email, 'admin@example.com');
+});
+
+test('a successful login starts the count of failures over', async () => {
+  assert.equal((await login('viewer@example.com', 'wrong-1')).status, 401);
+  assert.equal((await login('viewer@example.com', 'wrong-2')).status, 401);
+  assert.equal((await login('viewer@example.com', PASSWORD)).status, 200);
+  assert.equal((await login('viewer@example.com', 'wrong-3')).status, 401);
+});
+
+test('the account is locked after too many failures, whatever the email\'s case', async () => {
+  const events = await securityEvents(async () => {
+    assert.equal((await login('admin@example.com', 'wrong-1')).status, 401);
+    assert.equal((await login('ADMIN@example.com', 'wrong-2')).status, 401);
+
+    const locked = await login('Admin@Example.com', 'wrong-3');
+    assert.equal(locked.status, 423);
+    assert.deepEqual(Object.keys(locked.body).sort(), ['message', 'success']);
+    assert.ok(Number(locked.headers.get('retry-after')) > 14 * 60);
+  });
+
+  const lock = events.find(event => event.event === 'account_locked');
+  assert.equal(lock.email, 'admin@example.com');
+  assert.equal(typeof lock.user_id, 'number');
+  assert.equal(lock.failures, 3);
+
+  // Even the right password is refused until the lockout ends
+  assert.equal((await login('admin@example.com', PASSWORD)).status, 423);
+});
+
+test('unknown emails are locked the same way, so answers do not tell which exist', async () => {
+  assert.equal((await login('nobody@example.com', 'wrong-1')).status, 401);
+  assert.equal((await login('nobody@example.com', 'wrong-2')).status, 401);
+
+  const locked = await login('nobody@example.com', 'wrong-3');
+  assert.equal(locked.status, 423);
+  assert.equal(locked.body.message, (await login('admin@example.com', PASSWORD)).body.message);
+});
+
+const register = (email, passwordConfirm = PASSWORD) => api.request('POST', '/auth/register', {
+  body: { first_name: 'Test', last_name: 'User', email, password: PASSWORD, passwordConfirm }
+});
+
+test('each email gets AUTH_RATE_LIMIT_MAX_PER_EMAIL registration attempts per window, whatever its case', async () => {
+  assert.equal((await register('new@example.com')).status, 201);
+  assert.equal((await register('NEW@example.com')).status, 409);
+  assert.equal((await register('new@example.com')).status, 409);
+
+  let response;
+  const events = await securityEvents(async () => {
+    response = await register('New@Example.com');
+  });
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('ratelimit-limit'), '3');
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  const [limited] = events.filter(event => event.event === 'rate_limited');
+  assert.equal(limited.scope, 'register');
+  assert.equal(limited.email, 'new@example.com');
+
+  // Other emails are not affected
+  assert.equal((await register('other@example.com', 'mismatch')).status, 400);
+});
+
+test('each client address gets AUTH_RATE_LIMIT_MAX attempts per window', async () => {
+  // Each attempt uses a new email, so only the address limit runs out
+  let attempts = 0;
+  const attempt = () => register(`address${++attempts}@example.com`, 'mismatch');
+
+  let last;
+  let response;
+  const events = await securityEvents(async () => {
+    response = await attempt();
+    while (response.status === 400 && attempts <= 20) {
+      last = response;
+      response = await attempt();
+    }
+    // Logged once, not for every rejected request
+    await attempt();
+  });
+  // The headers follow the address limit once it is the one closer to running out
+  assert.equal(last.headers.get('ratelimit-limit'), '20');
+  assert.equal(last.headers.get('ratelimit-remaining'), '0');
+  assert.equal(response.status, 429);
+  assert.equal(response.body.success, false);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  assert.equal(events.filter(event => event.event === 'rate_limited').length, 1);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { parseStatsQuery } = require('../utils/customerStats');
+const sequelize = require('../config/database');
+
+let api;
+let admin;
+
+// Customers created on these days, with their email domain and province
+const CUSTOMERS = [
+  ['2024-01-29', 'acme.com', 'Cebu'],
+  ['2024-02-01', 'acme.com', 'Cebu'],
+  ['2024-02-01', 'Example.com', 'Bohol'],
+  ['2024-02-12', 'acme.com', null],
+  // Before the range: counted in the previous period only
+  ['2024-01-20', 'acme.com', 'Cebu']
+];
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+
+  for (const [index, [day, domain, province]] of CUSTOMERS.entries()) {
+    const { body } = await api.request('POST', '/customers', {
+      token: admin,
+      body: {
+        first_name: 'Ana',
+        last_name: `Cruz${index}`,
+        email: `ana${index}@${domain}`,
+        phone: '0917 555 0100',
+        addresses: [{ type: 'home', street: '1 Main St', city: 'Town', province, country: 'PH' }]
+      }
+    });
+    await sequelize.query('UPDATE customers SET date_created = :created WHERE id = :id', {
+      replacements: { created: `${day} 10:00:00.000 +00:00`, id: body.data.id }
+    });
+  }
+});
+
+after(() => api.stop());
+
+test('the range defaults to the last 30 days by day', () => {
+  const { from, to, interval, top, periods } = parseStatsQuery({});
+  assert.equal(interval, 'day');
+  assert.equal(top, 10);
+  assert.equal(periods.length, 30);
+  assert.equal(to.getTime() - from.getTime(), 29 * 24 * 60 * 60 * 1000);
+});
+
+test('weeks start on Monday and months on the first', () => {
+  assert.deepEqual(parseStatsQuery({ from: '2024-01-31', to: '2024-02-12', interval: 'week' }).periods, ['2024-01-29', '2024-02-05', '2024-02-12']);
+  assert.deepEqual(parseStatsQuery({ from: '2024-01-31', to: '2024-03-01', interval: 'month' }).periods, ['2024-01-01', '2024-02-01', '2024-03-01']);
+});
+
+test('bad ranges and options are refused', () => {
+  assert.throws(() => parseStatsQuery({ from: '2024-02-30' }), { name: 'InvalidQueryError', message: 'from must be a date like 2024-01-31' });
+  assert.throws(() => parseStatsQuery({ from: '2024-02-02', to: '2024-02-01' }), { message: 'from must not be after to' });
+  assert.throws(() => parseStatsQuery({ interval: 'year' }), { message: 'interval must be one of: day, week, month' });
+  assert.throws(() => parseStatsQuery({ top: '51' }), { message: 'top must be an integer between 1 and 50' });
+  assert.throws(() => parseStatsQuery({ from: '2020-01-01', to: '2024-01-01' }), { message: /^Range is too long for interval=day/ });
+});
+
+test('new customers are counted per week with growth, domains and regions', async () => {
+  const { status, body } = await api.request('GET', '/customers/stats?from=2024-01-29&to=2024-02-18&interval=week', { token: admin });
+  assert.equal(status, 200);
+
+  const stats = body.data;
+  assert.deepEqual(stats.series, [
+    { period: '2024-01-29', count: 3 },
+    { period: '2024-02-05', count: 0 },
+    { period: '2024-02-12', count: 1 }
+  ]);
+  assert.deepEqual(stats.totals, {
+    customers: 5,
+    new_customers: 4,
+    previous_period: { from: '2024-01-08', to: '2024-01-28', new_customers: 1 },
+    growth_percent: 300
+  });
+  assert.deepEqual(stats.email_domains, [{ domain: 'acme.com', count: 3 }, { domain: 'example.com', count: 1 }]);
+  // Without a province the city is used; regions with the same count come in any order
+  assert.deepEqual(stats.regions[0], { region: 'Cebu', country: 'PH', count: 2 });
+  assert.deepEqual(stats.regions.slice(1).sort((a, b) => a.region.localeCompare(b.region)), [
+    { region: 'Bohol', country: 'PH', count: 1 },
+    { region: 'Town', country: 'PH', count: 1 }
+  ]);
+});
+
+test('an invalid stats query is a 400', async () => {
+  const { status } = await api.request('GET', '/customers/stats?interval=year', { token: admin });
+  assert.equal(status, 400);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+require('./helpers');
+const { buildFilters, describeFilters, parseTagFilter } = require('../utils/customerQuery');
+const { findTags, tagChanges } = require('../utils/tags');
+const { bulkTag } = require('../utils/bulk');
+const Tag = require('../models/Tag');
+
+test('the tag filter takes ids as a list or an array and defaults to any', () => {
+  assert.equal(parseTagFilter({}), null);
+  assert.deepEqual(parseTagFilter({ tags: '3, 1,3' }), { ids: [3, 1], mode: 'any' });
+  assert.deepEqual(parseTagFilter({ tags: ['2', '5'], tag_mode: 'ALL' }), { ids: [2, 5], mode: 'all' });
+});
+
+test('bad tag ids and modes are refused', () => {
+  assert.throws(() => parseTagFilter({ tags: 'vip' }), { name: 'InvalidQueryError' });
+  assert.throws(() => parseTagFilter({ tags: ',' }), { name: 'InvalidQueryError' });
+  assert.throws(() => parseTagFilter({ tags: '1', tag_mode: 'none' }), { name: 'InvalidQueryError', message: 'tag_mode must be one of: any, all' });
+});
+
+test('any matches one of the tags; all needs every tag', () => {
+  const any = buildFilters({ tags: '1,2' }).id[Op.in].val;
+  assert.equal(any, '(SELECT customer_id FROM customer_tags WHERE tag_id IN (1, 2))');
+
+  const all = buildFilters({ tags: '1,2', tag_mode: 'all' }).id[Op.in].val;
+  assert.match(all, /GROUP BY customer_id HAVING COUNT\(DISTINCT tag_id\) = 2\)$/);
+});
+
+test('reports name the tags in the filter', () => {
+  assert.deepEqual(describeFilters({ tags: '1,9', tag_mode: 'all' }, { 1: 'VIP' }), ['Tagged with all of: VIP, #9']);
+});
+
+test('tag changes are audited as the sorted list of names', () => {
+  const vip = Tag.build({ id: 1, name: 'VIP' });
+  const lead = Tag.build({ id: 2, name: 'Lead' });
+  assert.deepEqual(tagChanges([vip], [vip, lead]), { tags: { before: 'VIP', after: 'Lead, VIP' } });
+  assert.deepEqual(tagChanges([lead], []), { tags: { before: 'Lead', after: null } });
+  assert.deepEqual(tagChanges([vip, lead], [lead, vip]), {});
+});
+
+test('tag ids must be positive integers', async () => {
+  await assert.rejects(findTags('1,2'), { name: 'TagError' });
+  await assert.rejects(findTags([1, 'x']), { name: 'TagError', message: 'tag_ids must be an array of tag ids' });
+});
+
+test('bulk tagging needs tags to add or remove', async () => {
+  await assert.rejects(bulkTag({ ids: [1] }, {}), { name: 'BulkOperationError', message: 'Provide tag ids to add or remove' });
+});
+
+test('a tag color must be a hex value', async () => {
+  await assert.rejects(Tag.build({ name: 'VIP', color: 'red' }).validate(), { name: 'SequelizeValidationError' });
+  await Tag.build({ name: 'VIP', color: '#AA00ff' }).validate();
+});
@@ -0,0 +1,10 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const Customer = require('../models/Customer');
+
+test('deleting a customer only sets date_deleted', () => {
+  assert.equal(Customer.options.paranoid, true);
+  assert.equal(Customer.options.deletedAt, 'date_deleted');
+  assert.ok(Customer.rawAttributes.date_deleted.allowNull);
+});
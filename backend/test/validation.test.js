@@ -0,0 +1,79 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+let admin;
+
+before(async () => {
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(() => api.stop());
+
+test('the API document is served as JSON and as a browsable page', async () => {
+  const { status, body } = await api.request('GET', '/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.0.3');
+  assert.ok(body.paths['/customers']);
+
+  const docs = await api.request('GET', '/docs/');
+  assert.equal(docs.status, 200);
+  assert.match(docs.body, /swagger-ui/);
+});
+
+test('an invalid body is refused with every problem listed by field', async () => {
+  const { status, body } = await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Ana', email: 'not-an-email', phone: 12 }
+  });
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.equal(body.message, 'Validation error');
+
+  const fields = body.errors.map(error => error.field);
+  for (const field of ['body.last_name', 'body.email', 'body.phone']) {
+    assert.ok(fields.includes(field), `${field} in ${fields.join(', ')}`);
+  }
+});
+
+test('query and path parameters are checked too', async () => {
+  const list = await api.request('GET', '/customers?limit=many', { token: admin });
+  assert.equal(list.status, 400);
+  assert.deepEqual(list.body.errors.map(error => error.field), ['query.limit']);
+
+  const one = await api.request('GET', '/customers/abc', { token: admin });
+  assert.equal(one.status, 400);
+  assert.deepEqual(one.body.errors.map(error => error.field), ['path.id']);
+});
+
+test('unknown routes get a 404 in the usual error body', async () => {
+  const { status, body } = await api.request('GET', '/nothing-here', { token: admin });
+  assert.equal(status, 404);
+  assert.equal(body.success, false);
+});
+
+test('the responses of the main routes match the document', async () => {
+  const warn = mock.method(console, 'warn', () => {});
+  try {
+    const { body: created } = await api.request('POST', '/customers', {
+      token: admin,
+      body: { first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', phone: '0917 555 0100', address: 'Cebu City' }
+    });
+    assert.equal(created.success, true);
+    const id = created.data.id;
+
+    await api.request('GET', '/customers', { token: admin });
+    await api.request('GET', `/customers/${id}`, { token: admin });
+    await api.request('PATCH', `/customers/${id}`, { token: admin, body: { address: 'Manila' } });
+    await api.request('GET', `/customers/${id}/history`, { token: admin });
+    await api.request('GET', '/customers/search?q=ana', { token: admin });
+    await api.request('GET', '/auth/me', { token: admin });
+
+    const mismatches = warn.mock.calls.map(call => String(call.arguments[0])).filter(line => line.includes('does not match the API document'));
+    assert.deepEqual(mismatches, []);
+  } finally {
+    warn.mock.restore();
+  }
+});
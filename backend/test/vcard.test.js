@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+require('./helpers');
+const { toVCard, exportToVCF } = require('../utils/vcard');
+const { exportProfilePDF } = require('../utils/profilePdf');
+const { getExporter } = require('../utils/exporters');
+const { pdfText } = require('./pdfText');
+
+function customer(values = {}) {
+  return {
+    id: 7,
+    first_name: 'Ana',
+    last_name: 'Cruz',
+    email: 'ana@example.com',
+    phone: '0917 555 0100',
+    address: 'Cebu City',
+    date_created: new Date(Date.UTC(2024, 0, 2)),
+    ...values
+  };
+}
+
+async function collect(stream, run) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  await run();
+  return Buffer.concat(chunks);
+}
+
+test('a customer becomes a vCard 3.0 with CRLF line endings', () => {
+  assert.equal(toVCard(customer()), [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'UID:customer-7',
+    'N:Cruz;Ana;;;',
+    'FN:Ana Cruz',
+    'EMAIL;TYPE=INTERNET:ana@example.com',
+    'TEL;TYPE=VOICE:0917 555 0100',
+    'ADR:;;Cebu City;;;;',
+    'REV:2024-01-02T00:00:00.000Z',
+    'END:VCARD',
+    ''
+  ].join('\r\n'));
+});
+
+test('commas, semicolons, backslashes and newlines are escaped', () => {
+  const card = toVCard(customer({ address: 'Unit 3; Bldg 2,\nCebu \\ City', date_created: null }));
+  assert.ok(card.includes('ADR:;;Unit 3\\; Bldg 2\\,\\nCebu \\\\ City;;;;\r\n'));
+  assert.ok(!card.includes('REV:'));
+});
+
+test('lines longer than 75 octets are folded', () => {
+  const card = toVCard(customer({ address: 'A'.repeat(200) }));
+  const lines = card.split('\r\n');
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+
+  // Unfolding gives back the original line
+  const unfolded = card.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes(`ADR:;;${'A'.repeat(200)};;;;\r\n`));
+});
+
+test('the vcf export writes one card per customer', async () => {
+  const { exporter, contentType, extension } = getExporter('vcf');
+  assert.equal(extension, 'vcf');
+  assert.match(contentType, /^text\/vcard/);
+
+  const stream = new PassThrough();
+  const output = await collect(stream, () => exporter((async function* () {
+    yield customer();
+    yield customer({ id: 8, first_name: 'Ben' });
+  })(), stream));
+
+  const text = output.toString();
+  assert.equal(text.match(/BEGIN:VCARD/g).length, 2);
+  assert.ok(text.includes('UID:customer-8\r\n'));
+  assert.ok(text.includes('FN:Ben Cruz\r\n'));
+});
+
+test('the profile PDF shows the details, extra sections and history', async () => {
+  const stream = new PassThrough();
+  const pdf = await collect(stream, () => exportProfilePDF(customer(), stream, {
+    history: [{ action: 'update', actor_email: 'admin@example.com', changes: { phone: {} }, date_created: new Date() }],
+    sections: [{ title: 'Notes', draw: doc => doc.text('Called about renewal') }]
+  }));
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  const text = pdfText(pdf);
+  for (const expected of ['Ana Cruz', 'ana@example.com', 'Notes', 'Called about renewal', 'History', 'Fields: phone']) {
+    assert.ok(text.includes(expected), expected);
+  }
+});
+
+test('a profile without history says so', async () => {
+  const stream = new PassThrough();
+  const pdf = await collect(stream, () => exportProfilePDF(customer(), stream));
+  assert.ok(pdfText(pdf).includes('No recorded changes.'));
+});
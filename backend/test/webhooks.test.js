@@ -0,0 +1,173 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// A failed delivery is final right away, so it can be replayed
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+const { startServer } = require('./helpers');
+const { signPayload, verifySignature } = require('../utils/webhookSignature');
+const { deliverDue } = require('../utils/webhooks');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+let api;
+let admin;
+
+// Receiver the subscriptions point at. Each request is counted, handed to the next
+// waiter and answered with `status`.
+const receiver = { status: 200, received: 0, waiters: [], server: null, url: null };
+
+function nextDelivery() {
+  return new Promise(resolve => receiver.waiters.push(resolve));
+}
+
+before(async () => {
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.received++;
+      res.writeHead(receiver.status).end('ok');
+      const waiter = receiver.waiters.shift();
+      if (waiter) waiter({ headers: req.headers, body });
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+
+  api = await startServer();
+  admin = await api.register('admin@example.com');
+});
+
+after(async () => {
+  await api.stop();
+  await new Promise(resolve => receiver.server.close(resolve));
+});
+
+async function subscribe(events) {
+  const { status, body } = await api.request('POST', '/webhooks', { token: admin, body: { url: receiver.url, events } });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data;
+}
+
+// The subscription's deliveries once none of them is still being sent
+async function settledDeliveries(subscriptionId) {
+  for (let i = 0; i < 50; i++) {
+    const { body } = await api.request('GET', `/webhooks/${subscriptionId}/deliveries`, { token: admin });
+    if (body.data.length > 0 && body.data.every(delivery => delivery.attempts > 0)) {
+      return body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Deliveries were not attempted');
+}
+
+test('verifySignature accepts a signed body and refuses tampering, other secrets and old timestamps', () => {
+  const secret = 'whsec_0123456789abcdef';
+  const now = Date.now();
+  const timestamp = String(Math.floor(now / 1000));
+  const body = '{"event":"customer.created"}';
+  const signature = signPayload(secret, timestamp, body);
+
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(verifySignature(secret, timestamp, body, signature, { now }));
+  assert.ok(!verifySignature(secret, timestamp, '{"event":"customer.deleted"}', signature, { now }));
+  assert.ok(!verifySignature('whsec_another_secret_0', timestamp, body, signature, { now }));
+  assert.ok(!verifySignature(secret, timestamp, body, signature, { now: now + 10 * 60 * 1000 }));
+  assert.ok(!verifySignature(secret, timestamp, body, undefined, { now }));
+});
+
+test('creating a customer sends a signed customer.created event', async () => {
+  const subscription = await subscribe(['customer.created']);
+  const received = nextDelivery();
+
+  const { body: created } = await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Ana', last_name: 'Cruz', email: 'ana@example.com', phone: '0917 555 0100', address: 'Cebu City' }
+  });
+  const { headers, body } = await received;
+
+  assert.equal(headers['x-webhook-event'], 'customer.created');
+  assert.ok(verifySignature(subscription.secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']));
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'customer.created');
+  assert.equal(payload.id, headers['x-webhook-id']);
+  assert.equal(payload.data.customer.id, created.data.id);
+  assert.equal(payload.actor.email, 'admin@example.com');
+
+  const [delivery] = await settledDeliveries(subscription.id);
+  assert.equal(delivery.status, 'success');
+  assert.equal(delivery.last_status_code, 200);
+
+  await api.request('DELETE', `/webhooks/${subscription.id}`, { token: admin });
+});
+
+test('a failed delivery is recorded and can be replayed with the same event id', async () => {
+  const subscription = await subscribe(['customer.deleted']);
+  const { body: created } = await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Ben', last_name: 'Reyes', email: 'ben@example.com', phone: '0917 555 0101', address: 'Manila' }
+  });
+
+  receiver.status = 500;
+  const first = nextDelivery();
+  await api.request('DELETE', `/customers/${created.data.id}`, { token: admin });
+  const { headers } = await first;
+
+  const [failed] = await settledDeliveries(subscription.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.last_status_code, 500);
+  assert.equal(failed.last_error, 'Receiver answered 500');
+
+  receiver.status = 200;
+  const replayed = nextDelivery();
+  const { status } = await api.request('POST', `/webhooks/deliveries/${failed.id}/replay`, { token: admin });
+  assert.equal(status, 201);
+  assert.equal((await replayed).headers['x-webhook-id'], headers['x-webhook-id']);
+
+  const [replay] = await settledDeliveries(subscription.id);
+  assert.equal(replay.replay_of, failed.id);
+  assert.equal(replay.status, 'success');
+});
+
+test('subscriptions only get the events they asked for', async () => {
+  const subscription = await subscribe(['customer.deleted']);
+  await api.request('POST', '/customers', {
+    token: admin,
+    body: { first_name: 'Cora', last_name: 'Lim', email: 'cora@example.com', phone: '0917 555 0102', address: 'Davao' }
+  });
+
+  const { body } = await api.request('GET', `/webhooks/${subscription.id}/deliveries`, { token: admin });
+  assert.deepEqual(body.data, []);
+});
+
+test('a delivery is claimed before it is sent, so overlapping runs send it once', async () => {
+  const subscription = await subscribe(['customer.created']);
+  const queue = (values = {}) => WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event: 'customer.created',
+    event_id: `evt-${values.status || 'pending'}`,
+    payload: { event: 'customer.created' },
+    next_attempt_at: new Date(),
+    ...values
+  });
+
+  await queue();
+  // Claimed by a process that stopped before it finished sending
+  await queue({ status: 'sending', next_attempt_at: new Date(Date.now() - 1000) });
+  // Claimed by a process that is still sending it
+  const sending = await queue({ status: 'sending', next_attempt_at: new Date(Date.now() + 60 * 1000) });
+
+  // Both runs read the due deliveries before either claims them, like two server processes
+  const received = receiver.received;
+  await Promise.all([deliverDue(), deliverDue()]);
+  assert.equal(receiver.received - received, 2);
+
+  const deliveries = await WebhookDelivery.findAll({ where: { subscription_id: subscription.id }, order: [['id', 'ASC']] });
+  assert.deepEqual(deliveries.map(delivery => [delivery.status, delivery.attempts]), [['success', 1], ['success', 1], ['sending', 0]]);
+
+  const { status, body } = await api.request('POST', `/webhooks/deliveries/${sending.id}/replay`, { token: admin });
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Delivery is still sending; it will be retried automatically');
+
+  await api.request('DELETE', `/webhooks/${subscription.id}`, { token: admin });
+});
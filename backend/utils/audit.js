@@ -0,0 +1,46 @@
+const AuditLog = require('../models/AuditLog');
+const { queueCustomerEvent } = require('./webhooks');
+const { publishCustomerChange } = require('./customerEvents');
+
+// Customer fields tracked in the audit trail
+const CUSTOMER_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address'];
+
+// Field-level before/after diff; fields that did not change are left out
+function diffChanges(before, after, fields = CUSTOMER_FIELDS) {
+  const changes = {};
+  fields.forEach(field => {
+    const oldValue = before ? before[field] : null;
+    const newValue = after ? after[field] : null;
+    if (oldValue !== newValue) {
+      changes[field] = { before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue };
+    }
+  });
+  return changes;
+}
+
+// Record one audit entry. Pass the transaction so the entry commits with the change.
+// `changes` overrides the diff computed from before/after. Customer entries also
+// queue the matching webhook event and are streamed to open dashboards.
+async function recordAudit({ action, entityType = 'customer', entityId, user, before, after, changes = diffChanges(before, after), transaction }) {
+  // An update that changed nothing is not worth an entry
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const entry = await AuditLog.create({
+    entity_type: entityType,
+    entity_id: entityId,
+    action,
+    actor_id: user ? user.id : null,
+    actor_email: user ? user.email : null,
+    changes
+  }, { transaction });
+
+  if (entityType === 'customer') {
+    await queueCustomerEvent({ action, customerId: entityId, user, changes, transaction });
+    publishCustomerChange(entry, transaction);
+  }
+  return entry;
+}
+
+module.exports = { diffChanges, recordAudit, CUSTOMER_FIELDS };
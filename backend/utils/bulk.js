@@ -0,0 +1,141 @@
+const Customer = require('../models/Customer');
+const sequelize = require('../config/database');
+const { buildFilters } = require('./customerQuery');
+const { recordAudit } = require('./audit');
+const { findTags, changeCustomerTags } = require('./tags');
+const { touch } = require('./concurrency');
+
+// Upper bound on customers touched by one bulk request
+const MAX_BULK_ITEMS = 1000;
+
+// Fields that may be set across many customers (email must stay unique)
+const BULK_UPDATABLE_FIELDS = ['first_name', 'last_name', 'phone', 'address'];
+
+function bulkError(message, results) {
+  const error = new Error(message);
+  error.name = 'BulkOperationError';
+  error.results = results;
+  return error;
+}
+
+// Customers selected by an id list or by the list endpoint's filter params
+async function findTargets({ ids, filter }, transaction) {
+  if (Array.isArray(ids)) {
+    if (ids.length === 0) {
+      throw bulkError('ids must not be empty');
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      throw bulkError(`At most ${MAX_BULK_ITEMS} customers can be changed at once`);
+    }
+    if (!ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+      throw bulkError('ids must be positive integers');
+    }
+    const customers = await Customer.findAll({ where: { id: ids }, transaction });
+    const found = new Map(customers.map(customer => [customer.id, customer]));
+    return ids.map(id => ({ id: Number(id), customer: found.get(Number(id)) || null }));
+  }
+
+  if (filter && typeof filter === 'object') {
+    const customers = await Customer.findAll({
+      where: buildFilters(filter),
+      order: [['id', 'ASC']],
+      limit: MAX_BULK_ITEMS + 1,
+      transaction
+    });
+    if (customers.length > MAX_BULK_ITEMS) {
+      throw bulkError(`Filter matches more than ${MAX_BULK_ITEMS} customers; narrow it down`);
+    }
+    return customers.map(customer => ({ id: customer.id, customer }));
+  }
+
+  throw bulkError('Provide either ids or filter');
+}
+
+function summarize(results) {
+  const summary = { total: results.length };
+  results.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+  return summary;
+}
+
+// Run fn on every target in one transaction. Any failed item rolls everything back.
+async function runBulk(selection, fn) {
+  const results = [];
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const targets = await findTargets(selection, transaction);
+
+      for (const { id, customer } of targets) {
+        if (!customer) {
+          results.push({ id, status: 'not_found' });
+          continue;
+        }
+        try {
+          results.push({ id, status: await fn(customer, transaction) });
+        } catch (error) {
+          if (error.name !== 'SequelizeValidationError') throw error;
+          results.push({ id, status: 'failed', errors: error.errors.map(e => e.message) });
+        }
+      }
+
+      if (results.some(result => result.status === 'failed')) {
+        throw bulkError('Some customers could not be changed; nothing was saved', results);
+      }
+    });
+  } catch (error) {
+    if (error.name === 'BulkOperationError' && error.results) {
+      error.summary = summarize(error.results);
+    }
+    throw error;
+  }
+  return { results, summary: summarize(results) };
+}
+
+// Soft delete the selected customers
+function bulkDelete(selection, user) {
+  return runBulk(selection, async (customer, transaction) => {
+    await recordAudit({ action: 'delete', entityId: customer.id, user, before: customer.toJSON(), transaction });
+    await customer.destroy({ transaction });
+    return 'deleted';
+  });
+}
+
+// Set the same field values on the selected customers
+function bulkUpdate(selection, changes, user) {
+  const fields = Object.keys(changes || {});
+  if (fields.length === 0) {
+    return Promise.reject(bulkError('changes must set at least one field'));
+  }
+  const invalid = fields.filter(field => !BULK_UPDATABLE_FIELDS.includes(field));
+  if (invalid.length > 0) {
+    return Promise.reject(bulkError(`Cannot bulk update: ${invalid.join(', ')}. Allowed: ${BULK_UPDATABLE_FIELDS.join(', ')}`));
+  }
+
+  return runBulk(selection, async (customer, transaction) => {
+    const before = customer.toJSON();
+    await customer.update(changes, { transaction });
+    const entry = await recordAudit({ action: 'update', entityId: customer.id, user, before, after: customer.toJSON(), transaction });
+    return entry ? 'updated' : 'unchanged';
+  });
+}
+
+// Add and/or remove tags on the selected customers
+async function bulkTag(selection, { add = [], remove = [] }, user) {
+  if (add.length === 0 && remove.length === 0) {
+    throw bulkError('Provide tag ids to add or remove');
+  }
+  const addTags = await findTags(add);
+  const removeTags = await findTags(remove);
+
+  return runBulk(selection, async (customer, transaction) => {
+    const changes = await changeCustomerTags(customer, { add: addTags, remove: removeTags }, transaction);
+    if (Object.keys(changes).length > 0) {
+      await touch(customer, transaction);
+    }
+    const entry = await recordAudit({ action: 'update', entityId: customer.id, user, changes, transaction });
+    return entry ? 'updated' : 'unchanged';
+  });
+}
+
+module.exports = { bulkDelete, bulkUpdate, bulkTag, BULK_UPDATABLE_FIELDS, MAX_BULK_ITEMS };
@@ -0,0 +1,42 @@
+// Optimistic concurrency for customers. The customer's version is its ETag;
+// writes may send it back in If-Match (412 on mismatch) or as `version` in the
+// body (409 on mismatch).
+
+function conflictError(status, message) {
+  const error = new Error(message);
+  error.name = 'ConflictError';
+  error.status = status;
+  return error;
+}
+
+function etagFor(customer) {
+  return `"${customer.version}"`;
+}
+
+// Entity tags listed in an If-Match header (weak tags compare by value); null when absent
+function parseIfMatch(header) {
+  if (!header) {
+    return null;
+  }
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+// Throw a ConflictError when the client based its change on an older version
+function assertVersion(customer, { ifMatch, version }) {
+  const tags = parseIfMatch(ifMatch);
+  if (tags && !tags.includes('*') && !tags.includes(etagFor(customer))) {
+    throw conflictError(412, 'This customer was changed by someone else since you loaded it');
+  }
+  if (version !== undefined && version !== null && Number(version) !== customer.version) {
+    throw conflictError(409, 'This customer was changed by someone else since you loaded it');
+  }
+}
+
+// Bump the version (and date_updated) of a customer whose tags or contact entries
+// changed without a change to its own row
+async function touch(customer, transaction) {
+  customer.changed('date_updated', true);
+  await customer.save({ transaction });
+}
+
+module.exports = { etagFor, parseIfMatch, assertVersion, touch };
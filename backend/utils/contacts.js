@@ -0,0 +1,208 @@
+const Customer = require('../models/Customer');
+const CustomerAddress = require('../models/CustomerAddress');
+const CustomerPhone = require('../models/CustomerPhone');
+const CustomerEmail = require('../models/CustomerEmail');
+
+// Most entries accepted in one list
+const MAX_ENTRIES = 20;
+
+function contactError(message) {
+  const error = new Error(message);
+  error.name = 'ContactError';
+  return error;
+}
+
+// One-line address: "street, city, province postal_code, country"
+function formatAddress(address) {
+  const region = [address.province, address.postal_code].filter(Boolean).join(' ');
+  return [address.street, address.city, region, address.country].filter(Boolean).join(', ');
+}
+
+// Child lists of a customer. `column` is the customers column that mirrors the primary
+// entry; `valueOf` reads that value from an entry and `fromValue` builds an entry from it.
+const CONTACT_LISTS = {
+  addresses: {
+    model: CustomerAddress,
+    fields: ['type', 'street', 'city', 'province', 'postal_code', 'country'],
+    column: 'address',
+    labelOf: entry => entry.type,
+    valueOf: formatAddress,
+    fromValue: value => ({ street: value, city: null, province: null, postal_code: null, country: null })
+  },
+  phones: {
+    model: CustomerPhone,
+    fields: ['label', 'number'],
+    column: 'phone',
+    labelOf: entry => entry.label,
+    valueOf: entry => entry.number,
+    fromValue: value => ({ number: value })
+  },
+  emails: {
+    model: CustomerEmail,
+    fields: ['label', 'email'],
+    column: 'email',
+    labelOf: entry => entry.label,
+    valueOf: entry => entry.email,
+    fromValue: value => ({ email: value })
+  }
+};
+
+const CONTACT_LIST_NAMES = Object.keys(CONTACT_LISTS);
+
+// Entry as exposed by the API (no ids)
+function publicEntry(name, entry) {
+  const data = { is_primary: Boolean(entry.is_primary) };
+  CONTACT_LISTS[name].fields.forEach(field => {
+    data[field] = entry[field] === undefined ? null : entry[field];
+  });
+  return data;
+}
+
+// "mobile: 0966 174 8034; work: 032 123 4567" for text exports and the audit trail
+function listToText(name, entries) {
+  const { labelOf, valueOf } = CONTACT_LISTS[name];
+  return (entries || []).map(entry => `${labelOf(entry)}: ${valueOf(entry)}`).join('; ');
+}
+
+// Child lists of the given customers keyed by customer id, primary entry first
+async function loadContacts(customerIds, transaction) {
+  const byCustomer = new Map(customerIds.map(id => [id, { addresses: [], phones: [], emails: [] }]));
+  for (const name of CONTACT_LIST_NAMES) {
+    const rows = await CONTACT_LISTS[name].model.findAll({
+      where: { customer_id: customerIds },
+      order: [['is_primary', 'DESC'], ['id', 'ASC']],
+      transaction
+    });
+    rows.forEach(row => byCustomer.get(row.customer_id)[name].push(row.toJSON()));
+  }
+  return byCustomer;
+}
+
+// Plain customer objects with their addresses, phones and emails added
+async function attachContacts(customers, transaction) {
+  const contacts = await loadContacts(customers.map(customer => customer.id), transaction);
+  return customers.map(customer => ({ ...customer, ...contacts.get(customer.id) }));
+}
+
+// A customer instance as JSON, including its contact lists
+async function withContacts(customer, transaction) {
+  const [data] = await attachContacts([customer.toJSON()], transaction);
+  return data;
+}
+
+// Read the addresses/phones/emails arrays from a request body. Lists that are not
+// sent are left out. Each list keeps exactly one primary entry: the first one
+// flagged is_primary, otherwise the first entry.
+function parseContactLists(body) {
+  const lists = {};
+  CONTACT_LIST_NAMES.forEach(name => {
+    const entries = body[name];
+    if (entries === undefined) {
+      return;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw contactError(`${name} must be a non-empty array`);
+    }
+    if (entries.length > MAX_ENTRIES) {
+      throw contactError(`At most ${MAX_ENTRIES} ${name} are allowed`);
+    }
+    if (!entries.every(entry => entry && typeof entry === 'object')) {
+      throw contactError(`Each entry in ${name} must be an object`);
+    }
+
+    const primaryIndex = Math.max(entries.findIndex(entry => entry.is_primary === true), 0);
+    lists[name] = entries.map((entry, index) => {
+      const data = { is_primary: index === primaryIndex };
+      CONTACT_LISTS[name].fields.forEach(field => {
+        if (entry[field] !== undefined && entry[field] !== null) {
+          data[field] = typeof entry[field] === 'string' ? entry[field].trim() : entry[field];
+        }
+      });
+      return data;
+    });
+  });
+  return lists;
+}
+
+// Customer column values (email, phone, address) taken from the primary entry of each list
+function primaryValues(lists) {
+  const values = {};
+  Object.entries(lists).forEach(([name, entries]) => {
+    const { column, valueOf } = CONTACT_LISTS[name];
+    values[column] = valueOf(entries.find(entry => entry.is_primary));
+  });
+  return values;
+}
+
+// Replace the given lists of a customer. Resolves to the audit changes.
+async function saveContactLists(customer, lists, transaction) {
+  const names = Object.keys(lists);
+  const before = (await loadContacts([customer.id], transaction)).get(customer.id);
+  const changes = {};
+
+  for (const name of names) {
+    const { model } = CONTACT_LISTS[name];
+    await model.destroy({ where: { customer_id: customer.id }, transaction });
+    for (const entry of lists[name]) {
+      await model.create({ ...entry, customer_id: customer.id }, { transaction });
+    }
+
+    const oldValue = listToText(name, before[name]) || null;
+    const newValue = listToText(name, lists[name]) || null;
+    if (oldValue !== newValue) {
+      changes[name] = { before: oldValue, after: newValue };
+    }
+  }
+  return changes;
+}
+
+// Add entries (as read by loadContacts) to a customer as non-primary ones, skipping
+// values it already has. Used when merging customers so no contact point is lost.
+async function copyContacts(contacts, customer, transaction) {
+  const own = (await loadContacts([customer.id], transaction)).get(customer.id);
+
+  for (const name of CONTACT_LIST_NAMES) {
+    const { model, valueOf } = CONTACT_LISTS[name];
+    const seen = new Set(own[name].map(entry => valueOf(entry).toLowerCase()));
+    for (const entry of contacts[name]) {
+      const key = valueOf(entry).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      await model.create({ ...publicEntry(name, entry), is_primary: false, customer_id: customer.id }, { transaction });
+    }
+  }
+}
+
+// Keep each primary entry in step with its customers column, so code that only sets
+// email/phone/address (CSV import, bulk update, merge, older clients) stays consistent.
+// Saves that write lists themselves pass them as options.contactLists.
+Customer.addHook('afterSave', 'syncPrimaryContacts', async (customer, options) => {
+  const handled = options.contactLists || {};
+
+  for (const name of CONTACT_LIST_NAMES) {
+    const { model, column, valueOf, fromValue } = CONTACT_LISTS[name];
+    if (name in handled || !customer.changed(column)) continue;
+
+    const value = customer.get(column);
+    const primary = await model.findOne({ where: { customer_id: customer.id, is_primary: true }, transaction: options.transaction });
+    if (!primary) {
+      await model.create({ ...fromValue(value), customer_id: customer.id, is_primary: true }, { transaction: options.transaction });
+    } else if (valueOf(primary) !== value) {
+      await primary.update(fromValue(value), { transaction: options.transaction });
+    }
+  }
+});
+
+module.exports = {
+  CONTACT_LIST_NAMES,
+  formatAddress,
+  publicEntry,
+  listToText,
+  loadContacts,
+  attachContacts,
+  withContacts,
+  parseContactLists,
+  primaryValues,
+  saveContactLists,
+  copyContacts
+};
@@ -0,0 +1,197 @@
+const { parse } = require('csv-parse/sync');
+const Customer = require('../models/Customer');
+const sequelize = require('../config/database');
+const { recordAudit, CUSTOMER_FIELDS } = require('./audit');
+const { EXPORT_COLUMNS } = require('./exportQuery');
+const { normalizeEmail } = require('./normalize');
+
+const DUPLICATE_STRATEGIES = ['skip', 'update', 'fail'];
+
+function importError(message, report) {
+  const error = new Error(message);
+  error.name = 'ImportError';
+  error.report = report;
+  return error;
+}
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Header -> customer field. Explicit mapping wins; otherwise the headers our CSV
+// export writes ("First Name") and the field names themselves ("first_name") are recognised.
+function resolveMapping(headers, mapping = {}) {
+  const known = {};
+  EXPORT_COLUMNS.forEach(({ id, title }) => {
+    if (CUSTOMER_FIELDS.includes(id)) {
+      known[normalizeHeader(title)] = id;
+      known[normalizeHeader(id)] = id;
+    }
+  });
+
+  const resolved = {};
+  headers.forEach(header => {
+    const field = header in mapping ? mapping[header] : known[normalizeHeader(header)];
+    if (field && CUSTOMER_FIELDS.includes(field)) {
+      resolved[header] = field;
+    }
+  });
+
+  const mapped = Object.values(resolved);
+  const missing = CUSTOMER_FIELDS.filter(field => !mapped.includes(field));
+  return { mapping: resolved, missing };
+}
+
+function parseCsv(buffer) {
+  try {
+    return parse(buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  } catch (error) {
+    throw importError(`Could not parse CSV: ${error.message}`);
+  }
+}
+
+// Validate every row against the Customer model and the unique email constraint
+async function validateRows(records, mapping) {
+  const existing = await Customer.findAll({
+    where: { email: records.map(record => mappedValues(record, mapping).email).filter(Boolean) },
+    paranoid: false
+  });
+  const existingByEmail = new Map(existing.map(customer => [customer.email, customer]));
+  const seenInFile = new Map();
+
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    // Line 1 is the header
+    const row = { row: index + 2, data: mappedValues(record, mapping), errors: [] };
+
+    try {
+      await Customer.build(row.data).validate();
+    } catch (error) {
+      if (error.name !== 'SequelizeValidationError') throw error;
+      row.errors.push(...error.errors.map(e => e.message));
+    }
+
+    const email = row.data.email;
+    if (email && seenInFile.has(email)) {
+      row.errors.push(`Email also appears on row ${seenInFile.get(email)}`);
+    } else if (email) {
+      seenInFile.set(email, row.row);
+    }
+
+    const match = existingByEmail.get(email);
+    if (row.errors.length > 0) {
+      row.status = 'invalid';
+    } else if (match) {
+      row.status = 'duplicate';
+      row.existing_id = match.id;
+      row.existing_deleted = Boolean(match.date_deleted);
+    } else {
+      row.status = 'valid';
+    }
+    rows.push(row);
+  }
+  return { rows, existingByEmail };
+}
+
+// Emails are lower-cased here already so rows match existing customers regardless of case
+function mappedValues(record, mapping) {
+  const data = {};
+  Object.entries(mapping).forEach(([header, field]) => {
+    data[field] = field === 'email' ? normalizeEmail(record[header]) : record[header];
+  });
+  return data;
+}
+
+function summarize(rows) {
+  const count = status => rows.filter(row => row.status === status).length;
+  return {
+    total: rows.length,
+    valid: count('valid'),
+    invalid: count('invalid'),
+    duplicates: count('duplicate')
+  };
+}
+
+// Validate a CSV upload and, unless dryRun, write it in a single transaction.
+// onDuplicate decides what happens to rows whose email already exists.
+async function importCustomers(buffer, { mapping: requestedMapping, dryRun = true, onDuplicate = 'fail', user = null } = {}) {
+  if (!DUPLICATE_STRATEGIES.includes(onDuplicate)) {
+    throw importError(`on_duplicate must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+  }
+
+  const records = parseCsv(buffer);
+  if (records.length === 0) {
+    throw importError('No data rows found in CSV');
+  }
+
+  const headers = Object.keys(records[0]);
+  const { mapping, missing } = resolveMapping(headers, requestedMapping);
+  if (missing.length > 0) {
+    throw importError(`No column mapped to: ${missing.join(', ')}`, { headers, mapping, missing });
+  }
+
+  const { rows, existingByEmail } = await validateRows(records, mapping);
+  const report = { headers, mapping, dry_run: dryRun, on_duplicate: onDuplicate, summary: summarize(rows), rows };
+
+  // Trashed customers keep their email but cannot be updated in place
+  if (onDuplicate === 'update') {
+    rows.filter(row => row.existing_deleted).forEach(row => {
+      row.status = 'invalid';
+      row.errors.push('Email belongs to a customer in the trash');
+    });
+    report.summary = summarize(rows);
+  }
+
+  if (dryRun) {
+    return report;
+  }
+
+  if (report.summary.invalid > 0) {
+    throw importError('Import aborted: some rows are invalid', report);
+  }
+  if (onDuplicate === 'fail' && report.summary.duplicates > 0) {
+    throw importError('Import aborted: some emails already exist', report);
+  }
+
+  let writing = null;
+  try {
+    await sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        writing = row;
+        if (row.status === 'valid') {
+          const created = await Customer.create(row.data, { transaction });
+          await recordAudit({ action: 'create', entityId: created.id, user, after: created.toJSON(), transaction });
+          row.result = 'created';
+          row.id = created.id;
+        } else if (onDuplicate === 'update') {
+          const customer = existingByEmail.get(row.data.email);
+          const before = customer.toJSON();
+          await customer.update(row.data, { transaction });
+          await recordAudit({ action: 'update', entityId: customer.id, user, before, after: customer.toJSON(), transaction });
+          row.result = 'updated';
+          row.id = customer.id;
+        } else {
+          row.result = 'skipped';
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    // Another request added the email after the rows were validated. Nothing was
+    // written, so the row is reported like any other invalid row.
+    rows.forEach(row => {
+      delete row.result;
+      delete row.id;
+    });
+    writing.status = 'invalid';
+    writing.errors.push('Email was added by someone else during the import');
+    report.summary = summarize(rows);
+    throw importError('Import aborted: some rows are invalid', report);
+  }
+
+  const count = result => rows.filter(row => row.result === result).length;
+  report.summary = { ...report.summary, created: count('created'), updated: count('updated'), skipped: count('skipped') };
+  return report;
+}
+
+module.exports = { importCustomers, resolveMapping, DUPLICATE_STRATEGIES };
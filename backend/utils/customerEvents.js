@@ -0,0 +1,153 @@
+const { Op } = require('sequelize');
+const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const { TAG_INCLUDE } = require('./tags');
+const { EVENT_FOR_ACTION } = require('./webhooks');
+
+// Comment lines sent this often keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+// Reconnect delay EventSource clients are told to use
+const RETRY_MS = 3000;
+
+// Missed changes replayed on reconnect; a client further behind is told to reload
+const MAX_BACKLOG = 500;
+
+// Open streams: { res, backlog }. backlog holds live events while the changes a
+// client missed are still being read, and is null afterwards.
+const clients = new Set();
+
+// Audit entries committed since the last broadcast
+let pending = [];
+
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Customers (with tags) by id; customers in the trash or purged are missing
+async function loadCustomers(ids) {
+  const customers = await Customer.findAll({ where: { id: [...new Set(ids)] }, include: [TAG_INCLUDE] });
+  return new Map(customers.map(customer => [customer.id, customer.toJSON()]));
+}
+
+// The stream event for an audit entry. `customer` is how the customer is now, or
+// null once it is no longer listed (in the trash or gone).
+function toEvent(entry, customers) {
+  return {
+    id: entry.id,
+    event: EVENT_FOR_ACTION[entry.action],
+    data: {
+      id: entry.id,
+      action: entry.action,
+      customer_id: entry.entity_id,
+      actor: entry.actor_id ? { id: entry.actor_id, email: entry.actor_email } : null,
+      changed: Object.keys(entry.changes || {}),
+      customer: customers.get(entry.entity_id) || null,
+      date_created: entry.date_created
+    }
+  };
+}
+
+// Send everything queued by publishCustomerChange in one go, so a bulk change of a
+// thousand customers loads them with one query
+async function broadcast() {
+  const entries = pending;
+  pending = [];
+  if (clients.size === 0) {
+    return;
+  }
+
+  const customers = await loadCustomers(entries.map(entry => entry.entity_id));
+  const events = entries.sort((a, b) => a.id - b.id).map(entry => toEvent(entry, customers));
+  clients.forEach(client => events.forEach(event => {
+    if (client.backlog) {
+      client.backlog.push(event);
+    } else {
+      writeEvent(client.res, event);
+    }
+  }));
+}
+
+// Tell connected dashboards about an audited customer change once its transaction commits
+function publishCustomerChange(entry, transaction) {
+  if (!EVENT_FOR_ACTION[entry.action]) {
+    return;
+  }
+
+  const queue = () => {
+    pending.push(entry);
+    if (pending.length === 1) {
+      setImmediate(() => broadcast().catch(error => console.error('Error broadcasting customer events:', error)));
+    }
+  };
+  if (transaction) {
+    transaction.afterCommit(queue);
+  } else {
+    queue();
+  }
+}
+
+// Customer changes after lastEventId (an audit entry id), oldest first, or null when
+// there are too many to replay
+async function missedEvents(lastEventId) {
+  const entries = await AuditLog.findAll({
+    where: { entity_type: 'customer', action: Object.keys(EVENT_FOR_ACTION), id: { [Op.gt]: lastEventId } },
+    order: [['id', 'ASC']],
+    limit: MAX_BACKLOG + 1
+  });
+  if (entries.length > MAX_BACKLOG) {
+    return null;
+  }
+  const customers = await loadCustomers(entries.map(entry => entry.entity_id));
+  return entries.map(entry => toEvent(entry, customers));
+}
+
+// The newest customer change, where a client without a Last-Event-ID starts
+async function latestEventId() {
+  return (await AuditLog.max('id', { where: { entity_type: 'customer' } })) || 0;
+}
+
+// Keep res open as an event stream. Changes since lastEventId are sent first, then
+// new ones as they commit.
+async function openEventStream(req, res, lastEventId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // nginx would otherwise hold events back in its buffer
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Join before reading what was missed so nothing committed in between is lost
+  const client = { res, backlog: [] };
+  clients.add(client);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  let lastSent;
+  if (lastEventId === undefined) {
+    lastSent = await latestEventId();
+    writeEvent(res, { id: lastSent, event: 'ready', data: { replayed: 0 } });
+  } else {
+    const missed = await missedEvents(lastEventId);
+    if (missed === null) {
+      lastSent = await latestEventId();
+      writeEvent(res, { id: lastSent, event: 'reset', data: { message: `More than ${MAX_BACKLOG} changes were missed; reload the list` } });
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+      lastSent = missed.length > 0 ? missed[missed.length - 1].id : lastEventId;
+      writeEvent(res, { id: lastSent, event: 'ready', data: { replayed: missed.length } });
+    }
+  }
+
+  // Live events that arrived meanwhile, minus the ones already replayed
+  client.backlog.filter(event => event.id > lastSent).forEach(event => writeEvent(res, event));
+  client.backlog = null;
+}
+
+module.exports = { publishCustomerChange, openEventStream, MAX_BACKLOG };
@@ -0,0 +1,192 @@
+const { Op, literal } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Only these columns may be used for ordering
+const SORTABLE_FIELDS = ['id', 'first_name', 'last_name', 'email', 'phone', 'date_created'];
+
+const TAG_MODES = ['any', 'all'];
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidQueryError';
+  return error;
+}
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw invalidQuery(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw invalidQuery(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+// tags=1,2 (or an array) as a list of tag ids
+function parseTagIds(value) {
+  const ids = (Array.isArray(value) ? value : String(value).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean)
+    .map(Number);
+  if (ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    throw invalidQuery('tags must be a comma-separated list of tag ids');
+  }
+  return [...new Set(ids)];
+}
+
+// tag_mode=any (default) matches customers with at least one of the tags; all requires every tag
+function parseTagFilter(query) {
+  if (query.tags === undefined || query.tags === '') {
+    return null;
+  }
+  const mode = (query.tag_mode || 'any').toLowerCase();
+  if (!TAG_MODES.includes(mode)) {
+    throw invalidQuery(`tag_mode must be one of: ${TAG_MODES.join(', ')}`);
+  }
+  return { ids: parseTagIds(query.tags), mode };
+}
+
+// Subquery of matching customer ids; tag ids are validated integers so inlining them is safe
+function tagSubquery({ ids, mode }) {
+  const sql = `SELECT customer_id FROM customer_tags WHERE tag_id IN (${ids.join(', ')})`;
+  return literal(mode === 'all'
+    ? `(${sql} GROUP BY customer_id HAVING COUNT(DISTINCT tag_id) = ${ids.length})`
+    : `(${sql})`);
+}
+
+// Text for a LIKE pattern with % and _ matched as themselves (with likeCondition)
+function escapeLike(text) {
+  return String(text).replace(/[!%_]/g, char => `!${char}`);
+}
+
+// LIKE with an explicit ESCAPE '!': Sequelize has no option for it, and without one
+// SQLite has no escape character at all while MySQL and Postgres use a backslash.
+// Matches ignore case: SQLite and the MySQL/MariaDB collations already do, Postgres needs ILIKE.
+function likeCondition(pattern) {
+  const operator = sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+  return { [operator]: literal(`${sequelize.escape(pattern)} ESCAPE '!'`) };
+}
+
+// Build the where clause from the filter params of a request query
+function buildFilters(query) {
+  const where = {};
+
+  if (query.first_name) {
+    where.first_name = likeCondition(`${escapeLike(query.first_name)}%`);
+  }
+
+  if (query.last_name) {
+    where.last_name = likeCondition(`${escapeLike(query.last_name)}%`);
+  }
+
+  if (query.created_from || query.created_to) {
+    where.date_created = {};
+    if (query.created_from) {
+      where.date_created[Op.gte] = parseDate(query.created_from, 'created_from');
+    }
+    if (query.created_to) {
+      const to = parseDate(query.created_to, 'created_to');
+      // A bare date (YYYY-MM-DD) includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.created_to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        where.date_created[Op.lt] = to;
+      } else {
+        where.date_created[Op.lte] = to;
+      }
+    }
+  }
+
+  const tagFilter = parseTagFilter(query);
+  if (tagFilter) {
+    where.id = { [Op.in]: tagSubquery(tagFilter) };
+  }
+
+  return where;
+}
+
+// Human-readable description of the filters in a request query (for reports).
+// tagNames maps tag id to name for the tag filter.
+function describeFilters(query, tagNames = {}) {
+  const lines = [];
+  if (query.first_name) lines.push(`First name starts with "${query.first_name}"`);
+  if (query.last_name) lines.push(`Last name starts with "${query.last_name}"`);
+  if (query.created_from) lines.push(`Created on or after ${query.created_from}`);
+  if (query.created_to) lines.push(`Created on or before ${query.created_to}`);
+  const tagFilter = parseTagFilter(query);
+  if (tagFilter) {
+    const names = tagFilter.ids.map(id => tagNames[id] || `#${id}`).join(', ');
+    lines.push(`Tagged with ${tagFilter.mode === 'all' ? 'all' : 'any'} of: ${names}`);
+  }
+  return lines;
+}
+
+// Build the order clause from the sort/order params of a request query
+function buildOrder(query) {
+  const sort = query.sort || 'date_created';
+  if (!SORTABLE_FIELDS.includes(sort)) {
+    throw invalidQuery(`sort must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  const direction = (query.order || 'desc').toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw invalidQuery('order must be asc or desc');
+  }
+
+  // Tie-break on id so paging is stable
+  const order = [[sort, direction.toUpperCase()]];
+  if (sort !== 'id') {
+    order.push(['id', direction.toUpperCase()]);
+  }
+  return order;
+}
+
+// Translate list query params into Sequelize findAndCountAll options
+function buildListQuery(query) {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+
+  return {
+    where: buildFilters(query),
+    order: buildOrder(query),
+    limit,
+    offset: (page - 1) * limit,
+    page
+  };
+}
+
+function buildPagination({ page, limit }, total) {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+}
+
+module.exports = {
+  buildListQuery,
+  buildFilters,
+  buildOrder,
+  buildPagination,
+  describeFilters,
+  parseTagFilter,
+  escapeLike,
+  likeCondition,
+  SORTABLE_FIELDS,
+  TAG_MODES
+};
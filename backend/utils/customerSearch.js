@@ -0,0 +1,154 @@
+const { Op, fn, col, where, literal } = require('sequelize');
+const sequelize = require('../config/database');
+const { toE164 } = require('./normalize');
+const { escapeLike, likeCondition } = require('./customerQuery');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Characters the phone validator allows besides digits
+const PHONE_FORMATTING = [' ', '-', '+', '(', ')'];
+
+// Phone column with all formatting characters stripped
+function normalizedPhone() {
+  return PHONE_FORMATTING.reduce((expr, char) => fn('REPLACE', expr, char, ''), col('phone'));
+}
+
+function digitsOf(text) {
+  return String(text).replace(/\D/g, '');
+}
+
+// A term counts as a phone fragment when it has at least 3 digits and nothing but phone characters
+function isPhoneTerm(term) {
+  return /^[\d\s\-\+\(\)]+$/.test(term) && digitsOf(term).length >= 3;
+}
+
+// A query that looks like a single phone number ("0966 174 8034") stays one term
+function tokenize(q) {
+  const query = String(q || '').trim();
+  if (isPhoneTerm(query)) {
+    return [query];
+  }
+  return query.split(/\s+/).filter(Boolean);
+}
+
+// Every term must match at least one field
+function buildSearchWhere(terms) {
+  return {
+    [Op.and]: terms.map(term => {
+      const pattern = `%${escapeLike(term)}%`;
+      const fields = [
+        { first_name: likeCondition(pattern) },
+        { last_name: likeCondition(pattern) },
+        { email: likeCondition(pattern) },
+        { address: likeCondition(pattern) }
+      ];
+      if (isPhoneTerm(term)) {
+        const digits = digitsOf(term);
+        fields.push(where(normalizedPhone(), { [Op.like]: `%${digits}%` }));
+        // Part of a number with its country code ("+63 966") matches numbers stored
+        // in national format ("0966...") through their E.164 form
+        fields.push({ phone_e164: { [Op.like]: `%${digits}%` } });
+        // A whole number matches however either side was formatted ("0966..." vs "+63 966...")
+        const e164 = toE164(term);
+        if (e164) fields.push({ phone_e164: e164 });
+      }
+      return { [Op.or]: fields };
+    })
+  };
+}
+
+// Score one field against one term: exact > prefix > contains
+function scoreText(value, term, weights) {
+  const text = String(value || '').toLowerCase();
+  const needle = term.toLowerCase();
+  if (text === needle) return weights.exact;
+  if (text.startsWith(needle)) return weights.prefix;
+  if (text.includes(needle)) return weights.contains;
+  return 0;
+}
+
+// The same phone conditions as buildSearchWhere
+function matchesPhone(customer, term) {
+  const digits = digitsOf(term);
+  return digitsOf(customer.phone).includes(digits) ||
+    (Boolean(customer.phone_e164) && (customer.phone_e164.includes(digits) || customer.phone_e164 === toE164(term)));
+}
+
+const NAME_WEIGHTS = { exact: 10, prefix: 6, contains: 3 };
+const EMAIL_WEIGHTS = { exact: 10, prefix: 5, contains: 2 };
+const ADDRESS_WEIGHTS = { exact: 4, prefix: 2, contains: 1 };
+const PHONE_WEIGHT = 5;
+
+const FIELD_WEIGHTS = {
+  first_name: NAME_WEIGHTS,
+  last_name: NAME_WEIGHTS,
+  email: EMAIL_WEIGHTS,
+  address: ADDRESS_WEIGHTS
+};
+
+// SQL for scoreText: the same weights, case-insensitive on every dialect
+function scoreTextSQL(column, term) {
+  const needle = escapeLike(term.toLowerCase());
+  const like = (pattern) => `LOWER(${column}) LIKE ${sequelize.escape(pattern)} ESCAPE '!'`;
+  const weights = FIELD_WEIGHTS[column];
+  return `CASE WHEN LOWER(${column}) = ${sequelize.escape(term.toLowerCase())} THEN ${weights.exact}` +
+    ` WHEN ${like(`${needle}%`)} THEN ${weights.prefix}` +
+    ` WHEN ${like(`%${needle}%`)} THEN ${weights.contains} ELSE 0 END`;
+}
+
+// SQL for matchesPhone
+function matchesPhoneSQL(term) {
+  const digits = sequelize.escape(`%${digitsOf(term)}%`);
+  const phone = PHONE_FORMATTING.reduce((expr, char) => `REPLACE(${expr}, ${sequelize.escape(char)}, '')`, 'phone');
+  const conditions = [`${phone} LIKE ${digits}`, `phone_e164 LIKE ${digits}`];
+  const e164 = toE164(term);
+  if (e164) conditions.push(`phone_e164 = ${sequelize.escape(e164)}`);
+  return `CASE WHEN ${conditions.join(' OR ')} THEN ${PHONE_WEIGHT} ELSE 0 END`;
+}
+
+// The score rankResults gives, computed by the database so that matches can be
+// ordered and paged there. Each term adds its best field score.
+function relevance(terms) {
+  // SQLite's multi-argument MAX() is GREATEST() elsewhere
+  const greatest = sequelize.getDialect() === 'sqlite' ? 'MAX' : 'GREATEST';
+  const termScores = terms.map(term => {
+    const scores = Object.keys(FIELD_WEIGHTS).map(column => scoreTextSQL(column, term));
+    if (isPhoneTerm(term)) scores.push(matchesPhoneSQL(term));
+    return `${greatest}(${scores.join(', ')})`;
+  });
+  return literal(`(${termScores.join(' + ')})`);
+}
+
+// Best match first, then newest
+function buildSearchOrder(terms) {
+  return [[relevance(terms), 'DESC'], ['date_created', 'DESC'], ['id', 'DESC']];
+}
+
+// Score matching customers and note which fields matched, best match first
+function rankResults(customers, terms) {
+  return customers
+    .map(customer => {
+      const matched = new Set();
+      let score = 0;
+
+      terms.forEach(term => {
+        const scores = {
+          first_name: scoreText(customer.first_name, term, NAME_WEIGHTS),
+          last_name: scoreText(customer.last_name, term, NAME_WEIGHTS),
+          email: scoreText(customer.email, term, EMAIL_WEIGHTS),
+          address: scoreText(customer.address, term, ADDRESS_WEIGHTS),
+          phone: isPhoneTerm(term) && matchesPhone(customer, term) ? PHONE_WEIGHT : 0
+        };
+        Object.entries(scores).forEach(([field, fieldScore]) => {
+          if (fieldScore > 0) matched.add(field);
+        });
+        score += Math.max(...Object.values(scores));
+      });
+
+      return { ...customer, score, matched_fields: [...matched] };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.date_created) - new Date(a.date_created) || b.id - a.id);
+}
+
+module.exports = { tokenize, buildSearchWhere, buildSearchOrder, rankResults, normalizedPhone, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,205 @@
+const { Op, fn, col, literal } = require('sequelize');
+const Customer = require('../models/Customer');
+const CustomerAddress = require('../models/CustomerAddress');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Range used when from/to are not given: the last 30 days including today
+const DEFAULT_DAYS = 30;
+
+// Most periods one request may return (a year of days)
+const MAX_PERIODS = 366;
+
+// Rows in each breakdown
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidQueryError';
+  return error;
+}
+
+// SQL for the first day ('YYYY-MM-DD', UTC) of the period date_created falls in.
+// Weeks start on Monday.
+const PERIOD_SQL = {
+  sqlite: {
+    day: "strftime('%Y-%m-%d', date_created)",
+    week: "date(date_created, 'weekday 0', '-6 days')",
+    month: "strftime('%Y-%m-01', date_created)"
+  },
+  postgres: {
+    day: "to_char(date_created, 'YYYY-MM-DD')",
+    week: "to_char(date_trunc('week', date_created), 'YYYY-MM-DD')",
+    month: "to_char(date_created, 'YYYY-MM-01')"
+  },
+  mysql: {
+    day: "DATE_FORMAT(date_created, '%Y-%m-%d')",
+    week: "DATE_FORMAT(DATE_SUB(date_created, INTERVAL WEEKDAY(date_created) DAY), '%Y-%m-%d')",
+    month: "DATE_FORMAT(date_created, '%Y-%m-01')"
+  }
+};
+PERIOD_SQL.mariadb = PERIOD_SQL.mysql;
+
+// SQL for the lower-cased part of email after the @
+const DOMAIN_SQL = {
+  sqlite: "LOWER(SUBSTR(email, INSTR(email, '@') + 1))",
+  postgres: "LOWER(SPLIT_PART(email, '@', 2))",
+  mysql: "LOWER(SUBSTRING_INDEX(email, '@', -1))"
+};
+DOMAIN_SQL.mariadb = DOMAIN_SQL.mysql;
+
+const dialect = () => Customer.sequelize.getDialect();
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD as midnight UTC
+function parseDay(value, name) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime()) || formatDay(date) !== value) {
+    throw invalidQuery(`${name} must be a date like 2024-01-31`);
+  }
+  return date;
+}
+
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') {
+    // getUTCDay() is 0 on Sunday; step back to Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+function nextPeriod(date, interval) {
+  const next = new Date(date);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+// Start of every period touching [from, to]; the first and last may be partly outside the range
+function periodsBetween(from, to, interval) {
+  const periods = [];
+  for (let date = periodStart(from, interval); date <= to; date = nextPeriod(date, interval)) {
+    periods.push(formatDay(date));
+    if (periods.length > MAX_PERIODS) {
+      throw invalidQuery(`Range is too long for interval=${interval}; at most ${MAX_PERIODS} periods are returned`);
+    }
+  }
+  return periods;
+}
+
+// from/to (inclusive days, UTC), interval and top from a request query
+function parseStatsQuery(query) {
+  const interval = (query.interval || 'day').toLowerCase();
+  if (!INTERVALS.includes(interval)) {
+    throw invalidQuery(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const to = query.to ? parseDay(String(query.to), 'to') : parseDay(formatDay(new Date()), 'to');
+  const from = query.from ? parseDay(String(query.from), 'from') : new Date(to.getTime() - (DEFAULT_DAYS - 1) * DAY_MS);
+  if (from > to) {
+    throw invalidQuery('from must not be after to');
+  }
+
+  const top = query.top === undefined || query.top === '' ? DEFAULT_TOP : Number(query.top);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+    throw invalidQuery(`top must be an integer between 1 and ${MAX_TOP}`);
+  }
+
+  return { from, to, interval, top, periods: periodsBetween(from, to, interval) };
+}
+
+function createdBetween(start, end) {
+  return { date_created: { [Op.gte]: start, [Op.lt]: end } };
+}
+
+// New customers per period, zero-filled
+async function countPerPeriod(where, interval, periods) {
+  const period = literal(PERIOD_SQL[dialect()][interval]);
+  const rows = await Customer.findAll({
+    attributes: [[period, 'period'], [fn('COUNT', col('id')), 'count']],
+    where,
+    group: [period],
+    raw: true
+  });
+  const counts = new Map(rows.map(row => [row.period, Number(row.count)]));
+  return periods.map(start => ({ period: start, count: counts.get(start) || 0 }));
+}
+
+async function countByEmailDomain(where, top) {
+  const domain = literal(DOMAIN_SQL[dialect()]);
+  const rows = await Customer.findAll({
+    attributes: [[domain, 'domain'], [fn('COUNT', col('id')), 'count']],
+    where,
+    group: [domain],
+    order: [[fn('COUNT', col('id')), 'DESC'], [domain, 'ASC']],
+    limit: top,
+    raw: true
+  });
+  return rows.map(row => ({ domain: row.domain, count: Number(row.count) }));
+}
+
+// Province (or city when there is none) and country of each customer's primary address
+async function countByRegion(where, top) {
+  const region = fn('COALESCE', fn('NULLIF', col('CustomerAddress.province'), ''), fn('NULLIF', col('CustomerAddress.city'), ''));
+  const country = fn('NULLIF', col('CustomerAddress.country'), '');
+  const count = fn('COUNT', col('CustomerAddress.id'));
+  const rows = await CustomerAddress.findAll({
+    attributes: [[region, 'region'], [country, 'country'], [count, 'count']],
+    where: { is_primary: true },
+    include: [{ model: Customer, attributes: [], where, required: true }],
+    group: [region, country],
+    order: [[count, 'DESC']],
+    limit: top,
+    raw: true
+  });
+  return rows.map(row => ({ region: row.region || null, country: row.country || null, count: Number(row.count) }));
+}
+
+// Customer numbers for the analytics dashboard. Everything is counted by grouped queries;
+// no customer rows are loaded. Breakdowns cover the customers created in the range.
+async function customerStats({ from, to, interval, top, periods }) {
+  const end = new Date(to.getTime() + DAY_MS);
+  const previousFrom = new Date(from.getTime() - (end - from));
+  const inRange = createdBetween(from, end);
+
+  const [total, previous, series, domains, regions] = await Promise.all([
+    Customer.count(),
+    Customer.count({ where: createdBetween(previousFrom, from) }),
+    countPerPeriod(inRange, interval, periods),
+    countByEmailDomain(inRange, top),
+    countByRegion(inRange, top)
+  ]);
+
+  const added = series.reduce((sum, point) => sum + point.count, 0);
+  return {
+    from: formatDay(from),
+    to: formatDay(to),
+    interval,
+    totals: {
+      customers: total,
+      new_customers: added,
+      previous_period: {
+        from: formatDay(previousFrom),
+        to: formatDay(new Date(from.getTime() - DAY_MS)),
+        new_customers: previous
+      },
+      // null when the previous period had no new customers
+      growth_percent: previous === 0 ? null : Math.round(((added - previous) / previous) * 1000) / 10
+    },
+    series,
+    email_domains: domains,
+    regions
+  };
+}
+
+module.exports = { parseStatsQuery, customerStats, INTERVALS, MAX_TOP };
@@ -0,0 +1,194 @@
+const { Op, where, fn, col } = require('sequelize');
+const Customer = require('../models/Customer');
+const { toE164 } = require('./normalize');
+
+// Pairs scoring at least this are reported as likely duplicates
+const DEFAULT_THRESHOLD = 0.6;
+
+// How much each signal contributes to the score
+const WEIGHTS = { name: 0.45, phone: 0.4, address: 0.15 };
+
+// Largest group of customers compared pairwise in one block; larger blocks are
+// cut to their oldest customers and reported as truncated
+const MAX_BLOCK_SIZE = 200;
+
+const CANDIDATE_ATTRIBUTES = ['id', 'first_name', 'last_name', 'email', 'phone', 'phone_e164', 'address', 'date_created'];
+
+// Cheap keys that only plausible duplicates share, computed in SQL: the number in
+// E.164 (so "0966..." and "+63 966..." match) and the trimmed, lower-cased last name
+const BLOCK_KEYS = {
+  phone: () => col('phone_e164'),
+  last: () => fn('LOWER', fn('TRIM', col('last_name')))
+};
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeName(customer) {
+  return normalizeText(`${customer.first_name} ${customer.last_name}`);
+}
+
+// The number in E.164; numbers saved before it was stored are parsed here
+function phoneKey(customer) {
+  return customer.phone_e164 || toE164(customer.phone) || null;
+}
+
+// Levenshtein-based similarity in [0, 1]
+function stringSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Token overlap (Jaccard) in [0, 1], for free-text addresses
+function tokenSimilarity(a, b) {
+  const left = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const right = new Set(normalizeText(b).split(' ').filter(Boolean));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter(token => right.has(token)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+// Score how likely two customers are the same person
+function scorePair(a, b) {
+  const signals = {
+    name: stringSimilarity(normalizeName(a), normalizeName(b)),
+    phone: phoneKey(a) && phoneKey(a) === phoneKey(b) ? 1 : 0,
+    address: tokenSimilarity(a.address, b.address)
+  };
+
+  const round = value => Math.round(value * 100) / 100;
+  const score = Object.entries(WEIGHTS).reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+  Object.keys(signals).forEach(signal => { signals[signal] = round(signals[signal]); });
+  return { score: round(score), signals };
+}
+
+// Customers grouped by each block key, so only plausible pairs are compared and only
+// customers sharing a key are loaded. Blocks over MAX_BLOCK_SIZE are listed in truncated.
+async function blocksOf() {
+  const blocks = [];
+  const truncated = [];
+
+  for (const [name, keyOf] of Object.entries(BLOCK_KEYS)) {
+    const rows = await Customer.findAll({
+      attributes: [[keyOf(), 'key'], [fn('COUNT', col('id')), 'size']],
+      where: { [Op.and]: [where(keyOf(), { [Op.ne]: null }), where(keyOf(), { [Op.ne]: '' })] },
+      group: [keyOf()],
+      having: where(fn('COUNT', col('id')), { [Op.gt]: 1 }),
+      raw: true
+    });
+    // COUNT comes back as a string on some dialects
+    const groups = rows.map(({ key, size }) => ({ key, size: Number(size) }));
+
+    const small = groups.filter(group => group.size <= MAX_BLOCK_SIZE).map(group => group.key);
+    if (small.length > 0) {
+      const members = await Customer.findAll({
+        attributes: [...CANDIDATE_ATTRIBUTES, [keyOf(), 'block_key']],
+        where: where(keyOf(), { [Op.in]: small }),
+        order: [['id', 'ASC']],
+        raw: true
+      });
+      const byKey = new Map();
+      members.forEach(({ block_key, ...customer }) => {
+        if (!byKey.has(block_key)) byKey.set(block_key, []);
+        byKey.get(block_key).push(customer);
+      });
+      blocks.push(...byKey.values());
+    }
+
+    for (const group of groups.filter(group => group.size > MAX_BLOCK_SIZE)) {
+      blocks.push(await Customer.findAll({
+        attributes: CANDIDATE_ATTRIBUTES,
+        where: where(keyOf(), group.key),
+        order: [['id', 'ASC']],
+        limit: MAX_BLOCK_SIZE,
+        raw: true
+      }));
+      truncated.push({ key: `${name}:${group.key}`, size: group.size, compared: MAX_BLOCK_SIZE });
+    }
+  }
+  return { blocks, truncated };
+}
+
+// Raw rows carry dates as the dialect returns them (a string on SQLite); answer
+// ISO 8601 like every other route
+function pairCustomer(customer) {
+  const { date_created } = customer;
+  return { ...customer, date_created: date_created ? new Date(date_created).toISOString() : null };
+}
+
+// All likely duplicate pairs, best matches first, and the blocks that were too large
+// to compare in full
+async function findDuplicatePairs({ threshold = DEFAULT_THRESHOLD, limit = 50 } = {}) {
+  const { blocks, truncated } = await blocksOf();
+
+  const seen = new Set();
+  const pairs = [];
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const key = `${a.id}:${b.id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const { score, signals } = scorePair(a, b);
+        if (score >= threshold) {
+          pairs.push({ score, signals, customers: [a, b].map(pairCustomer) });
+        }
+      }
+    }
+  });
+
+  pairs.sort((x, y) => y.score - x.score);
+  return { total: pairs.length, pairs: pairs.slice(0, limit), truncated };
+}
+
+// Existing customers that look like the given (unsaved) data; used to warn on create/update
+async function findProbableDuplicates(data, { excludeId = null, threshold = DEFAULT_THRESHOLD } = {}) {
+  const key = phoneKey(data);
+  const candidates = await Customer.findAll({
+    attributes: CANDIDATE_ATTRIBUTES,
+    where: {
+      ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+      [Op.or]: [
+        { last_name: data.last_name || '' },
+        ...(key ? [{ phone_e164: key }] : [])
+      ]
+    },
+    limit: MAX_BLOCK_SIZE,
+    raw: true
+  });
+
+  return candidates
+    .map(candidate => {
+      const { id, first_name, last_name, email, phone } = candidate;
+      return { id, first_name, last_name, email, phone, ...scorePair(data, candidate) };
+    })
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+}
+
+module.exports = { findDuplicatePairs, findProbableDuplicates, scorePair, DEFAULT_THRESHOLD };
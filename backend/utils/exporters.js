@@ -0,0 +1,30 @@
+const { exportToCSV } = require('./csvExport');
+const { exportToPDF, parsePDFOptions } = require('./pdfExport');
+const { exportToXLSX } = require('./xlsxExport');
+const { exportToJSON, exportToNDJSON } = require('./jsonExport');
+const { exportToVCF } = require('./vcard');
+
+// Every export format implements the same interface:
+//   exporter(customers, stream, { columns, ...options }) -> Promise
+// where customers is an async iterable of plain objects and stream is the writable response.
+// An optional parseOptions(query) validates format-specific options before streaming starts.
+// contacts: true loads every customer's addresses, phones and emails whatever the columns.
+const EXPORTERS = {
+  csv: { exporter: exportToCSV, contentType: 'text/csv; charset=utf-8', extension: 'csv', label: 'CSV' },
+  pdf: { exporter: exportToPDF, parseOptions: parsePDFOptions, contentType: 'application/pdf', extension: 'pdf', label: 'PDF' },
+  xlsx: {
+    exporter: exportToXLSX,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    label: 'Excel'
+  },
+  json: { exporter: exportToJSON, contentType: 'application/json; charset=utf-8', extension: 'json', label: 'JSON' },
+  ndjson: { exporter: exportToNDJSON, contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson', label: 'NDJSON' },
+  vcf: { exporter: exportToVCF, contentType: 'text/vcard; charset=utf-8', extension: 'vcf', label: 'vCard', contacts: true }
+};
+
+function getExporter(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORTERS, format) ? EXPORTERS[format] : null;
+}
+
+module.exports = { EXPORTERS, getExporter };
@@ -0,0 +1,24 @@
+const { write, pickColumns } = require('./streamWrite');
+
+// Stream customers as a single JSON array
+async function exportToJSON(customers, stream, { columns }) {
+  let first = true;
+
+  await write(stream, '[\n');
+  for await (const customer of customers) {
+    await write(stream, `${first ? '' : ',\n'}${JSON.stringify(pickColumns(customer, columns))}`);
+    first = false;
+  }
+  await write(stream, '\n]\n');
+  stream.end();
+}
+
+// Stream customers as newline-delimited JSON, one object per line
+async function exportToNDJSON(customers, stream, { columns }) {
+  for await (const customer of customers) {
+    await write(stream, `${JSON.stringify(pickColumns(customer, columns))}\n`);
+  }
+  stream.end();
+}
+
+module.exports = { exportToJSON, exportToNDJSON };
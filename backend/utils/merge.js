@@ -0,0 +1,104 @@
+const Customer = require('../models/Customer');
+const Note = require('../models/Note');
+const sequelize = require('../config/database');
+const { recordAudit, diffChanges, CUSTOMER_FIELDS } = require('./audit');
+const { changeCustomerTags } = require('./tags');
+const { loadContacts, copyContacts } = require('./contacts');
+const { touch } = require('./concurrency');
+
+const LOSER_ACTIONS = ['archive', 'delete'];
+
+function mergeError(message) {
+  const error = new Error(message);
+  error.name = 'MergeError';
+  return error;
+}
+
+// Merge loser into survivor in one transaction.
+// fields picks the source of each value ('survivor' by default, or 'loser').
+// The loser is archived (moved to the trash) or deleted permanently.
+// Resolves to null when either customer does not exist.
+async function mergeCustomers({ survivorId, loserId, fields = {}, loserAction = 'archive', user = null }) {
+  if (!survivorId || !loserId || Number(survivorId) === Number(loserId)) {
+    throw mergeError('survivor_id and loser_id must be two different customers');
+  }
+  if (!LOSER_ACTIONS.includes(loserAction)) {
+    throw mergeError(`loser_action must be one of: ${LOSER_ACTIONS.join(', ')}`);
+  }
+  const unknown = Object.keys(fields).filter(field => !CUSTOMER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw mergeError(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  const invalid = Object.values(fields).filter(source => source !== 'survivor' && source !== 'loser');
+  if (invalid.length > 0) {
+    throw mergeError('Each field must come from "survivor" or "loser"');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const survivor = await Customer.findByPk(survivorId, { transaction });
+    const loser = await Customer.findByPk(loserId, { transaction });
+    if (!survivor || !loser) {
+      return null;
+    }
+
+    const survivorBefore = survivor.toJSON();
+    const loserBefore = loser.toJSON();
+    const loserTags = await loser.getTags({ transaction });
+    // Read before the loser's email is released and the survivor's primary entries change below
+    const contacts = await loadContacts([survivor.id, loser.id], transaction);
+    const merged = {};
+    CUSTOMER_FIELDS.forEach(field => {
+      merged[field] = fields[field] === 'loser' ? loserBefore[field] : survivorBefore[field];
+    });
+
+    // The loser's notes move to the survivor before a permanent delete would cascade to
+    // them; silent keeps their date_updated, as moving them is not an edit
+    const [notesMoved] = await Note.update(
+      { customer_id: survivor.id },
+      { where: { customer_id: loser.id }, silent: true, transaction }
+    );
+
+    // Remove the loser first so its email is free if the survivor takes it.
+    // An archived loser keeps its row, so its email is released with a "merged-<id>-" prefix.
+    if (loserAction === 'archive') {
+      if (merged.email === loserBefore.email) {
+        await loser.update({ email: `merged-${loser.id}-${loserBefore.email}` }, { transaction });
+      }
+      await loser.destroy({ transaction });
+    } else {
+      await loser.destroy({ force: true, transaction });
+    }
+    await recordAudit({
+      action: loserAction === 'archive' ? 'delete' : 'purge',
+      entityId: loser.id,
+      user,
+      changes: { ...diffChanges(loserBefore, null), merged_into: { before: null, after: survivor.id } },
+      transaction
+    });
+
+    await survivor.update(merged, { transaction });
+    // The survivor keeps the tags, contact points and notes of both customers
+    const tagChanges = await changeCustomerTags(survivor, { add: loserTags }, transaction);
+    await copyContacts(contacts.get(survivor.id), survivor, transaction);
+    await copyContacts(contacts.get(loser.id), survivor, transaction);
+    if (survivor.version === survivorBefore.version) {
+      await touch(survivor, transaction);
+    }
+    await recordAudit({
+      action: 'merge',
+      entityId: survivor.id,
+      user,
+      changes: {
+        ...diffChanges(survivorBefore, survivor.toJSON()),
+        ...tagChanges,
+        merged_from: { before: null, after: loser.id },
+        ...(notesMoved > 0 ? { notes_moved: { before: null, after: notesMoved } } : {})
+      },
+      transaction
+    });
+
+    return { survivor, loser_id: loser.id, loser_action: loserAction };
+  });
+}
+
+module.exports = { mergeCustomers, LOSER_ACTIONS };
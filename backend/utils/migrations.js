@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const sequelize = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const SEEDERS_DIR = path.join(__dirname, '..', 'seeders');
+
+// Files export up(queryInterface, Sequelize) and down(queryInterface, Sequelize)
+function createRunner(dir, tableName) {
+  return new Umzug({
+    migrations: {
+      glob: ['*.js', { cwd: dir }],
+      resolve: ({ name, path: filePath, context }) => {
+        const migration = require(filePath);
+        return {
+          name,
+          up: () => migration.up(context, Sequelize),
+          down: () => migration.down(context, Sequelize)
+        };
+      }
+    },
+    context: sequelize.getQueryInterface(),
+    // Applied names are recorded in tableName
+    storage: new SequelizeStorage({ sequelize, tableName }),
+    logger: undefined
+  });
+}
+
+const migrator = createRunner(MIGRATIONS_DIR, 'schema_migrations');
+const seeder = createRunner(SEEDERS_DIR, 'schema_seeds');
+
+const TEMPLATE = `module.exports = {
+  async up(queryInterface, Sequelize) {
+  },
+
+  async down(queryInterface, Sequelize) {
+  }
+};
+`;
+
+// New migration file named NNNN-<name>.js, numbered after the last one
+function createMigration(name) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+  const numbers = fs.readdirSync(MIGRATIONS_DIR).map(file => parseInt(file, 10)).filter(Number.isInteger);
+  const next = String(Math.max(0, ...numbers) + 1).padStart(4, '0');
+  const filePath = path.join(MIGRATIONS_DIR, `${next}-${slug}.js`);
+  fs.writeFileSync(filePath, TEMPLATE);
+  return filePath;
+}
+
+// Use in down() instead of queryInterface.removeColumn: on SQLite that rebuilds the
+// table, and dropping the old customers table cascades to the contact, note and tag
+// tables. DROP COLUMN (SQLite 3.35+) leaves the rows alone.
+async function dropColumn(queryInterface, table, column) {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+}
+
+module.exports = { migrator, seeder, createMigration, dropColumn };
@@ -0,0 +1,22 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const config = require('../config');
+
+// Characters a phone number may be typed with besides digits
+const PHONE_PATTERN = /^[\d\s\-\+\(\)]+$/;
+
+// "0917 555 0142" -> "+639175550142". Numbers without a +<country code> are read as
+// DEFAULT_PHONE_COUNTRY numbers. Null when the text cannot be a phone number.
+function toE164(value, country = config.defaultPhoneCountry) {
+  if (typeof value !== 'string' || !PHONE_PATTERN.test(value)) {
+    return null;
+  }
+  const phone = parsePhoneNumberFromString(value, country);
+  return phone && phone.isPossible() ? phone.number : null;
+}
+
+// Emails are compared and stored trimmed and in lower case
+function normalizeEmail(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+module.exports = { toE164, normalizeEmail };
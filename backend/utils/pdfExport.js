@@ -1,88 +1,198 @@
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const Tag = require('../models/Tag');
+const { describeFilters, parseTagFilter } = require('./customerQuery');
+const { CONTACT_LIST_NAMES, listToText } = require('./contacts');
+
+// Relative column widths; the selected columns share the page width
+const COLUMN_WEIGHTS = {
+  id: 0.5,
+  first_name: 1,
+  last_name: 1,
+  email: 1.6,
+  phone: 1,
+  address: 2,
+  date_created: 1.2,
+  addresses: 2.2,
+  phones: 1.4,
+  emails: 1.8
+};
+
+const ORIENTATIONS = ['portrait', 'landscape'];
+const DEFAULT_TITLE = 'Customer List';
+const MAX_TITLE_LENGTH = 120;
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const CELL_PADDING = 4;
+const HEADER_FONT = 'Helvetica-Bold';
+const BODY_FONT = 'Helvetica';
+const TABLE_FONT_SIZE = 9;
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidQueryError';
+  return error;
+}
 
-function exportToPDF(customers) {
-  return new Promise((resolve, reject) => {
-    
-    // 🔍 Validation: No data
-    if (!customers || customers.length === 0) {
-      return reject(new Error("No data available. PDF cannot be generated."));
-    }
+// Report options from the query string, validated before any output is sent
+async function parsePDFOptions(query) {
+  const orientation = (query.orientation || 'portrait').toLowerCase();
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw invalidQuery(`orientation must be one of: ${ORIENTATIONS.join(', ')}`);
+  }
 
-    const filePath = path.join(__dirname, '../exports', `customers_${Date.now()}.pdf`);
+  const title = String(query.title || DEFAULT_TITLE).trim().slice(0, MAX_TITLE_LENGTH) || DEFAULT_TITLE;
+  const tagFilter = parseTagFilter(query);
+  const tags = tagFilter ? await Tag.findAll({ where: { id: tagFilter.ids }, raw: true }) : [];
+  const tagNames = Object.fromEntries(tags.map(tag => [tag.id, tag.name]));
 
-    // Ensure exports directory exists
-    const exportDir = path.join(__dirname, '../exports');
-    if (!fs.existsSync(exportDir)) {
-      fs.mkdirSync(exportDir, { recursive: true });
-    }
+  return { orientation, title, filters: describeFilters(query, tagNames), sort: `${query.sort || 'date_created'} ${(query.order || 'desc').toLowerCase()}` };
+}
+
+function formatCell(customer, columnId) {
+  const value = customer[columnId];
+  if (value === null || value === undefined) return '';
+  if (columnId === 'date_created') return new Date(value).toLocaleString();
+  if (CONTACT_LIST_NAMES.includes(columnId)) return listToText(columnId, value);
+  return String(value);
+}
+
+// Split the usable page width between the selected columns
+function layoutColumns(doc, columns) {
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + COLUMN_WEIGHTS[column.id], 0);
+  let x = MARGIN;
+
+  return columns.map(column => {
+    const width = tableWidth * COLUMN_WEIGHTS[column.id] / totalWeight;
+    const cell = { ...column, x: x + CELL_PADDING, width: width - CELL_PADDING * 2 };
+    x += width;
+    return cell;
+  });
+}
+
+// Tallest wrapped cell decides the row height
+function rowHeight(doc, layout, cells) {
+  return Math.max(...cells.map((text, i) => doc.heightOfString(text || ' ', { width: layout[i].width }))) + CELL_PADDING * 2;
+}
 
-    const doc = new PDFDocument({ margin: 50 });
-    const stream = fs.createWriteStream(filePath);
+function drawRow(doc, layout, cells, y, { font, fill }) {
+  const height = rowHeight(doc.font(font), layout, cells);
+  const left = MARGIN;
+  const right = doc.page.width - MARGIN;
+
+  if (fill) {
+    doc.save().rect(left, y, right - left, height).fill(fill).restore();
+  }
+  doc.fillColor('black');
+  cells.forEach((text, i) => doc.text(text, layout[i].x, y + CELL_PADDING, { width: layout[i].width }));
+  doc.moveTo(left, y + height).lineTo(right, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  return height;
+}
+
+function drawTableHeader(doc, layout, y) {
+  return drawRow(doc, layout, layout.map(column => column.title), y, { font: HEADER_FONT, fill: '#e8f0f7' });
+}
 
+function drawSummary(doc, summary, y) {
+  const lines = [`Total customers: ${summary.count}`];
+  if (summary.first && summary.last) {
+    lines.push(`Created between ${summary.first.toLocaleDateString()} and ${summary.last.toLocaleDateString()}`);
+  }
+
+  const height = 20 + lines.length * 14;
+  if (y + height > doc.page.height - MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+    y = MARGIN;
+  }
+
+  doc.font(HEADER_FONT).fontSize(11).text('Summary', MARGIN, y + 10);
+  doc.font(BODY_FONT).fontSize(TABLE_FONT_SIZE);
+  lines.forEach(line => doc.text(line, MARGIN));
+}
+
+// "Page X of Y" needs the final page count, so pages stay buffered until the end
+function drawPageFooters(doc, title) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const y = doc.page.height - MARGIN + 10;
+    // Writing inside the bottom margin would otherwise trigger a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(BODY_FONT).fontSize(8).fillColor('#666666');
+    doc.text(title, MARGIN, y, { width: doc.page.width - MARGIN * 2, align: 'left', lineBreak: false });
+    doc.text(`Page ${i - start + 1} of ${count}`, MARGIN, y, { width: doc.page.width - MARGIN * 2, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+// Stream customers (an async iterable of plain objects) as a PDF report to a writable stream.
+// Options: columns, plus orientation, title, filters and sort from parsePDFOptions.
+function exportToPDF(customers, stream, { columns, orientation = 'portrait', title = DEFAULT_TITLE, filters = [], sort }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: MARGIN, layout: orientation, bufferPages: true });
     doc.pipe(stream);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
 
-    // Header
-    doc.fontSize(20).text('Customer List', { align: 'center' });
+    // Title
+    doc.font(HEADER_FONT).fontSize(20).text(title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font(BODY_FONT).fontSize(10).text(`Generated on: ${new Date().toLocaleString()}`, { align: 'center' });
     doc.moveDown();
-    doc.fontSize(10).text(`Generated on: ${new Date().toLocaleString()}`, { align: 'center' });
-    doc.moveDown(2);
-
-    // Table setup
-    const tableTop = 150;
-    const itemHeight = 30;
-    let y = tableTop;
-
-    // Table headers
-    doc.fontSize(10).font('Helvetica-Bold');
-    doc.text('ID', 50, y, { width: 30 });
-    doc.text('Name', 85, y, { width: 120 });
-    doc.text('Email', 210, y, { width: 150 });
-    doc.text('Phone', 365, y, { width: 100 });
-
-    // Draw header line
-    doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
-    y += itemHeight;
-
-    // Table content
-    doc.font('Helvetica').fontSize(9);
-
-    customers.forEach((customer, i) => {
-      // New page if needed
-      if (y > 700) {
-        doc.addPage();
-        y = 50;
-      }
 
-      const fullName = `${customer.first_name} ${customer.last_name}`;
+    // Applied filters
+    doc.fontSize(9).fillColor('#444444');
+    doc.text(`Filters: ${filters.length > 0 ? filters.join('; ') : 'none'}`, MARGIN);
+    if (sort) {
+      doc.text(`Sorted by: ${sort}`, MARGIN);
+    }
+    doc.fillColor('black').moveDown();
 
-      doc.text(customer.id, 50, y, { width: 30 });
-      doc.text(fullName, 85, y, { width: 120 });
-      doc.text(customer.email, 210, y, { width: 150 });
-      doc.text(customer.phone, 365, y, { width: 100 });
+    const layout = layoutColumns(doc, columns);
+    const pageBottom = () => doc.page.height - MARGIN - FOOTER_HEIGHT;
 
-      y += itemHeight;
+    doc.fontSize(TABLE_FONT_SIZE);
+    let y = doc.y;
+    y += drawTableHeader(doc, layout, y);
 
-      // Draw separator line
-      if (i < customers.length - 1) {
-        doc.moveTo(50, y - 15).lineTo(550, y - 15).stroke();
-      }
-    });
+    (async () => {
+      const summary = { count: 0, first: null, last: null };
 
-    // Footer
-    doc.fontSize(8).text(
-      `Total Customers: ${customers.length}`,
-      50,
-      y + 20,
-      { align: 'center' }
-    );
+      for await (const customer of customers) {
+        // Stop querying once the client has gone away
+        if (stream.destroyed) {
+          throw new Error('Export stream closed');
+        }
 
-    doc.end();
+        const cells = layout.map(column => formatCell(customer, column.id));
 
-    stream.on('finish', () => resolve(filePath));
-    stream.on('error', reject);
+        // New page with a repeated header when the row does not fit
+        if (y + rowHeight(doc.font(BODY_FONT), layout, cells) > pageBottom()) {
+          doc.addPage();
+          y = MARGIN;
+          y += drawTableHeader(doc, layout, y);
+        }
+
+        y += drawRow(doc, layout, cells, y, { font: BODY_FONT, fill: summary.count % 2 === 1 ? '#f8f9fa' : null });
+
+        summary.count++;
+        const created = customer.date_created ? new Date(customer.date_created) : null;
+        if (created) {
+          if (!summary.first || created < summary.first) summary.first = created;
+          if (!summary.last || created > summary.last) summary.last = created;
+        }
+      }
+
+      drawSummary(doc, summary, y);
+      drawPageFooters(doc, title);
+      doc.end();
+    })().catch(err => {
+      doc.unpipe(stream);
+      reject(err);
+    });
   });
 }
 
-module.exports = { exportToPDF };
+module.exports = { exportToPDF, parsePDFOptions };
@@ -0,0 +1,145 @@
+const PDFDocument = require('pdfkit');
+const { formatAddress } = require('./contacts');
+
+const MARGIN = 50;
+const LABEL_WIDTH = 110;
+
+// Most recent history entries shown on the sheet
+const HISTORY_LIMIT = 10;
+
+const FIELDS = [
+  { id: 'id', title: 'Customer ID' },
+  { id: 'first_name', title: 'First Name' },
+  { id: 'last_name', title: 'Last Name' },
+  { id: 'email', title: 'Email' },
+  { id: 'phone', title: 'Phone' },
+  { id: 'address', title: 'Address' },
+  { id: 'date_created', title: 'Date Created' }
+];
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleString();
+  return String(value);
+}
+
+function sectionHeading(doc, text) {
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#4b62a2').text(text, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.5).fillColor('black');
+}
+
+function drawFields(doc, customer) {
+  const valueWidth = doc.page.width - MARGIN * 2 - LABEL_WIDTH;
+  FIELDS.forEach(({ id, title }) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(title, MARGIN, y, { width: LABEL_WIDTH });
+    doc.font('Helvetica').text(formatValue(customer[id]), MARGIN + LABEL_WIDTH, y, { width: valueWidth });
+    doc.moveDown(0.4);
+  });
+}
+
+// Audit entries, newest first
+function drawHistory(doc, history) {
+  if (history.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No recorded changes.', MARGIN);
+    return;
+  }
+
+  history.slice(0, HISTORY_LIMIT).forEach(entry => {
+    const fields = Object.keys(entry.changes || {}).join(', ');
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`${formatValue(entry.date_created)} · ${entry.action} by ${entry.actor_email || 'unknown'}`, MARGIN);
+    if (fields) {
+      doc.font('Helvetica').fillColor('#555555').text(`Fields: ${fields}`, MARGIN).fillColor('black');
+    }
+    doc.moveDown(0.3);
+  });
+
+  if (history.length > HISTORY_LIMIT) {
+    doc.font('Helvetica-Oblique').fontSize(9).text(`…and ${history.length - HISTORY_LIMIT} earlier change(s)`, MARGIN);
+  }
+}
+
+// Profile section listing every address, phone and email (primary entries marked)
+function contactsSection(contacts) {
+  const groups = [
+    { title: 'Addresses', entries: contacts.addresses, line: entry => `${entry.type}: ${formatAddress(entry)}` },
+    { title: 'Phones', entries: contacts.phones, line: entry => `${entry.label}: ${entry.number}` },
+    { title: 'Emails', entries: contacts.emails, line: entry => `${entry.label}: ${entry.email}` }
+  ];
+  return {
+    title: 'Contact Points',
+    draw(doc) {
+      const valueWidth = doc.page.width - MARGIN * 2 - LABEL_WIDTH;
+      groups.forEach(({ title, entries, line }) => {
+        const y = doc.y;
+        const text = entries.length > 0
+          ? entries.map(entry => `${line(entry)}${entry.is_primary ? ' (primary)' : ''}`).join('\n')
+          : '—';
+        doc.font('Helvetica-Bold').fontSize(10).text(title, MARGIN, y, { width: LABEL_WIDTH });
+        doc.font('Helvetica').text(text, MARGIN + LABEL_WIDTH, y, { width: valueWidth });
+        doc.moveDown(0.4);
+      });
+    }
+  };
+}
+
+// Profile section listing the most recent notes (newest first). Pass one note
+// more than `limit` to get an "and more" line.
+function notesSection(notes, limit) {
+  return {
+    title: 'Recent Interactions',
+    draw(doc) {
+      if (notes.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No recorded interactions.', MARGIN);
+        return;
+      }
+
+      notes.slice(0, limit).forEach(note => {
+        doc.font('Helvetica-Bold').fontSize(9)
+          .text(`${formatValue(note.occurred_at)} · ${note.type} by ${note.author_email || 'unknown'}`, MARGIN);
+        doc.font('Helvetica').text(note.body, MARGIN);
+        doc.moveDown(0.3);
+      });
+
+      if (notes.length > limit) {
+        doc.font('Helvetica-Oblique').fontSize(9).text('…and earlier interactions', MARGIN);
+      }
+    }
+  };
+}
+
+// Write a profile sheet for one customer. `sections` are optional extra blocks
+// ({ title, draw(doc) }) for related records such as notes.
+function exportProfilePDF(customer, stream, { history = [], sections = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: MARGIN });
+    doc.pipe(stream);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).text(`${customer.first_name} ${customer.last_name}`, { align: 'center' });
+    doc.font('Helvetica').fontSize(10).fillColor('#666666')
+      .text(`Customer profile · Generated on: ${new Date().toLocaleString()}`, { align: 'center' })
+      .fillColor('black');
+
+    sectionHeading(doc, 'Details');
+    drawFields(doc, customer);
+
+    sections.forEach(section => {
+      sectionHeading(doc, section.title);
+      section.draw(doc, { margin: MARGIN });
+    });
+
+    sectionHeading(doc, 'History');
+    drawHistory(doc, history);
+
+    doc.end();
+  });
+}
+
+module.exports = { exportProfilePDF, contactsSection, notesSection };
@@ -0,0 +1,48 @@
+// Counters for rate limiting. A store keeps, per key, a count that starts over
+// once its window has passed. Any object with the same three async methods can
+// replace MemoryStore (see setRateLimitStore in middleware/rateLimit.js), e.g. one
+// backed by Redis so several server processes share their counts:
+//
+//   increment(key, windowMs) -> { count, resetAt }   resetAt in ms since the epoch
+//   get(key)                 -> { count, resetAt } or null once the window has passed
+//   reset(key)
+
+// How often expired counters are dropped from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters in this process only; they are lost on restart
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    });
+  }
+}
+
+module.exports = { MemoryStore };
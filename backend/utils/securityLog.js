@@ -0,0 +1,12 @@
+// Security events (logins, lockouts, throttled clients) as one JSON line each,
+// prefixed with [security] so they are easy to pick out of the server log
+function logSecurityEvent(event, details = {}) {
+  const line = JSON.stringify({ event, at: new Date().toISOString(), ...details });
+  if (event === 'login_succeeded') {
+    console.log(`[security] ${line}`);
+  } else {
+    console.warn(`[security] ${line}`);
+  }
+}
+
+module.exports = { logSecurityEvent };
@@ -0,0 +1,35 @@
+const { listToText, publicEntry } = require('./contacts');
+
+// Write a chunk, waiting for the stream to drain when its buffer is full.
+// Rejects if the client goes away so an export stops querying.
+function write(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      return reject(new Error('Export stream closed'));
+    }
+    if (stream.write(chunk)) {
+      return resolve();
+    }
+    const onDrain = () => { stream.off('close', onClose); resolve(); };
+    const onClose = () => { stream.off('drain', onDrain); reject(new Error('Export stream closed')); };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+// Keep only the selected columns, with dates as ISO strings. List columns become
+// arrays of entries, or one line of text with listsAsText (for flat formats like CSV).
+function pickColumns(customer, columns, { listsAsText = false } = {}) {
+  const record = {};
+  columns.forEach(({ id, list }) => {
+    const value = customer[id];
+    if (list) {
+      record[id] = listsAsText ? listToText(id, value) : (value || []).map(entry => publicEntry(id, entry));
+    } else {
+      record[id] = id === 'date_created' && value ? new Date(value).toISOString() : value;
+    }
+  });
+  return record;
+}
+
+module.exports = { write, pickColumns };
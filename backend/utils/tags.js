@@ -0,0 +1,56 @@
+const Tag = require('../models/Tag');
+require('../models/CustomerTag');
+
+// Include for loading a customer's tags as { id, name, color }
+const TAG_INCLUDE = { model: Tag, as: 'tags', attributes: ['id', 'name', 'color'], through: { attributes: [] } };
+
+function tagError(message) {
+  const error = new Error(message);
+  error.name = 'TagError';
+  return error;
+}
+
+// Load tags by id, failing on any id that does not exist
+async function findTags(ids, transaction) {
+  if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+    throw tagError('tag_ids must be an array of tag ids');
+  }
+
+  const unique = [...new Set(ids.map(Number))];
+  const tags = await Tag.findAll({ where: { id: unique }, transaction });
+  const missing = unique.filter(id => !tags.some(tag => tag.id === id));
+  if (missing.length > 0) {
+    throw tagError(`Unknown tags: ${missing.join(', ')}`);
+  }
+  return tags;
+}
+
+// Tag names as one audit value (null when untagged)
+function tagSummary(tags) {
+  return tags.map(tag => tag.name).sort().join(', ') || null;
+}
+
+// Audit changes for a customer's tags; empty when they did not change
+function tagChanges(before, after) {
+  const oldValue = tagSummary(before);
+  const newValue = tagSummary(after);
+  return oldValue === newValue ? {} : { tags: { before: oldValue, after: newValue } };
+}
+
+// Replace (set) or adjust (add/remove) a customer's tags. Resolves to the audit changes.
+async function changeCustomerTags(customer, { set, add = [], remove = [] }, transaction) {
+  const before = await customer.getTags({ transaction });
+  if (set) {
+    await customer.setTags(set, { transaction });
+  }
+  if (add.length > 0) {
+    await customer.addTags(add, { transaction });
+  }
+  if (remove.length > 0) {
+    await customer.removeTags(remove, { transaction });
+  }
+  const after = await customer.getTags({ transaction });
+  return tagChanges(before, after);
+}
+
+module.exports = { TAG_INCLUDE, findTags, changeCustomerTags, tagChanges };
@@ -0,0 +1,49 @@
+const { Op } = require('sequelize');
+const Customer = require('../models/Customer');
+const sequelize = require('../config/database');
+const { recordAudit } = require('./audit');
+const config = require('../config');
+
+// Days a deleted customer stays in the trash before it can be purged
+const DEFAULT_RETENTION_DAYS = config.trashRetentionDays;
+
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+function retentionCutoff(retentionDays) {
+  return new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+}
+
+// Permanently delete customers that have been in the trash longer than retentionDays
+async function purgeExpired({ retentionDays = DEFAULT_RETENTION_DAYS, user = null } = {}) {
+  return sequelize.transaction(async (transaction) => {
+    const expired = await Customer.findAll({
+      where: { date_deleted: { [Op.lt]: retentionCutoff(retentionDays) } },
+      paranoid: false,
+      transaction
+    });
+
+    for (const customer of expired) {
+      // Keep the final values in the audit trail once the row is gone
+      await recordAudit({ action: 'purge', entityId: customer.id, user, before: customer.toJSON(), transaction });
+      await customer.destroy({ force: true, transaction });
+    }
+
+    return expired.length;
+  });
+}
+
+// Purge expired trash now and then once a day
+function scheduleTrashPurge() {
+  const run = () => purgeExpired()
+    .then(count => {
+      if (count > 0) {
+        console.log(`Purged ${count} customer(s) from the trash`);
+      }
+    })
+    .catch(err => console.error('Error purging trash:', err));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { purgeExpired, scheduleTrashPurge, DEFAULT_RETENTION_DAYS };
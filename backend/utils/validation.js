@@ -0,0 +1,12 @@
+// Field-level 400 shared by request validation (middleware/validate.js) and model validation.
+// errors: [{ field, message }] where field says where the problem is, e.g. body.email or query.limit.
+function sendValidationError(res, errors) {
+  res.status(400).json({ success: false, message: 'Validation error', errors });
+}
+
+// A SequelizeValidationError as field errors; the values come from the request body
+function modelFieldErrors(error) {
+  return error.errors.map(e => ({ field: `body.${e.path}`, message: e.message }));
+}
+
+module.exports = { sendValidationError, modelFieldErrors };
@@ -0,0 +1,70 @@
+const { write } = require('./streamWrite');
+
+// Escape a vCard text value (RFC 6350 section 3.4)
+function escapeValue(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+// Fold lines longer than 75 octets, continuing with a leading space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// TYPE parameter: fixed types, the entry's label when it is a plain word, and PREF for the primary entry
+function typeParam(types, label, isPrimary) {
+  const all = [...types];
+  if (label && /^[A-Za-z0-9-]+$/.test(label)) all.push(label.toUpperCase());
+  if (isPrimary) all.push('PREF');
+  return all.length > 0 ? `;TYPE=${all.join(',')}` : '';
+}
+
+// vCard 3.0 for one customer (a plain object with the Customer model fields).
+// When the customer carries its contact lists every entry is written; otherwise
+// the email, phone and free-text address columns are used.
+function toVCard(customer) {
+  const emails = customer.emails && customer.emails.length > 0 ? customer.emails : [{ email: customer.email }];
+  const phones = customer.phones && customer.phones.length > 0 ? customer.phones : [{ number: customer.phone }];
+  const addresses = customer.addresses && customer.addresses.length > 0 ? customer.addresses : [{ street: customer.address }];
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `UID:customer-${customer.id}`,
+    `N:${escapeValue(customer.last_name)};${escapeValue(customer.first_name)};;;`,
+    `FN:${escapeValue(`${customer.first_name} ${customer.last_name}`)}`,
+    ...emails.map(entry => `EMAIL${typeParam(['INTERNET'], entry.label, entry.is_primary)}:${escapeValue(entry.email)}`),
+    ...phones.map(entry => `TEL${typeParam(['VOICE'], entry.label, entry.is_primary)}:${escapeValue(entry.number)}`),
+    // ADR components: PO box;extended;street;locality;region;postal code;country
+    ...addresses.map(entry => `ADR${typeParam([], entry.type === 'other' ? null : entry.type, entry.is_primary)}:;;` +
+      [entry.street, entry.city, entry.province, entry.postal_code, entry.country].map(escapeValue).join(';'))
+  ];
+  if (customer.date_created) {
+    lines.push(`REV:${new Date(customer.date_created).toISOString()}`);
+  }
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Stream customers as a multi-contact .vcf file (exporter interface; columns do not apply)
+async function exportToVCF(customers, stream) {
+  for await (const customer of customers) {
+    await write(stream, toVCard(customer));
+  }
+  stream.end();
+}
+
+module.exports = { toVCard, exportToVCF };
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Deliveries older than this are refused by verifySignature, so a captured request
+// cannot be replayed later
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret, as "sha256=<hex>"
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// What a receiver does with the X-Webhook-Timestamp and X-Webhook-Signature headers
+// and the raw request body
+function verifySignature(secret, timestamp, body, signature, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Customer = require('../models/Customer');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload } = require('./webhookSignature');
+const config = require('../config');
+const { name, version } = require('../package.json');
+
+const { maxAttempts: MAX_ATTEMPTS, retryBaseSeconds: RETRY_BASE_SECONDS, timeoutMs: TIMEOUT_MS } = config.webhooks;
+
+// How often due retries are looked for; new events are sent as soon as they commit
+const POLL_INTERVAL_MS = 5000;
+
+// Deliveries sent at the same time
+const BATCH_SIZE = 10;
+
+// Response text kept in the delivery log
+const MAX_RESPONSE_LENGTH = 1000;
+
+// How long a claimed delivery is left to its sender. A claim still there afterwards
+// was left by a process that stopped mid-send, and the delivery is sent again.
+const CLAIM_MS = TIMEOUT_MS + 60 * 1000;
+
+// Event sent for each audited customer action
+const EVENT_FOR_ACTION = {
+  create: 'customer.created',
+  update: 'customer.updated',
+  merge: 'customer.updated',
+  restore: 'customer.updated',
+  delete: 'customer.deleted',
+  purge: 'customer.deleted'
+};
+
+function webhookError(message) {
+  const error = new Error(message);
+  error.name = 'WebhookError';
+  return error;
+}
+
+// Wait before attempt number `attempts + 1`: the base doubles each time, plus up to
+// 10% so receivers coming back up are not hit by every retry at once
+function retryDelayMs(attempts) {
+  const delay = RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+let running = false;
+let runAgain = false;
+
+// Send every delivery that is due. Calls made while a run is going on start one more
+// run afterwards instead of overlapping it.
+function runDeliveries() {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+  deliverDue()
+    .catch(error => console.error('Error delivering webhooks:', error))
+    .finally(() => {
+      running = false;
+      if (runAgain) {
+        runAgain = false;
+        runDeliveries();
+      }
+    });
+}
+
+// Store one delivery per active subscription to the event. Pass the transaction of
+// the change so the deliveries only exist (and are only sent) if it commits.
+async function queueCustomerEvent({ action, customerId, user, changes, transaction }) {
+  const event = EVENT_FOR_ACTION[action];
+  if (!event) {
+    return [];
+  }
+
+  const subscriptions = (await WebhookSubscription.findAll({ where: { active: true }, transaction }))
+    .filter(subscription => subscription.subscribesTo(event));
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  // A customer merged away with loser_action=delete is already gone
+  const customer = await Customer.findByPk(customerId, { paranoid: false, transaction });
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    action,
+    occurred_at: new Date().toISOString(),
+    actor: user ? { id: user.id, email: user.email } : null,
+    data: {
+      customer: customer ? customer.toJSON() : { id: customerId },
+      changes
+    }
+  };
+
+  const deliveries = await WebhookDelivery.bulkCreate(subscriptions.map(subscription => ({
+    subscription_id: subscription.id,
+    event,
+    event_id: payload.id,
+    payload,
+    next_attempt_at: new Date()
+  })), { transaction });
+
+  if (transaction) {
+    transaction.afterCommit(runDeliveries);
+  } else {
+    runDeliveries();
+  }
+  return deliveries;
+}
+
+// Send every delivery that is due, including ones whose claim ran out
+async function deliverDue() {
+  for (;;) {
+    const due = await WebhookDelivery.findAll({
+      where: { status: ['pending', 'sending'], next_attempt_at: { [Op.lte]: new Date() } },
+      // Deliveries to an inactive subscription wait for it
+      include: [{ model: WebhookSubscription, as: 'subscription', where: { active: true }, required: true }],
+      order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    await Promise.all(due.map(async delivery => {
+      if (await claimDelivery(delivery)) {
+        await attemptDelivery(delivery);
+      }
+    }));
+    if (due.length < BATCH_SIZE) {
+      return;
+    }
+  }
+}
+
+// Mark a delivery as being sent, unless another server process got to it since it
+// was read. Only the process whose update changed the row sends it.
+async function claimDelivery(delivery) {
+  const claim = { status: 'sending', next_attempt_at: new Date(Date.now() + CLAIM_MS) };
+  const [claimed] = await WebhookDelivery.update(claim, {
+    where: {
+      id: delivery.id,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      next_attempt_at: delivery.next_attempt_at
+    }
+  });
+  if (claimed === 0) {
+    return false;
+  }
+  delivery.set(claim, { raw: true });
+  return true;
+}
+
+// POST the payload once and record the outcome; 2xx is success, anything else is retried
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  let statusCode = null;
+  let responseText = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${name}/${version}`,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(delivery.subscription.secret, timestamp, body)
+      },
+      body,
+      // A redirect is reported rather than followed, so the payload only goes where it was configured to
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    responseText = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+    if (!response.ok) {
+      error = `Receiver answered ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError'
+      ? `No response within ${TIMEOUT_MS} ms`
+      : (err.cause && err.cause.message) || err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const finished = !error || attempts >= MAX_ATTEMPTS;
+  await delivery.update({
+    attempts,
+    status: error ? (finished ? 'failed' : 'pending') : 'success',
+    next_attempt_at: finished ? null : new Date(Date.now() + retryDelayMs(attempts)),
+    last_attempt_at: new Date(started),
+    last_status_code: statusCode,
+    last_error: error ? error.slice(0, 500) : null,
+    last_response: responseText,
+    duration_ms: Date.now() - started,
+    delivered_at: error ? null : new Date()
+  });
+}
+
+// Send a finished delivery again as a new delivery with the same event id and payload
+async function replayDelivery(delivery) {
+  if (delivery.status === 'pending' || delivery.status === 'sending') {
+    throw webhookError(`Delivery is still ${delivery.status}; it will be retried automatically`);
+  }
+
+  const replay = await WebhookDelivery.create({
+    subscription_id: delivery.subscription_id,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    replay_of: delivery.id,
+    next_attempt_at: new Date()
+  });
+  await delivery.update({ replayed_at: new Date() });
+
+  runDeliveries();
+  return replay;
+}
+
+// Replay every failed delivery of a subscription that was not replayed yet
+async function replayFailed(subscriptionId) {
+  const failed = await WebhookDelivery.findAll({
+    where: { subscription_id: subscriptionId, status: 'failed', replayed_at: null },
+    order: [['id', 'ASC']]
+  });
+
+  const replays = [];
+  for (const delivery of failed) {
+    replays.push(await replayDelivery(delivery));
+  }
+  return replays;
+}
+
+// Send due deliveries now and then every few seconds
+function scheduleWebhookDeliveries() {
+  runDeliveries();
+  setInterval(runDeliveries, POLL_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  deliverDue,
+  queueCustomerEvent,
+  replayDelivery,
+  replayFailed,
+  runDeliveries,
+  scheduleWebhookDeliveries,
+  EVENT_FOR_ACTION,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,69 @@
+const ExcelJS = require('exceljs');
+const { CONTACT_LIST_NAMES, listToText } = require('./contacts');
+
+// Rows buffered to measure column widths before the first row is written
+const SAMPLE_ROWS = 200;
+const MIN_WIDTH = 6;
+const MAX_WIDTH = 60;
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+function cellValue(customer, columnId) {
+  const value = customer[columnId];
+  if (columnId === 'date_created' && value) {
+    return new Date(value);
+  }
+  if (CONTACT_LIST_NAMES.includes(columnId)) {
+    return listToText(columnId, value);
+  }
+  return value;
+}
+
+function displayLength(value) {
+  if (value instanceof Date) return DATE_FORMAT.length;
+  return value === null || value === undefined ? 0 : String(value).length;
+}
+
+// Stream customers as an Excel workbook: typed date cells, frozen header row,
+// and columns sized to fit the header and the first rows
+async function exportToXLSX(customers, stream, { columns }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Customers', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  const iterator = customers[Symbol.asyncIterator]();
+  const sample = [];
+  while (sample.length < SAMPLE_ROWS) {
+    const { value, done } = await iterator.next();
+    if (done) break;
+    sample.push(columns.map(column => cellValue(value, column.id)));
+  }
+
+  worksheet.columns = columns.map((column, i) => ({
+    header: column.title,
+    key: column.id,
+    width: Math.min(Math.max(column.title.length, ...sample.map(row => displayLength(row[i])), MIN_WIDTH) + 2, MAX_WIDTH),
+    style: column.id === 'date_created' ? { numFmt: DATE_FORMAT } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  const addRow = values => {
+    // Stop querying once the client has gone away
+    if (stream.destroyed) {
+      throw new Error('Export stream closed');
+    }
+    worksheet.addRow(values).commit();
+  };
+
+  sample.forEach(addRow);
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    addRow(columns.map(column => cellValue(next.value, column.id)));
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+module.exports = { exportToXLSX };
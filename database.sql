@@ -1,20 +0,0 @@
-CREATE DATABASE IF NOT EXISTS customer_management;
-USE customer_management;
-
--- Create customers table
-CREATE TABLE IF NOT EXISTS customers (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    first_name VARCHAR(100) NOT NULL,
-    last_name VARCHAR(100) NOT NULL,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    phone VARCHAR(20) NOT NULL,
-    address TEXT NOT NULL,
-    date_created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    date_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    INDEX idx_email (email),
-    INDEX idx_date_created (date_created)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-
--- Insert sample data (optional)
--- INSERT INTO customers (first_name, last_name, email, phone, address)
--- VALUES ('John', 'Gelay', 'example@example.com', '09661748034', 'Borromeo St. Kalubihan Cebu City Cebu');
@@ -1,100 +1,1484 @@
 // API Configuration
-        const API_URL = 'http://localhost:3000/api/customers';
+        // API location comes from assets/js/config.js
+        const API_BASE_URL = window.APP_CONFIG.apiBaseUrl;
+        const API_URL = `${API_BASE_URL}/customers`;
+        const TAGS_API_URL = `${API_BASE_URL}/tags`;
+        const AUTH_API_URL = `${API_BASE_URL}/auth`;
+
+        // Logged-in user (with role permissions), refreshed from the server on load
+        let currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+
+        // Fetch wrapper that sends the JWT and returns to the login page when it is rejected
+        async function apiFetch(url, options = {}) {
+            const headers = { ...options.headers, Authorization: `Bearer ${localStorage.getItem('token')}` };
+            const response = await fetch(url, { ...options, headers });
+
+            if (response.status === 401) {
+                localStorage.removeItem('token');
+                localStorage.removeItem('user');
+                window.location.href = 'index.html';
+                throw new Error('Session expired');
+            }
+            return response;
+        }
+
+        // Current paging, sorting and filtering of the customer table
+        const listState = {
+            page: 1,
+            limit: 10,
+            sort: 'date_created',
+            order: 'desc',
+            filters: {}
+        };
+
+        // Active search terms (empty when the paged list is shown)
+        let searchTerms = [];
+        let searchTimer = null;
+        const SEARCH_DEBOUNCE_MS = 300;
+
+        // Rows picked for bulk actions. allMatching targets every customer matching the filters.
+        const selection = {
+            ids: new Set(),
+            allMatching: false
+        };
 
         // Load customers on page load
-        document.addEventListener('DOMContentLoaded', () => {
+        document.addEventListener('DOMContentLoaded', async () => {
+            await loadCurrentUser();
+            loadTags();
             loadCustomers();
+            connectLiveUpdates();
         });
 
-        // Show/Hide Forms
-        function showCreateForm() {
-            document.getElementById('createFormSection').classList.add('active');
-            document.getElementById('editFormSection').classList.remove('active');
-            document.getElementById('createForm').reset();
-            hideAlerts();
+        // Permissions
+        function can(permission) {
+            return Boolean(currentUser && currentUser.permissions && currentUser.permissions.includes(permission));
+        }
+
+        async function loadCurrentUser() {
+            try {
+                const response = await apiFetch(`${AUTH_API_URL}/me`);
+                const result = await response.json();
+                currentUser = result.user;
+                localStorage.setItem('user', JSON.stringify(currentUser));
+            } catch (error) {
+                console.error('Error loading current user:', error);
+            }
+            applyPermissions();
+        }
+
+        // Hide controls the current role may not use
+        function applyPermissions() {
+            document.querySelectorAll('[data-permission]').forEach(el => {
+                el.style.display = can(el.dataset.permission) ? '' : 'none';
+            });
+            if (currentUser) {
+                document.getElementById('currentUserInfo').textContent =
+                    `· ${currentUser.first_name} ${currentUser.last_name} (${currentUser.role})`;
+            }
+        }
+
+        // Show/Hide Forms
+        function showCreateForm() {
+            document.getElementById('createFormSection').classList.add('active');
+            document.getElementById('editFormSection').classList.remove('active');
+            document.getElementById('importFormSection').classList.remove('active');
+            document.getElementById('createForm').reset();
+            ['Emails', 'Phones', 'Addresses'].forEach(list => renderContactList(`create${list}`, list.toLowerCase()));
+            renderTagPicker('createTags', []);
+            hideAlerts();
+        }
+
+        function hideCreateForm() {
+            document.getElementById('createFormSection').classList.remove('active');
+        }
+
+        function showImportForm() {
+            document.getElementById('importFormSection').classList.add('active');
+            document.getElementById('createFormSection').classList.remove('active');
+            document.getElementById('editFormSection').classList.remove('active');
+            document.getElementById('importForm').reset();
+            resetImportMapping();
+            hideAlerts();
+        }
+
+        function hideImportForm() {
+            document.getElementById('importFormSection').classList.remove('active');
+        }
+
+        function showEditForm() {
+            document.getElementById('editFormSection').classList.add('active');
+            document.getElementById('createFormSection').classList.remove('active');
+            document.getElementById('importFormSection').classList.remove('active');
+            hideAlerts();
+        }
+
+        function hideEditForm() {
+            document.getElementById('editFormSection').classList.remove('active');
+            document.getElementById('historyPanel').classList.remove('active');
+        }
+
+        // Change history of the customer being edited
+        function toggleHistory() {
+            const panel = document.getElementById('historyPanel');
+            if (panel.classList.toggle('active')) {
+                loadHistory(document.getElementById('editCustomerId').value);
+            }
+        }
+
+        async function loadHistory(id) {
+            const list = document.getElementById('historyList');
+            list.innerHTML = '<li class="loading">Loading history...</li>';
+
+            try {
+                const response = await apiFetch(`${API_URL}/${id}/history`);
+                const result = await response.json();
+
+                if (!result.success) {
+                    list.innerHTML = `<li class="empty-state">${escapeHtml(result.message)}</li>`;
+                    return;
+                }
+                if (result.data.length === 0) {
+                    list.innerHTML = '<li class="empty-state">No recorded changes.</li>';
+                    return;
+                }
+
+                list.innerHTML = result.data.map(entry => `
+                    <li>
+                        <div class="history-meta">
+                            <strong>${escapeHtml(entry.action)}</strong>
+                            by ${escapeHtml(entry.actor_email || 'unknown')}
+                            · ${formatDate(entry.date_created)}
+                        </div>
+                        <table class="history-diff">
+                            ${Object.entries(entry.changes).map(([field, change]) => `
+                                <tr>
+                                    <td>${escapeHtml(field)}</td>
+                                    <td class="history-before">${escapeHtml(String(change.before ?? '—'))}</td>
+                                    <td class="history-after">${escapeHtml(String(change.after ?? '—'))}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </li>
+                `).join('');
+            } catch (error) {
+                console.error('Error loading history:', error);
+                list.innerHTML = '<li class="empty-state">Failed to load history.</li>';
+            }
+        }
+
+        // Interaction timeline of the customer being edited, most recent first
+        const NOTE_ICONS = { call: '📞', email: '✉️', meeting: '🤝', note: '📝' };
+        const timelineState = { customerId: null, page: 1, notes: [] };
+
+        async function loadTimeline(page = 1) {
+            const list = document.getElementById('timelineList');
+            const moreBtn = document.getElementById('timelineMoreBtn');
+            if (page === 1) {
+                list.innerHTML = '<li class="loading">Loading timeline...</li>';
+            }
+
+            try {
+                const params = new URLSearchParams({ page, limit: 10 });
+                const response = await apiFetch(`${API_URL}/${timelineState.customerId}/notes?${params}`);
+                const result = await response.json();
+
+                if (!result.success) {
+                    list.innerHTML = `<li class="empty-state">${escapeHtml(result.message)}</li>`;
+                    return;
+                }
+
+                timelineState.page = page;
+                timelineState.notes = page === 1 ? result.data : timelineState.notes.concat(result.data);
+                moreBtn.style.display = result.pagination.hasNext ? '' : 'none';
+                displayTimeline();
+            } catch (error) {
+                console.error('Error loading timeline:', error);
+                list.innerHTML = '<li class="empty-state">Failed to load timeline.</li>';
+            }
+        }
+
+        function canModifyNote(note) {
+            return Boolean(currentUser) && (note.author_id === currentUser.id || can('delete'));
+        }
+
+        function displayTimeline() {
+            const list = document.getElementById('timelineList');
+
+            if (timelineState.notes.length === 0) {
+                list.innerHTML = '<li class="empty-state">No interactions recorded yet.</li>';
+                return;
+            }
+
+            list.innerHTML = timelineState.notes.map(note => `
+                <li class="timeline-item">
+                    <div class="history-meta">
+                        ${NOTE_ICONS[note.type] || ''} <strong>${escapeHtml(note.type)}</strong>
+                        by ${escapeHtml(note.author_email || 'unknown')}
+                        · ${formatDate(note.occurred_at)}
+                        ${note.date_updated && note.date_updated !== note.date_created ? '<em>(edited)</em>' : ''}
+                    </div>
+                    <div class="timeline-body">${escapeHtml(note.body)}</div>
+                    ${canModifyNote(note) ? `
+                        <div class="action-buttons">
+                            <button type="button" class="btn btn-warning btn-small" onclick="editNote(${note.id})">✏️ Edit</button>
+                            <button type="button" class="btn btn-danger btn-small" onclick="deleteNote(${note.id})">🗑️ Delete</button>
+                        </div>
+                    ` : ''}
+                </li>
+            `).join('');
+        }
+
+        // datetime-local inputs work in local time without a zone
+        function toLocalInputValue(dateString) {
+            const date = new Date(dateString);
+            return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        }
+
+        function resetNoteForm() {
+            document.getElementById('noteForm').reset();
+            document.getElementById('noteId').value = '';
+            document.getElementById('noteSubmitBtn').textContent = '💾 Add Note';
+        }
+
+        function editNote(id) {
+            const note = timelineState.notes.find(n => n.id === id);
+            document.getElementById('noteId').value = note.id;
+            document.getElementById('noteType').value = note.type;
+            document.getElementById('noteOccurredAt').value = toLocalInputValue(note.occurred_at);
+            document.getElementById('noteBody').value = note.body;
+            document.getElementById('noteSubmitBtn').textContent = '💾 Update Note';
+            document.getElementById('noteBody').focus();
+        }
+
+        async function saveNote(event) {
+            event.preventDefault();
+
+            const id = document.getElementById('noteId').value;
+            const occurredAt = document.getElementById('noteOccurredAt').value;
+            const noteData = {
+                type: document.getElementById('noteType').value,
+                body: document.getElementById('noteBody').value.trim()
+            };
+            if (occurredAt) {
+                noteData.occurred_at = new Date(occurredAt).toISOString();
+            }
+
+            const url = `${API_URL}/${timelineState.customerId}/notes${id ? `/${id}` : ''}`;
+            try {
+                const response = await apiFetch(url, {
+                    method: id ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(noteData)
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    resetNoteForm();
+                    loadTimeline(1);
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error saving note:', error);
+                showError('Error saving note. Please try again.');
+            }
+        }
+
+        async function deleteNote(id) {
+            if (!confirm('Delete this note?')) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`${API_URL}/${timelineState.customerId}/notes/${id}`, { method: 'DELETE' });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    loadTimeline(1);
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error deleting note:', error);
+                showError('Error deleting note. Please try again.');
+            }
+        }
+
+        // Alert Functions
+        function showSuccess(message) {
+            const alert = document.getElementById('successAlert');
+            alert.textContent = message;
+            alert.classList.add('show');
+            setTimeout(() => alert.classList.remove('show'), 5000);
+        }
+
+        function showError(message) {
+            const alert = document.getElementById('errorAlert');
+            alert.textContent = message;
+            alert.classList.add('show');
+            setTimeout(() => alert.classList.remove('show'), 5000);
+        }
+
+        // Message of a failed request; field errors ({ field, message }) are listed one by one
+        function errorText(result) {
+            if (!result.errors || result.errors.length === 0) {
+                return result.message;
+            }
+            return result.errors.map(error => {
+                if (typeof error === 'string') return error;
+                // "body.emails.0.email" -> "emails.0.email must match format..."
+                const field = error.field.replace(/^(body|query|path|headers)\./, '');
+                return /^must\b/.test(error.message) ? `${field} ${error.message}` : error.message;
+            }).join(', ');
+        }
+
+        function hideAlerts() {
+            document.getElementById('successAlert').classList.remove('show');
+            document.getElementById('errorAlert').classList.remove('show');
+        }
+
+        // Build the query string for the current table state
+        function buildListParams() {
+            const params = new URLSearchParams({
+                page: listState.page,
+                limit: listState.limit,
+                sort: listState.sort,
+                order: listState.order
+            });
+            Object.entries(listState.filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+            return params;
+        }
+
+        // Load one page of customers
+        async function loadCustomers() {
+            try {
+                const response = await apiFetch(`${API_URL}?${buildListParams()}`);
+                const result = await response.json();
+                
+                if (result.success) {
+                    // The current page may have emptied out (e.g. after a delete)
+                    if (result.data.length === 0 && result.pagination.page > 1) {
+                        return goToPage(result.pagination.totalPages);
+                    }
+                    displayCustomers(result.data);
+                    updatePager(result.pagination);
+                    updateSortIndicators();
+                } else {
+                    showError(errorText(result) || 'Failed to load customers');
+                }
+            } catch (error) {
+                console.error('Error loading customers:', error);
+                showError('Error connecting to server. Please make sure the backend is running.');
+                document.getElementById('customerTableBody').innerHTML = 
+                    '<tr><td colspan="10" class="empty-state">Failed to load customers. Please check your connection.</td></tr>';
+            }
+        }
+
+        // Search
+        function onSearchInput(value) {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => searchCustomers(value.trim()), SEARCH_DEBOUNCE_MS);
+        }
+
+        async function searchCustomers(query) {
+            const searchInfo = document.getElementById('searchInfo');
+            clearSelection();
+
+            if (!query) {
+                searchTerms = [];
+                searchInfo.textContent = '';
+                document.getElementById('filterForm').style.display = '';
+                document.getElementById('pager').style.display = '';
+                return loadCustomers();
+            }
+
+            try {
+                const response = await apiFetch(`${API_URL}/search?${new URLSearchParams({ q: query })}`);
+                const result = await response.json();
+
+                // Ignore responses for queries the user has already typed past
+                if (document.getElementById('searchInput').value.trim() !== query) return;
+
+                if (result.success) {
+                    searchTerms = result.terms;
+                    document.getElementById('filterForm').style.display = 'none';
+                    document.getElementById('pager').style.display = 'none';
+                    searchInfo.textContent = result.total > result.data.length
+                        ? `Top ${result.data.length} of ${result.total} matches`
+                        : `${result.total} match${result.total === 1 ? '' : 'es'}`;
+                    displayCustomers(result.data, 'No customers match your search.');
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error searching customers:', error);
+                showError('Error searching customers. Please try again.');
+            }
+        }
+
+        // Refresh whichever view is active (search results or paged list)
+        function refreshCustomers() {
+            if (searchTerms.length > 0) {
+                return searchCustomers(document.getElementById('searchInput').value.trim());
+            }
+            return loadCustomers();
+        }
+
+        // Display customers in table
+        function displayCustomers(customers, emptyMessage = 'No customers found. Add your first customer!') {
+            const tbody = document.getElementById('customerTableBody');
+            hideLiveNotice();
+            
+            if (customers.length === 0) {
+                tbody.innerHTML = `<tr><td colspan="10" class="empty-state">${emptyMessage}</td></tr>`;
+                return;
+            }
+            
+            tbody.innerHTML = customers.map(customerRowHtml).join('');
+            updateBulkBar();
+        }
+
+        function customerRowHtml(customer) {
+            return `
+                <tr data-id="${customer.id}">
+                    <td class="select-col">
+                        <input type="checkbox" class="row-select" value="${customer.id}"
+                            ${selection.allMatching || selection.ids.has(customer.id) ? 'checked' : ''}
+                            onchange="toggleRowSelection(${customer.id}, this.checked)">
+                    </td>
+                    <td>${customer.id}</td>
+                    <td>${highlight(customer.first_name)}</td>
+                    <td>${highlight(customer.last_name)}</td>
+                    <td>${highlight(customer.email)}</td>
+                    <td>${highlight(customer.phone, true)}</td>
+                    <td>${highlight(customer.address)}</td>
+                    <td>${(customer.tags || []).map(tagChip).join(' ')}</td>
+                    <td>${formatDate(customer.date_created)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            ${can('write') ? `<button class="btn btn-warning btn-small" onclick="editCustomer(${customer.id})">✏️ Edit</button>` : ''}
+                            ${can('delete') ? `<button class="btn btn-danger btn-small" onclick="deleteCustomer(${customer.id})">🗑️ Delete</button>` : ''}
+                            ${can('export') ? `<button class="btn btn-primary btn-small" title="Profile PDF" onclick="downloadProfile(${customer.id})">📄</button>` : ''}
+                            ${can('export') ? `<button class="btn btn-primary btn-small" title="vCard" onclick="downloadVCard(${customer.id})">📇</button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }
+
+        // Live updates: changes made by others arrive over the /customers/events stream and
+        // patch single rows. fetch() is used instead of EventSource because EventSource
+        // cannot send the Authorization header, so reconnecting is done here too.
+        const LIVE_RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+        const ROW_REMOVE_DELAY_MS = 1500;
+        const liveState = {
+            // Sent back as Last-Event-ID so a reconnect replays what was missed
+            lastEventId: null,
+            retries: 0
+        };
+
+        async function connectLiveUpdates() {
+            const headers = liveState.lastEventId === null ? {} : { 'Last-Event-ID': String(liveState.lastEventId) };
+            try {
+                const response = await apiFetch(`${API_URL}/events`, { headers });
+                if (!response.ok) {
+                    throw new Error(`Event stream answered ${response.status}`);
+                }
+                await readEventStream(response.body, handleLiveEvent);
+            } catch (error) {
+                console.error('Live updates disconnected:', error);
+            }
+
+            // The stream ended or failed; try again, waiting longer each time
+            setLiveStatus('reconnecting');
+            const delay = LIVE_RETRY_DELAYS_MS[Math.min(liveState.retries, LIVE_RETRY_DELAYS_MS.length - 1)];
+            liveState.retries++;
+            setTimeout(connectLiveUpdates, delay);
+        }
+
+        // Parse text/event-stream messages ("id:", "event:" and "data:" lines separated by a
+        // blank line) and pass each one with its JSON data to onEvent
+        async function readEventStream(body, onEvent) {
+            const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) return;
+
+                buffer += value;
+                const blocks = buffer.split(/\r?\n\r?\n/);
+                buffer = blocks.pop();
+                blocks.forEach(block => {
+                    const message = { event: 'message', data: [] };
+                    block.split(/\r?\n/).forEach(line => {
+                        // Lines starting with ":" are keep-alive comments
+                        const match = line.match(/^([^:]+): ?(.*)$/);
+                        if (!match) return;
+                        if (match[1] === 'data') {
+                            message.data.push(match[2]);
+                        } else {
+                            message[match[1]] = match[2];
+                        }
+                    });
+                    if (message.data.length > 0) {
+                        onEvent({ ...message, data: JSON.parse(message.data.join('\n')) });
+                    }
+                });
+            }
+        }
+
+        function handleLiveEvent({ id, event, data }) {
+            if (id !== undefined) {
+                liveState.lastEventId = Number(id);
+            }
+
+            if (event === 'ready' || event === 'reset') {
+                liveState.retries = 0;
+                setLiveStatus('connected');
+                // Too much was missed to patch row by row
+                if (event === 'reset') refreshCustomers();
+                return;
+            }
+
+            // Your own changes already reload the table
+            if (data.actor && currentUser && data.actor.id === currentUser.id) return;
+            patchCustomerRow(event, data);
+        }
+
+        function setLiveStatus(state) {
+            const status = document.getElementById('liveStatus');
+            status.className = `live-status ${state}`;
+            status.textContent = state === 'connected' ? '● Live' : '● Reconnecting…';
+            status.title = state === 'connected'
+                ? 'Changes made by others appear as they happen'
+                : 'Lost the connection for live updates; trying again';
+        }
+
+        // True when a new customer belongs at the top of the table as shown
+        function showsNewestFirst() {
+            return searchTerms.length === 0 && listState.page === 1 &&
+                listState.sort === 'date_created' && listState.order === 'desc' &&
+                Object.values(listState.filters).every(value => !value);
+        }
+
+        function patchCustomerRow(event, { customer_id, customer, actor }) {
+            const tbody = document.getElementById('customerTableBody');
+            const row = tbody.querySelector(`tr[data-id="${customer_id}"]`);
+            const who = actor ? actor.email : 'the system';
+
+            // Gone from the list: moved to the trash, deleted or merged away
+            if (!customer) {
+                if (!row) return;
+                markRowChanged(row, `Deleted by ${who}`);
+                row.classList.add('row-removed');
+                selection.ids.delete(customer_id);
+                setTimeout(() => {
+                    row.remove();
+                    if (!tbody.querySelector('tr[data-id]')) refreshCustomers();
+                    updateBulkBar();
+                }, ROW_REMOVE_DELAY_MS);
+                return;
+            }
+
+            if (row) {
+                const updated = rowElement(customer);
+                row.replaceWith(updated);
+                markRowChanged(updated, `${event === 'customer.created' ? 'Added' : 'Updated'} by ${who}`);
+                return;
+            }
+
+            if (event !== 'customer.created') return;
+            if (!showsNewestFirst()) {
+                showLiveNotice(`New customer added by ${who}.`);
+                return;
+            }
+
+            const added = rowElement(customer);
+            const emptyRow = tbody.querySelector('.empty-state');
+            if (emptyRow) emptyRow.closest('tr').remove();
+            tbody.prepend(added);
+            markRowChanged(added, `Added by ${who}`);
+            const rows = tbody.querySelectorAll('tr[data-id]');
+            if (rows.length > listState.limit) rows[rows.length - 1].remove();
+        }
+
+        function rowElement(customer) {
+            const template = document.createElement('template');
+            template.innerHTML = customerRowHtml(customer).trim();
+            return template.content.firstElementChild;
+        }
+
+        // Highlight a row briefly and note who changed it
+        function markRowChanged(row, text) {
+            row.classList.add('row-changed');
+            const cell = row.lastElementChild;
+            const previous = cell.querySelector('.row-activity');
+            if (previous) previous.remove();
+            cell.insertAdjacentHTML('beforeend',
+                `<div class="row-activity" title="${new Date().toLocaleTimeString()}">${escapeHtml(text)}</div>`);
+        }
+
+        function showLiveNotice(text) {
+            document.getElementById('liveNoticeText').textContent = text;
+            document.getElementById('liveNotice').style.display = '';
+        }
+
+        function hideLiveNotice() {
+            document.getElementById('liveNotice').style.display = 'none';
+        }
+
+        // Pager
+        function updatePager(pagination) {
+            const { page, limit, total, totalPages, hasNext, hasPrev } = pagination;
+            const first = total === 0 ? 0 : (page - 1) * limit + 1;
+            const last = Math.min(page * limit, total);
+
+            document.getElementById('pagerInfo').textContent = `Showing ${first}-${last} of ${total} customers`;
+            document.getElementById('pageIndicator').textContent = `Page ${page} of ${totalPages}`;
+            document.getElementById('prevPageBtn').disabled = !hasPrev;
+            document.getElementById('nextPageBtn').disabled = !hasNext;
+            document.getElementById('pageSize').value = limit;
+            listState.total = total;
+        }
+
+        function goToPage(page) {
+            listState.page = Math.max(page, 1);
+            loadCustomers();
+        }
+
+        function changePageSize(limit) {
+            listState.limit = parseInt(limit, 10);
+            goToPage(1);
+        }
+
+        // Sorting
+        function sortBy(field) {
+            if (listState.sort === field) {
+                listState.order = listState.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                listState.sort = field;
+                listState.order = 'asc';
+            }
+            goToPage(1);
+        }
+
+        function updateSortIndicators() {
+            document.querySelectorAll('th.sortable').forEach(th => {
+                th.classList.remove('sorted-asc', 'sorted-desc');
+                if (th.dataset.sort === listState.sort) {
+                    th.classList.add(`sorted-${listState.order}`);
+                }
+            });
+        }
+
+        // Filters
+        function applyFilters(event) {
+            event.preventDefault();
+            listState.filters = {
+                last_name: document.getElementById('filterLastName').value.trim(),
+                created_from: document.getElementById('filterCreatedFrom').value,
+                created_to: document.getElementById('filterCreatedTo').value,
+                tags: checkedTagIds('filterTags').join(','),
+                tag_mode: document.getElementById('filterTagMode').value
+            };
+            clearSelection();
+            goToPage(1);
+        }
+
+        function clearFilters() {
+            document.getElementById('filterForm').reset();
+            listState.filters = {};
+            clearSelection();
+            goToPage(1);
+        }
+
+        // Bulk selection
+        function canBulkEdit() {
+            return can('write') || can('delete');
+        }
+
+        function selectedCount() {
+            return selection.allMatching ? listState.total : selection.ids.size;
+        }
+
+        function toggleRowSelection(id, checked) {
+            // Unticking one row turns "all matching" back into an explicit list of this page
+            if (selection.allMatching) {
+                selection.allMatching = false;
+                document.querySelectorAll('.row-select').forEach(box => selection.ids.add(Number(box.value)));
+            }
+            if (checked) {
+                selection.ids.add(id);
+            } else {
+                selection.ids.delete(id);
+            }
+            updateBulkBar();
+        }
+
+        function togglePageSelection(checked) {
+            document.querySelectorAll('.row-select').forEach(box => {
+                box.checked = checked;
+                toggleRowSelection(Number(box.value), checked);
+            });
+        }
+
+        function selectAllMatching() {
+            selection.allMatching = true;
+            selection.ids.clear();
+            document.querySelectorAll('.row-select').forEach(box => { box.checked = true; });
+            updateBulkBar();
+        }
+
+        function clearSelection() {
+            selection.allMatching = false;
+            selection.ids.clear();
+            document.querySelectorAll('.row-select').forEach(box => { box.checked = false; });
+            updateBulkBar();
+        }
+
+        function updateBulkBar() {
+            const count = selectedCount();
+            const boxes = [...document.querySelectorAll('.row-select')];
+            const pageSelected = boxes.length > 0 && boxes.every(box => box.checked);
+
+            document.querySelectorAll('.select-col').forEach(cell => {
+                cell.style.display = canBulkEdit() ? '' : 'none';
+            });
+            document.getElementById('selectPage').checked = pageSelected;
+            document.getElementById('bulkBar').classList.toggle('active', count > 0);
+            document.getElementById('bulkCount').textContent = selection.allMatching
+                ? `All ${count} matching customers selected`
+                : `${count} selected`;
+
+            // Offer to extend a full page selection to every matching customer (not for search results)
+            const offerAll = pageSelected && !selection.allMatching && searchTerms.length === 0 && listState.total > boxes.length;
+            const selectAllBtn = document.getElementById('selectAllMatchingBtn');
+            selectAllBtn.style.display = offerAll ? '' : 'none';
+            selectAllBtn.textContent = `Select all ${listState.total} matching customers`;
+        }
+
+        // Request body part that identifies the selected customers
+        function selectionTarget() {
+            if (selection.allMatching) {
+                return { filter: listState.filters };
+            }
+            return { ids: [...selection.ids] };
+        }
+
+        async function runBulkAction(action, body) {
+            try {
+                const response = await apiFetch(`${API_URL}/bulk/${action}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...selectionTarget(), ...body })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    clearSelection();
+                    refreshCustomers();
+                } else {
+                    const failed = result.data ? result.data.results.filter(item => item.errors) : [];
+                    const details = failed.map(item => `#${item.id}: ${item.errors.join(', ')}`).join('; ');
+                    showError(details ? `${result.message} (${details})` : errorText(result));
+                }
+            } catch (error) {
+                console.error(`Error running bulk ${action}:`, error);
+                showError(`Error running bulk ${action}. Please try again.`);
+            }
+        }
+
+        function bulkDeleteSelected() {
+            if (!confirm(`Move ${selectedCount()} customer(s) to the trash?`)) {
+                return;
+            }
+            runBulkAction('delete', {});
+        }
+
+        function bulkUpdateSelected() {
+            const field = document.getElementById('bulkField').value;
+            const value = document.getElementById('bulkValue').value.trim();
+
+            if (!value) {
+                showError('Please enter a value to set.');
+                return;
+            }
+            if (!confirm(`Set ${field} to "${value}" on ${selectedCount()} customer(s)?`)) {
+                return;
+            }
+            runBulkAction('update', { changes: { [field]: value } });
+        }
+
+        function bulkTagSelected(action) {
+            const tagId = Number(document.getElementById('bulkTag').value);
+            const tag = allTags.find(t => t.id === tagId);
+
+            if (!tag) {
+                showError('Please create a tag first.');
+                return;
+            }
+            const verb = action === 'add' ? `Add tag "${tag.name}" to` : `Remove tag "${tag.name}" from`;
+            if (!confirm(`${verb} ${selectedCount()} customer(s)?`)) {
+                return;
+            }
+            runBulkAction('tags', { [action]: [tagId] });
+        }
+
+        // Contact lists (emails, phones, addresses) in the create and edit forms.
+        // Each row has a "primary" radio; the primary entry fills the customer's email, phone and address.
+        const CONTACT_FIELDS = {
+            emails: [
+                { name: 'label', placeholder: 'Label (work, personal...)' },
+                { name: 'email', type: 'email', placeholder: 'Email', required: true }
+            ],
+            phones: [
+                { name: 'label', placeholder: 'Label (mobile, work...)' },
+                { name: 'number', type: 'tel', placeholder: 'Phone', required: true }
+            ],
+            addresses: [
+                { name: 'type', options: ['billing', 'shipping', 'home', 'work', 'other'] },
+                { name: 'street', placeholder: 'Street', required: true },
+                { name: 'city', placeholder: 'City' },
+                { name: 'province', placeholder: 'Province / State' },
+                { name: 'postal_code', placeholder: 'Postal code' },
+                { name: 'country', placeholder: 'Country' }
+            ]
+        };
+
+        function contactRowHtml(containerId, listName, entry) {
+            const inputs = CONTACT_FIELDS[listName].map(field => {
+                const value = entry[field.name] || '';
+                if (field.options) {
+                    return `<select data-field="${field.name}">${field.options.map(option => `
+                        <option value="${option}" ${option === (value || 'other') ? 'selected' : ''}>${option}</option>
+                    `).join('')}</select>`;
+                }
+                return `<input type="${field.type || 'text'}" data-field="${field.name}" placeholder="${field.placeholder}"
+                    value="${escapeHtml(String(value))}" ${field.required ? 'required' : ''}>`;
+            }).join('');
+
+            return `
+                <div class="contact-row">
+                    ${inputs}
+                    <label class="primary-choice"><input type="radio" name="${containerId}Primary" ${entry.is_primary ? 'checked' : ''}> Primary</label>
+                    <button type="button" class="btn btn-danger btn-small" title="Remove" onclick="removeContactRow(this)">✖</button>
+                </div>
+            `;
+        }
+
+        // Fill a list editor; an empty list starts with one blank primary row
+        function renderContactList(containerId, listName, entries = []) {
+            const rows = entries.length > 0 ? entries : [{ is_primary: true }];
+            document.getElementById(containerId).innerHTML = rows.map(entry => contactRowHtml(containerId, listName, entry)).join('');
+        }
+
+        function addContactRow(containerId, listName) {
+            const container = document.getElementById(containerId);
+            container.insertAdjacentHTML('beforeend', contactRowHtml(containerId, listName, { is_primary: container.children.length === 0 }));
+        }
+
+        // The last row stays; removing the primary row makes the first remaining one primary
+        function removeContactRow(button) {
+            const container = button.closest('.contact-list');
+            if (container.children.length === 1) {
+                return;
+            }
+            button.closest('.contact-row').remove();
+            if (!container.querySelector('input[type="radio"]:checked')) {
+                container.querySelector('input[type="radio"]').checked = true;
+            }
+        }
+
+        function readContactList(containerId) {
+            return [...document.querySelectorAll(`#${containerId} .contact-row`)].map(row => {
+                const entry = { is_primary: row.querySelector('input[type="radio"]').checked };
+                row.querySelectorAll('[data-field]').forEach(input => {
+                    if (input.value.trim()) entry[input.dataset.field] = input.value.trim();
+                });
+                return entry;
+            });
+        }
+
+        // Tags
+        let allTags = [];
+
+        function tagChip(tag) {
+            return `<span class="tag-chip" style="background: ${tag.color}">${escapeHtml(tag.name)}</span>`;
+        }
+
+        // Tick boxes of a tag picker, keeping the current ticks unless checkedIds is given
+        function renderTagPicker(containerId, checkedIds = checkedTagIds(containerId)) {
+            document.getElementById(containerId).innerHTML = allTags.length === 0
+                ? '<span class="tab-hint">No tags yet</span>'
+                : allTags.map(tag => `
+                    <label><input type="checkbox" value="${tag.id}" ${checkedIds.includes(tag.id) ? 'checked' : ''}> ${tagChip(tag)}</label>
+                `).join('');
+        }
+
+        function checkedTagIds(containerId) {
+            return [...document.querySelectorAll(`#${containerId} input:checked`)].map(box => Number(box.value));
+        }
+
+        async function loadTags() {
+            try {
+                const response = await apiFetch(TAGS_API_URL);
+                const result = await response.json();
+
+                if (!result.success) {
+                    showError(errorText(result));
+                    return;
+                }
+
+                allTags = result.data;
+                ['filterTags', 'createTags', 'editTags'].forEach(id => renderTagPicker(id));
+                document.getElementById('bulkTag').innerHTML = allTags
+                    .map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`)
+                    .join('');
+                displayTagManager();
+            } catch (error) {
+                console.error('Error loading tags:', error);
+            }
+        }
+
+        function toggleTagManager() {
+            document.getElementById('tagManagerSection').classList.toggle('active');
+        }
+
+        function displayTagManager() {
+            const tbody = document.getElementById('tagTableBody');
+
+            if (allTags.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No tags yet. Add one above.</td></tr>';
+                return;
+            }
+
+            tbody.innerHTML = allTags.map(tag => `
+                <tr>
+                    <td>${tagChip(tag)}</td>
+                    <td><input type="text" id="tagName${tag.id}" value="${escapeHtml(tag.name)}" maxlength="50"></td>
+                    <td><input type="color" id="tagColor${tag.id}" value="${tag.color}"></td>
+                    <td>${tag.customer_count}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn btn-success btn-small" onclick="updateTag(${tag.id})">💾 Save</button>
+                            ${can('delete') ? `<button class="btn btn-danger btn-small" onclick="deleteTag(${tag.id})">🗑️ Delete</button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `).join('');
+        }
+
+        async function saveTag(url, method, body) {
+            try {
+                const response = await apiFetch(url, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    await loadTags();
+                    refreshCustomers();
+                    return true;
+                }
+                showError(errorText(result));
+            } catch (error) {
+                console.error('Error saving tag:', error);
+                showError('Error saving tag. Please try again.');
+            }
+            return false;
         }
 
-        function hideCreateForm() {
-            document.getElementById('createFormSection').classList.remove('active');
+        async function createTag(event) {
+            event.preventDefault();
+            const saved = await saveTag(TAGS_API_URL, 'POST', {
+                name: document.getElementById('newTagName').value.trim(),
+                color: document.getElementById('newTagColor').value
+            });
+            if (saved) {
+                event.target.reset();
+            }
         }
 
-        function showEditForm() {
-            document.getElementById('editFormSection').classList.add('active');
-            document.getElementById('createFormSection').classList.remove('active');
-            hideAlerts();
+        function updateTag(id) {
+            saveTag(`${TAGS_API_URL}/${id}`, 'PUT', {
+                name: document.getElementById(`tagName${id}`).value.trim(),
+                color: document.getElementById(`tagColor${id}`).value
+            });
         }
 
-        function hideEditForm() {
-            document.getElementById('editFormSection').classList.remove('active');
+        function deleteTag(id) {
+            const tag = allTags.find(t => t.id === id);
+            if (!confirm(`Delete tag "${tag.name}"? It will be removed from ${tag.customer_count} customer(s).`)) {
+                return;
+            }
+            saveTag(`${TAGS_API_URL}/${id}`, 'DELETE');
         }
 
-        // Alert Functions
-        function showSuccess(message) {
-            const alert = document.getElementById('successAlert');
-            alert.textContent = message;
-            alert.classList.add('show');
-            setTimeout(() => alert.classList.remove('show'), 5000);
+        // CSV Import
+        const IMPORT_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address'];
+
+        // A new file starts again from the server's automatic column mapping
+        function resetImportMapping() {
+            document.getElementById('importMapping').innerHTML = '';
+            document.getElementById('importMappingGroup').style.display = 'none';
+            document.getElementById('importReport').innerHTML = '';
         }
 
-        function showError(message) {
-            const alert = document.getElementById('errorAlert');
-            alert.textContent = message;
-            alert.classList.add('show');
-            setTimeout(() => alert.classList.remove('show'), 5000);
+        // Mapping chosen in the UI, or undefined before the first dry run
+        function readImportMapping() {
+            const selects = document.querySelectorAll('#importMapping select');
+            if (selects.length === 0) return undefined;
+
+            const mapping = {};
+            selects.forEach(select => {
+                mapping[select.dataset.header] = select.value;
+            });
+            return mapping;
         }
 
-        function hideAlerts() {
-            document.getElementById('successAlert').classList.remove('show');
-            document.getElementById('errorAlert').classList.remove('show');
+        function renderImportMapping(headers, mapping) {
+            document.getElementById('importMapping').innerHTML = headers.map(header => `
+                <div class="import-mapping-row">
+                    <span>${escapeHtml(header)}</span>
+                    <span>→</span>
+                    <select data-header="${escapeHtml(header)}">
+                        <option value="">(ignore)</option>
+                        ${IMPORT_FIELDS.map(field => `
+                            <option value="${field}" ${mapping[header] === field ? 'selected' : ''}>${field}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('');
+            document.getElementById('importMappingGroup').style.display = '';
         }
 
-        // Load all customers
-        async function loadCustomers() {
+        function renderImportReport(report) {
+            const { summary, rows } = report;
+            const counts = Object.entries(summary).map(([key, value]) => `<span>${escapeHtml(key)}: <strong>${value}</strong></span>`).join('');
+            const problems = rows.filter(row => row.status !== 'valid');
+
+            document.getElementById('importReport').innerHTML = `
+                <div class="import-summary">${counts}</div>
+                ${problems.length === 0 ? '' : `
+                    <table>
+                        <thead>
+                            <tr><th>Row</th><th>Email</th><th>Status</th><th>Details</th></tr>
+                        </thead>
+                        <tbody>
+                            ${problems.map(row => `
+                                <tr>
+                                    <td>${row.row}</td>
+                                    <td>${escapeHtml(row.data.email || '')}</td>
+                                    <td>${escapeHtml(row.result || row.status)}</td>
+                                    <td>${row.errors.length > 0
+                                        ? escapeHtml(row.errors.join('; '))
+                                        : `Existing customer #${row.existing_id}`}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            `;
+        }
+
+        async function runImport(mode) {
+            const file = document.getElementById('importFile').files[0];
+            if (!file) {
+                showError('Please choose a CSV file to import.');
+                return;
+            }
+
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('mode', mode);
+            formData.append('on_duplicate', document.getElementById('importOnDuplicate').value);
+            const mapping = readImportMapping();
+            if (mapping) {
+                formData.append('mapping', JSON.stringify(mapping));
+            }
+
             try {
-                const response = await fetch(API_URL);
+                const response = await apiFetch(`${API_URL}/import`, { method: 'POST', body: formData });
                 const result = await response.json();
-                
+                const report = result.data;
+
+                if (report && report.headers) {
+                    renderImportMapping(report.headers, report.mapping);
+                }
+                if (report && report.rows) {
+                    renderImportReport(report);
+                }
+
                 if (result.success) {
-                    displayCustomers(result.data);
+                    showSuccess(result.message);
+                    if (mode === 'commit') {
+                        refreshCustomers();
+                    }
                 } else {
-                    showError('Failed to load customers');
+                    showError(errorText(result));
                 }
             } catch (error) {
-                console.error('Error loading customers:', error);
-                showError('Error connecting to server. Please make sure the backend is running.');
-                document.getElementById('customerTableBody').innerHTML = 
-                    '<tr><td colspan="8" class="empty-state">Failed to load customers. Please check your connection.</td></tr>';
+                console.error('Error importing customers:', error);
+                showError('Error importing customers. Please try again.');
             }
         }
 
-        // Display customers in table
-        function displayCustomers(customers) {
-            const tbody = document.getElementById('customerTableBody');
-            
-            if (customers.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No customers found. Add your first customer!</td></tr>';
+        // Tabs
+        function showTab(name) {
+            ['customers', 'trash', 'duplicates', 'stats'].forEach(tab => {
+                document.getElementById(`${tab}Tab`).classList.toggle('active', tab === name);
+                document.getElementById(`${tab}Panel`).classList.toggle('active', tab === name);
+            });
+            if (name === 'trash') {
+                loadTrash(1);
+            } else if (name === 'duplicates') {
+                loadDuplicates();
+            } else if (name === 'stats') {
+                loadStats();
+            } else {
+                refreshCustomers();
+            }
+        }
+
+        // Trash
+        let trashPage = 1;
+
+        async function loadTrash(page = trashPage) {
+            trashPage = Math.max(page, 1);
+            const tbody = document.getElementById('trashTableBody');
+
+            try {
+                const response = await apiFetch(`${API_URL}/trash?${new URLSearchParams({ page: trashPage, limit: listState.limit })}`);
+                const result = await response.json();
+
+                if (!result.success) {
+                    showError(errorText(result));
+                    return;
+                }
+
+                const { page: current, total, totalPages, hasNext, hasPrev } = result.pagination;
+                document.getElementById('trashPagerInfo').textContent = `${total} deleted customer${total === 1 ? '' : 's'} · Page ${current} of ${totalPages}`;
+                document.getElementById('trashPrevBtn').disabled = !hasPrev;
+                document.getElementById('trashNextBtn').disabled = !hasNext;
+
+                if (result.data.length === 0) {
+                    tbody.innerHTML = '<tr><td colspan="6" class="empty-state">The trash is empty.</td></tr>';
+                    return;
+                }
+
+                tbody.innerHTML = result.data.map(customer => `
+                    <tr>
+                        <td>${customer.id}</td>
+                        <td>${escapeHtml(customer.first_name)} ${escapeHtml(customer.last_name)}</td>
+                        <td>${escapeHtml(customer.email)}</td>
+                        <td>${escapeHtml(customer.phone)}</td>
+                        <td>${formatDate(customer.date_deleted)}</td>
+                        <td>
+                            <div class="action-buttons">
+                                <button class="btn btn-success btn-small" onclick="restoreCustomer(${customer.id})">♻️ Restore</button>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('');
+            } catch (error) {
+                console.error('Error loading trash:', error);
+                tbody.innerHTML = '<tr><td colspan="6" class="empty-state">Failed to load trash.</td></tr>';
+            }
+        }
+
+        async function restoreCustomer(id) {
+            try {
+                const response = await apiFetch(`${API_URL}/${id}/restore`, { method: 'POST' });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    loadTrash();
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error restoring customer:', error);
+                showError('Error restoring customer. Please try again.');
+            }
+        }
+
+        async function purgeTrash() {
+            if (!confirm('Permanently delete customers whose retention period has expired? This action cannot be undone.')) {
                 return;
             }
-            
-            tbody.innerHTML = customers.map(customer => `
-                <tr>
-                    <td>${customer.id}</td>
-                    <td>${escapeHtml(customer.first_name)}</td>
-                    <td>${escapeHtml(customer.last_name)}</td>
-                    <td>${escapeHtml(customer.email)}</td>
-                    <td>${escapeHtml(customer.phone)}</td>
-                    <td>${escapeHtml(customer.address)}</td>
-                    <td>${formatDate(customer.date_created)}</td>
-                    <td>
+
+            try {
+                const response = await apiFetch(`${API_URL}/trash`, { method: 'DELETE' });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    loadTrash(1);
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error purging trash:', error);
+                showError('Error purging trash. Please try again.');
+            }
+        }
+
+        // Duplicates
+        const MERGE_FIELDS = [
+            ['first_name', 'First Name'],
+            ['last_name', 'Last Name'],
+            ['email', 'Email'],
+            ['phone', 'Phone'],
+            ['address', 'Address']
+        ];
+        let duplicatePairs = [];
+        const dismissedPairs = new Set();
+
+        function pairKey(pair) {
+            return pair.customers.map(customer => customer.id).join(':');
+        }
+
+        async function loadDuplicates() {
+            const list = document.getElementById('duplicatesList');
+            const threshold = document.getElementById('duplicateThreshold').value;
+
+            try {
+                const response = await apiFetch(`${API_URL}/duplicates?${new URLSearchParams({ threshold })}`);
+                const result = await response.json();
+
+                if (!result.success) {
+                    showError(errorText(result));
+                    return;
+                }
+
+                duplicatePairs = result.data.filter(pair => !dismissedPairs.has(pairKey(pair)));
+                const shown = duplicatePairs.length < result.total ? ` (showing ${duplicatePairs.length})` : '';
+                document.getElementById('duplicatesInfo').textContent = `${result.total} possible duplicate pair${result.total === 1 ? '' : 's'}${shown}`;
+                displayDuplicates();
+            } catch (error) {
+                console.error('Error loading duplicates:', error);
+                list.innerHTML = '<p class="empty-state">Failed to load duplicates.</p>';
+            }
+        }
+
+        function displayDuplicates() {
+            const list = document.getElementById('duplicatesList');
+
+            if (duplicatePairs.length === 0) {
+                list.innerHTML = '<p class="empty-state">No possible duplicates found.</p>';
+                return;
+            }
+
+            list.innerHTML = duplicatePairs.map((pair, index) => {
+                const [left, right] = pair.customers;
+                const signals = Object.entries(pair.signals).map(([signal, value]) => `${signal} ${Math.round(value * 100)}%`).join(' · ');
+                const rows = MERGE_FIELDS.map(([field, label]) => {
+                    const same = (left[field] || '') === (right[field] || '');
+                    return `
+                        <tr>
+                            <th>${label}</th>
+                            <td><label><input type="radio" name="pair${index}_${field}" value="left" checked> ${escapeHtml(left[field] || '')}</label></td>
+                            <td><label><input type="radio" name="pair${index}_${field}" value="right" ${same ? 'disabled' : ''}> ${escapeHtml(right[field] || '')}</label></td>
+                        </tr>
+                    `;
+                }).join('');
+
+                return `
+                    <div class="duplicate-pair">
+                        <div class="duplicate-header">
+                            <strong>Score ${Math.round(pair.score * 100)}%</strong>
+                            <span class="tab-hint">${signals}</span>
+                        </div>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>#${left.id}</th>
+                                    <th>#${right.id}</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
                         <div class="action-buttons">
-                            <button class="btn btn-warning btn-small" onclick="editCustomer(${customer.id})">✏️ Edit</button>
-                            <button class="btn btn-danger btn-small" onclick="deleteCustomer(${customer.id})">🗑️ Delete</button>
+                            <button class="btn btn-success btn-small" onclick="mergePair(${index}, 'left')">Keep #${left.id}</button>
+                            <button class="btn btn-success btn-small" onclick="mergePair(${index}, 'right')">Keep #${right.id}</button>
+                            <button class="btn btn-warning btn-small" onclick="dismissPair(${index})">Not a duplicate</button>
                         </div>
-                    </td>
-                </tr>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        // Hide a pair until the page is reloaded
+        function dismissPair(index) {
+            dismissedPairs.add(pairKey(duplicatePairs[index]));
+            duplicatePairs.splice(index, 1);
+            displayDuplicates();
+        }
+
+        async function mergePair(index, keep) {
+            const [left, right] = duplicatePairs[index].customers;
+            const [survivor, loser] = keep === 'left' ? [left, right] : [right, left];
+            const loserAction = document.getElementById('loserAction').value;
+
+            // Radio values name a side; translate them to survivor/loser
+            const fields = {};
+            MERGE_FIELDS.forEach(([field]) => {
+                const side = document.querySelector(`input[name="pair${index}_${field}"]:checked`).value;
+                fields[field] = side === keep ? 'survivor' : 'loser';
+            });
+
+            const warning = loserAction === 'delete' ? ' Customer #' + loser.id + ' will be deleted permanently.' : '';
+            if (!confirm(`Merge customer #${loser.id} into #${survivor.id}?${warning}`)) {
+                return;
+            }
+
+            try {
+                const response = await apiFetch(`${API_URL}/merge`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ survivor_id: survivor.id, loser_id: loser.id, fields, loser_action: loserAction })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showSuccess(result.message);
+                    loadDuplicates();
+                } else {
+                    showError(errorText(result));
+                }
+            } catch (error) {
+                console.error('Error merging customers:', error);
+                showError('Error merging customers. Please try again.');
+            }
+        }
+
+        // Analytics
+        function isoDay(date) {
+            return date.toISOString().slice(0, 10);
+        }
+
+        // Fill the range inputs with a preset and reload
+        function setStatsRange(preset) {
+            const today = new Date();
+            const from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+            if (preset === 'year') {
+                from.setUTCMonth(from.getUTCMonth() - 11);
+            }
+            document.getElementById('statsFrom').value = isoDay(from);
+            document.getElementById('statsTo').value = isoDay(today);
+            document.getElementById('statsInterval').value = preset === 'year' ? 'month' : 'day';
+            loadStats();
+        }
+
+        async function loadStats() {
+            const params = new URLSearchParams({ interval: document.getElementById('statsInterval').value });
+            const from = document.getElementById('statsFrom').value;
+            const to = document.getElementById('statsTo').value;
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+
+            try {
+                const response = await apiFetch(`${API_URL}/stats?${params}`);
+                const result = await response.json();
+
+                if (!result.success) {
+                    showError(errorText(result));
+                    return;
+                }
+
+                const stats = result.data;
+                // Show the range the server used when the inputs were left empty
+                document.getElementById('statsFrom').value = stats.from;
+                document.getElementById('statsTo').value = stats.to;
+                renderStatCards(stats);
+                renderSeriesChart(stats.series);
+                renderBarList('domainChart', stats.email_domains, row => row.domain || '(none)');
+                renderBarList('regionChart', stats.regions, row => [row.region, row.country].filter(Boolean).join(', ') || 'Unknown');
+            } catch (error) {
+                console.error('Error loading stats:', error);
+                showError('Error loading analytics. Please try again.');
+            }
+        }
+
+        function renderStatCards({ totals }) {
+            const previous = totals.previous_period;
+            const growth = totals.growth_percent;
+            const growthText = growth === null ? '—' : `${growth > 0 ? '+' : ''}${growth}%`;
+            const growthClass = growth > 0 ? 'stat-up' : growth < 0 ? 'stat-down' : '';
+            const cards = [
+                { value: totals.customers, label: 'Customers (excluding trash)' },
+                { value: totals.new_customers, label: 'New in this range' },
+                { value: previous.new_customers, label: `New ${previous.from} – ${previous.to}` },
+                { value: growthText, label: 'Growth vs previous period', className: growthClass }
+            ];
+            document.getElementById('statCards').innerHTML = cards.map(card => `
+                <div class="stat-card">
+                    <div class="stat-value ${card.className || ''}">${escapeHtml(String(card.value))}</div>
+                    <div class="stat-label">${escapeHtml(card.label)}</div>
+                </div>
             `).join('');
         }
 
+        // Bar chart of new customers per period as inline SVG
+        function renderSeriesChart(series) {
+            const width = 800;
+            const height = 220;
+            const axis = 20;
+            const top = 15;
+            const max = Math.max(...series.map(point => point.count), 1);
+            const slot = (width - 30) / series.length;
+            // Label at most ~10 periods so the dates do not overlap
+            const labelEvery = Math.ceil(series.length / 10);
+
+            const bars = series.map((point, index) => {
+                const barHeight = (point.count / max) * (height - axis - top);
+                const x = 30 + index * slot;
+                const label = index % labelEvery === 0
+                    ? `<text x="${x + slot / 2}" y="${height - 5}" text-anchor="middle">${escapeHtml(point.period.slice(5))}</text>`
+                    : '';
+                return `
+                    <rect x="${x + slot * 0.1}" y="${height - axis - barHeight}" width="${slot * 0.8}" height="${barHeight}">
+                        <title>${escapeHtml(point.period)}: ${point.count}</title>
+                    </rect>${label}`;
+            }).join('');
+
+            document.getElementById('seriesChart').innerHTML = `
+                <svg class="series-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="New customers per period">
+                    <text x="0" y="${top}">${max}</text>
+                    <text x="0" y="${height - axis}">0</text>
+                    ${bars}
+                </svg>`;
+        }
+
+        // Horizontal bars scaled to the largest count
+        function renderBarList(elementId, rows, labelOf) {
+            const container = document.getElementById(elementId);
+            if (rows.length === 0) {
+                container.innerHTML = '<p class="tab-hint">No customers in this range.</p>';
+                return;
+            }
+            const max = Math.max(...rows.map(row => row.count));
+            container.innerHTML = `<ul class="bar-list">${rows.map(row => `
+                <li>
+                    <span class="bar-label" title="${escapeHtml(labelOf(row))}">${escapeHtml(labelOf(row))}</span>
+                    <span class="bar" style="width: ${Math.max((row.count / max) * 100, 2)}%"></span>
+                    <span class="bar-count">${row.count}</span>
+                </li>`).join('')}</ul>`;
+        }
+
         // Create new customer
         async function createCustomer(event) {
             event.preventDefault();
@@ -102,13 +1486,14 @@
             const customerData = {
                 first_name: document.getElementById('firstName').value.trim(),
                 last_name: document.getElementById('lastName').value.trim(),
-                email: document.getElementById('email').value.trim(),
-                phone: document.getElementById('phone').value.trim(),
-                address: document.getElementById('address').value.trim()
+                emails: readContactList('createEmails'),
+                phones: readContactList('createPhones'),
+                addresses: readContactList('createAddresses'),
+                tag_ids: checkedTagIds('createTags')
             };
             
             try {
-                const response = await fetch(API_URL, {
+                const response = await apiFetch(API_URL, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -121,10 +1506,11 @@
                 if (result.success) {
                     showSuccess(result.message);
                     hideCreateForm();
-                    loadCustomers();
+                    refreshCustomers();
                     document.getElementById('createForm').reset();
+                    ['Emails', 'Phones', 'Addresses'].forEach(list => renderContactList(`create${list}`, list.toLowerCase()));
                 } else {
-                    const errorMsg = result.errors ? result.errors.join(', ') : result.message;
+                    const errorMsg = errorText(result);
                     showError(errorMsg);
                 }
             } catch (error) {
@@ -134,19 +1520,64 @@
         }
 
         // Edit customer - Load data
+        // Customer being edited: the version sent back in If-Match and the values the form was loaded with
+        const editState = { version: null, original: null };
+
+        // A customer from the API in the shape readEditForm() returns
+        function customerFormValues(customer) {
+            const list = listName => customer[listName].map(entry => {
+                const value = { is_primary: Boolean(entry.is_primary) };
+                CONTACT_FIELDS[listName].forEach(field => {
+                    if (entry[field.name]) value[field.name] = String(entry[field.name]);
+                });
+                return value;
+            });
+
+            return {
+                first_name: customer.first_name,
+                last_name: customer.last_name,
+                emails: list('emails'),
+                phones: list('phones'),
+                addresses: list('addresses'),
+                tag_ids: customer.tags.map(tag => tag.id).sort((a, b) => a - b)
+            };
+        }
+
+        function readEditForm() {
+            return {
+                first_name: document.getElementById('editFirstName').value.trim(),
+                last_name: document.getElementById('editLastName').value.trim(),
+                emails: readContactList('editEmails'),
+                phones: readContactList('editPhones'),
+                addresses: readContactList('editAddresses'),
+                tag_ids: checkedTagIds('editTags').sort((a, b) => a - b)
+            };
+        }
+
+        function fillEditForm(values) {
+            document.getElementById('editFirstName').value = values.first_name;
+            document.getElementById('editLastName').value = values.last_name;
+            renderContactList('editEmails', 'emails', values.emails);
+            renderContactList('editPhones', 'phones', values.phones);
+            renderContactList('editAddresses', 'addresses', values.addresses);
+            renderTagPicker('editTags', values.tag_ids);
+        }
+
         async function editCustomer(id) {
             try {
-                const response = await fetch(`${API_URL}/${id}`);
+                const response = await apiFetch(`${API_URL}/${id}`);
                 const result = await response.json();
                 
                 if (result.success) {
                     const customer = result.data;
                     document.getElementById('editCustomerId').value = customer.id;
-                    document.getElementById('editFirstName').value = customer.first_name;
-                    document.getElementById('editLastName').value = customer.last_name;
-                    document.getElementById('editEmail').value = customer.email;
-                    document.getElementById('editPhone').value = customer.phone;
-                    document.getElementById('editAddress').value = customer.address;
+                    editState.version = customer.version;
+                    fillEditForm(customerFormValues(customer));
+                    editState.original = readEditForm();
+                    document.getElementById('historyPanel').classList.remove('active');
+                    timelineState.customerId = customer.id;
+                    resetNoteForm();
+                    loadTimeline(1);
                     showEditForm();
                     
                     // Scroll to form
@@ -165,31 +1596,29 @@
             event.preventDefault();
             
             const id = document.getElementById('editCustomerId').value;
-            const customerData = {
-                first_name: document.getElementById('editFirstName').value.trim(),
-                last_name: document.getElementById('editLastName').value.trim(),
-                email: document.getElementById('editEmail').value.trim(),
-                phone: document.getElementById('editPhone').value.trim(),
-                address: document.getElementById('editAddress').value.trim()
-            };
+            const customerData = readEditForm();
             
             try {
-                const response = await fetch(`${API_URL}/${id}`, {
+                // If-Match makes the server refuse the save when someone else changed the customer meanwhile
+                const response = await apiFetch(`${API_URL}/${id}`, {
                     method: 'PUT',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'If-Match': `"${editState.version}"`
                     },
                     body: JSON.stringify(customerData)
                 });
                 
                 const result = await response.json();
                 
-                if (result.success) {
+                if (response.status === 409 || response.status === 412) {
+                    showConflict(result.data, customerData);
+                } else if (result.success) {
                     showSuccess(result.message);
                     hideEditForm();
-                    loadCustomers();
+                    refreshCustomers();
                 } else {
-                    const errorMsg = result.errors ? result.errors.join(', ') : result.message;
+                    const errorMsg = errorText(result);
                     showError(errorMsg);
                 }
             } catch (error) {
@@ -198,14 +1627,88 @@
             }
         }
 
+        // Edit conflicts: the server copy and the user's values while the dialog is open
+        let conflictState = null;
+
+        const CONFLICT_FIELDS = [
+            { key: 'first_name', label: 'First Name' },
+            { key: 'last_name', label: 'Last Name' },
+            { key: 'emails', label: 'Emails', text: list => list.map(entry => entry.email + (entry.is_primary ? ' (primary)' : '')).join(', ') },
+            { key: 'phones', label: 'Phones', text: list => list.map(entry => entry.number + (entry.is_primary ? ' (primary)' : '')).join(', ') },
+            {
+                key: 'addresses',
+                label: 'Addresses',
+                text: list => list.map(entry => [entry.street, entry.city, entry.province, entry.postal_code, entry.country]
+                    .filter(Boolean).join(', ') + (entry.is_primary ? ' (primary)' : '')).join('; ')
+            },
+            { key: 'tag_ids', label: 'Tags', text: ids => ids.map(id => (allTags.find(tag => tag.id === id) || { name: `#${id}` }).name).join(', ') }
+        ];
+
+        function sameValue(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        // Side by side: what the form was loaded with, the user's values and the server's.
+        // Fields the user edited default to their value, the rest to the server's.
+        function showConflict(serverCustomer, mine) {
+            const server = customerFormValues(serverCustomer);
+            conflictState = { server, version: serverCustomer.version, mine };
+
+            document.getElementById('conflictRows').innerHTML = CONFLICT_FIELDS.map(field => {
+                const text = value => escapeHtml(String((field.text ? field.text(value) : value) || '—'));
+                const original = editState.original[field.key];
+                const youChanged = !sameValue(original, mine[field.key]);
+                const theyChanged = !sameValue(original, server[field.key]);
+                const clash = youChanged && theyChanged && !sameValue(mine[field.key], server[field.key]);
+
+                return `
+                    <tr class="${clash ? 'conflict-clash' : ''}">
+                        <td>${field.label}</td>
+                        <td>${text(original)}</td>
+                        <td><label><input type="radio" name="conflict_${field.key}" value="mine" ${youChanged ? 'checked' : ''}> ${text(mine[field.key])}</label></td>
+                        <td><label><input type="radio" name="conflict_${field.key}" value="server" ${youChanged ? '' : 'checked'}> ${text(server[field.key])}</label></td>
+                    </tr>
+                `;
+            }).join('');
+
+            document.getElementById('conflictDialog').showModal();
+        }
+
+        // Continue editing on top of the server's version with the given values
+        function adoptServerVersion(values) {
+            editState.version = conflictState.version;
+            editState.original = conflictState.server;
+            fillEditForm(values);
+            closeConflictDialog();
+        }
+
+        function reapplyChanges() {
+            const values = {};
+            CONFLICT_FIELDS.forEach(field => {
+                const choice = document.querySelector(`input[name="conflict_${field.key}"]:checked`).value;
+                values[field.key] = choice === 'mine' ? conflictState.mine[field.key] : conflictState.server[field.key];
+            });
+            adoptServerVersion(values);
+            showSuccess('Your changes were reapplied to the latest version. Review them and click Update Customer to save.');
+        }
+
+        function useServerVersion() {
+            adoptServerVersion(conflictState.server);
+        }
+
+        function closeConflictDialog() {
+            document.getElementById('conflictDialog').close();
+            conflictState = null;
+        }
+
         // Delete customer
         async function deleteCustomer(id) {
-            if (!confirm('Are you sure you want to delete this customer? This action cannot be undone.')) {
+            if (!confirm('Are you sure you want to delete this customer? It will be moved to the trash.')) {
                 return;
             }
             
             try {
-                const response = await fetch(`${API_URL}/${id}`, {
+                const response = await apiFetch(`${API_URL}/${id}`, {
                     method: 'DELETE'
                 });
                 
@@ -213,9 +1716,9 @@
                 
                 if (result.success) {
                     showSuccess(result.message);
-                    loadCustomers();
+                    refreshCustomers();
                 } else {
-                    showError(result.message);
+                    showError(errorText(result));
                 }
             } catch (error) {
                 console.error('Error deleting customer:', error);
@@ -223,56 +1726,70 @@
             }
         }
 
-        // Export to CSV
-        async function exportToCSV() {
-            try {
-                const response = await fetch(`${API_URL}/export/csv`);
-                
-                if (response.ok) {
-                    const blob = await response.blob();
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `customers_${new Date().getTime()}.csv`;
-                    document.body.appendChild(a);
-                    a.click();
-                    window.URL.revokeObjectURL(url);
-                    document.body.removeChild(a);
-                    showSuccess('CSV exported successfully!');
-                } else {
-                    showError('No data available. CSV cannot be generated.');
-                }
-            } catch (error) {
-                console.error('Error exporting CSV:', error);
-                showError('Error exporting CSV. Please try again.');
+        function toggleExportOptions() {
+            document.getElementById('exportOptionsSection').classList.toggle('active');
+        }
+
+        // Exports use the table's current filters and sort order, without paging,
+        // plus the chosen columns and PDF report options
+        function buildExportParams() {
+            const params = buildListParams();
+            params.delete('page');
+            params.delete('limit');
+
+            const boxes = [...document.querySelectorAll('#exportColumns input')];
+            const columns = boxes.filter(box => box.checked).map(box => box.value);
+            // Only send columns when the selection differs from the server's defaults
+            if (columns.length > 0 && boxes.some(box => box.checked !== box.defaultChecked)) {
+                params.set('columns', columns.join(','));
             }
+
+            const title = document.getElementById('exportTitle').value.trim();
+            if (title) params.set('title', title);
+            params.set('orientation', document.getElementById('exportOrientation').value);
+            return params;
         }
 
-        // Export to PDF
-        async function exportToPDF() {
+        // Fetch a file from the API and hand it to the browser as a download
+        async function downloadFile(url, fileName, label) {
             try {
-                const response = await fetch(`${API_URL}/export/pdf`);
+                const response = await apiFetch(url);
                 
                 if (response.ok) {
                     const blob = await response.blob();
-                    const url = window.URL.createObjectURL(blob);
+                    const objectUrl = window.URL.createObjectURL(blob);
                     const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `customers_${new Date().getTime()}.pdf`;
+                    a.href = objectUrl;
+                    a.download = fileName;
                     document.body.appendChild(a);
                     a.click();
-                    window.URL.revokeObjectURL(url);
+                    window.URL.revokeObjectURL(objectUrl);
                     document.body.removeChild(a);
-                    showSuccess('PDF exported successfully!');
+                    showSuccess(`${label} exported successfully!`);
                 } else {
-                    showError('No data available. PDF cannot be generated.');
+                    const result = await response.json().catch(() => ({}));
+                    showError(errorText(result) || `No data available. ${label} cannot be generated.`);
                 }
             } catch (error) {
-                console.error('Error exporting PDF:', error);
-                showError('Error exporting PDF. Please try again.');
+                console.error(`Error exporting ${label}:`, error);
+                showError(`Error exporting ${label}. Please try again.`);
             }
         }
 
+        // Download an export in the given format (csv, pdf, xlsx, json, ndjson, vcf)
+        function exportCustomers(format, label) {
+            downloadFile(`${API_URL}/export/${format}?${buildExportParams()}`, `customers_${new Date().getTime()}.${format}`, label);
+        }
+
+        // Single-customer downloads
+        function downloadProfile(id) {
+            downloadFile(`${API_URL}/${id}/export/pdf`, `customer_${id}.pdf`, 'Profile');
+        }
+
+        function downloadVCard(id) {
+            downloadFile(`${API_URL}/${id}/vcard`, `customer_${id}.vcf`, 'vCard');
+        }
+
         // Utility Functions
         function escapeHtml(text) {
             const map = {
@@ -285,6 +1802,29 @@
             return text.replace(/[&<>"']/g, m => map[m]);
         }
 
+        function escapeRegExp(text) {
+            return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+
+        // Escape text and wrap the parts matching the active search terms in <mark>.
+        // Phone numbers match on digits, ignoring formatting characters.
+        function highlight(text, isPhone = false) {
+            if (searchTerms.length === 0) return escapeHtml(text);
+
+            const patterns = searchTerms.map(term => {
+                const digits = term.replace(/\D/g, '');
+                if (isPhone && digits.length >= 3 && /^[\d\s\-\+\(\)]+$/.test(term)) {
+                    return digits.split('').join('\\D*');
+                }
+                return escapeRegExp(term);
+            });
+            const regex = new RegExp(`(${patterns.join('|')})`, 'gi');
+
+            return text.split(regex)
+                .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+                .join('');
+        }
+
         function formatDate(dateString) {
             const date = new Date(dateString);
             return date.toLocaleDateString('en-US', {
@@ -0,0 +1,5 @@
+// Frontend settings. `npm start` and `npm run dev` in backend/ write config.js from
+// PUBLIC_API_URL; without the backend scripts, copy this file to config.js instead.
+window.APP_CONFIG = {
+    apiBaseUrl: "http://localhost:3000/api"
+};
@@ -22,10 +22,34 @@ function showMessage(message, divId) {
     }, 4000);
 }
 
+// Error of a failed auth request: the field errors of a 400, else its message
+function errorText(data, fallback) {
+    if (data.errors && data.errors.length > 0) {
+        return data.errors.map(error => {
+            const field = error.field.replace(/^body\./, "");
+            return /^must\b/.test(error.message) ? `${field} ${error.message}` : error.message;
+        }).join(", ");
+    }
+    return data.error || data.message || fallback;
+}
+
+// Auth API (base URL from assets/js/config.js)
+const AUTH_API_URL = `${window.APP_CONFIG.apiBaseUrl}/auth`;
+
+// Store the session returned by the API and go to the dashboard
+function startSession(data) {
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("user", JSON.stringify(data.user));
+
+    setTimeout(() => {
+        window.location.href = "dashboard.html"; // Redirect
+    }, 1500);
+}
+
 // ------------------------
 //  REGISTER USER
 // ------------------------
-document.getElementById("submitSignUp").addEventListener("click", function (e) {
+document.getElementById("submitSignUp").addEventListener("click", async function (e) {
     e.preventDefault();
 
     const fname = document.getElementById("rFname").value.trim();
@@ -44,37 +68,37 @@ document.getElementById("submitSignUp").addEventListener("click", function (e) {
         return;
     }
 
-    // Check if user already exists
-    let users = JSON.parse(localStorage.getItem("users")) || [];
-    const userExists = users.some(user => user.email === email);
-
-    if (userExists) {
-        showMessage("Email already registered. Please log in.", "signUpMessage");
-        return;
+    try {
+        const response = await fetch(`${AUTH_API_URL}/register`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                first_name: fname,
+                last_name: lname,
+                email,
+                password,
+                passwordConfirm: cpassword
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showMessage(errorText(data, "Registration failed. Please try again."), "signUpMessage");
+            return;
+        }
+
+        showMessage("Registration successful! Redirecting...", "signUpMessage");
+        startSession(data);
+    } catch (error) {
+        console.error("Registration error:", error);
+        showMessage("Error connecting to server. Please try again.", "signUpMessage");
     }
-
-    // Save the new user
-    const newUser = {
-        fname,
-        lname,
-        email,
-        password
-    };
-
-    users.push(newUser);
-    localStorage.setItem("users", JSON.stringify(users));
-
-    showMessage("Registration successful! You can now log in.", "signUpMessage");
-
-    setTimeout(() => {
-        window.location.href = "index.html";
-    }, 1500);
 });
 
 // ------------------------
 //  LOGIN USER
 // ------------------------
-document.getElementById("submitSignIn").addEventListener("click", function (e) {
+document.getElementById("submitSignIn").addEventListener("click", async function (e) {
     e.preventDefault();
 
     const email = document.getElementById("signInEmail").value.trim();
@@ -85,25 +109,23 @@ document.getElementById("submitSignIn").addEventListener("click", function (e) {
         return;
     }
 
-    const users = JSON.parse(localStorage.getItem("users")) || [];
-
-    const validUser = users.find(user =>
-        user.email === email && user.password === password
-    );
-
-    if (!validUser) {
-        showMessage("Invalid credentials. Please try again.", "signInMessage");
-        return;
+    try {
+        const response = await fetch(`${AUTH_API_URL}/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ email, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showMessage(errorText(data, "Invalid credentials. Please try again."), "signInMessage");
+            return;
+        }
+
+        showMessage("Login successful! Redirecting...", "signInMessage");
+        startSession(data);
+    } catch (error) {
+        console.error("Login error:", error);
+        showMessage("Error connecting to server. Please try again.", "signInMessage");
     }
-
-    // Save logged-in user data
-    localStorage.setItem("loggedInUser", JSON.stringify(validUser));
-
-    showMessage("Login successful! Redirecting...", "signInMessage");
-
-    setTimeout(() => {
-        window.location.href = "dashboard.html"; // Redirect
-    }, 1500);
 });
-
-